@@ -0,0 +1,347 @@
+"use strict";
+
+// ---------------------------
+// Edges service
+// The one engine behind every edges route (/api/nba/edges and the legacy
+// edges-today-tiered / edges-tiered-v2 adapters) and the backtest: same player
+// matching (registry id, else log id, else name), same projection pipeline
+// (weighting scheme -> minutes model -> shrinkage -> opponent factor), same
+// per-stat tier thresholds, same row schema.
+// server.js builds it with createEdgesService(deps), passing the data access and
+// model helpers it shares with the rest of the app.
+// ---------------------------
+
+// Absolute edge (projection - line, in stat units) needed for tier A / B.
+// Stats not listed use `default`.
+const EDGE_TIER_THRESHOLDS = {
+  default: { A: 3, B: 2 },
+  REB: { A: 2, B: 1.5 },
+  AST: { A: 2, B: 1.5 },
+  RA: { A: 2.5, B: 1.5 },
+  "3PM": { A: 1, B: 0.5 },
+  STL: { A: 0.8, B: 0.5 },
+  BLK: { A: 0.8, B: 0.5 },
+  TOV: { A: 1, B: 0.6 },
+  STOCKS: { A: 1, B: 0.6 },
+  FTA: { A: 2, B: 1 },
+  DD: { A: 0.3, B: 0.15 }
+};
+
+function edgeTierFor(stat, absEdge, thresholds = EDGE_TIER_THRESHOLDS) {
+  const t = thresholds[stat] || thresholds.default;
+  if (absEdge >= t.A) return "A";
+  if (absEdge >= t.B) return "B";
+  return "C";
+}
+
+function edgeLogKey(playerId, playerName) {
+  if (playerId) return `id:${String(playerId)}`;
+  const name = String(playerName || "").trim().toLowerCase();
+  return name ? `name:${name}` : null;
+}
+
+function groupEdgesByTier(edges) {
+  return { A: edges.filter((e) => e.tier === "A"), B: edges.filter((e) => e.tier === "B"), C: edges.filter((e) => e.tier === "C") };
+}
+
+function createEdgesService(deps) {
+  const {
+    PROP_COLLECTIONS,
+    isValidISODate, getTodayET, normalizeStatType,
+    parseWeighting, parseShrink, parseProjBy, parseOppAdjust, parseUsage,
+    readCollection, queryPropLines, queryGameLogs, listPropDates, matchupsForDate,
+    opponentFactors, shrinkPriors,
+    buildPlayerIndex, resolvePlayerRow, isAmbiguousPlayerName, playerLogIdentities,
+    buildRosterIndex, rosterPlayerId, rosterInfo,
+    injuriesOn, buildTeammatesOut, usageAdjustment, opponentAdjustment,
+    extractPropKey, extractPropLine, getPlayerIdFromLog, getPlayerNameFromLog, getStatFromLog, latestLogField,
+    buildMarkets, marketQuoteFor,
+    schemeEstimate, minutesProjection, minutesOverrideFor, shrinkProjection,
+    probabilityFields, capTierByConfidence, shrinkFields, minutesFields, noMinutesFields, oddsFields
+  } = deps;
+
+  // q: query/body. tierA/tierB move the default; tiers=PTS:4:2.5,REB:2:1 sets per-stat pairs.
+  // Returns { thresholds } or { error }.
+  function parseTierThresholds(q) {
+    const out = {};
+    for (const [k, v] of Object.entries(EDGE_TIER_THRESHOLDS)) out[k] = { ...v };
+
+    const a = q && q.tierA !== undefined && q.tierA !== "" ? Number(q.tierA) : null;
+    const b = q && q.tierB !== undefined && q.tierB !== "" ? Number(q.tierB) : null;
+    if (a !== null || b !== null) {
+      out.default = { A: a ?? out.default.A, B: b ?? out.default.B };
+      if (!(out.default.A >= out.default.B && out.default.B >= 0)) return { error: "tierA must be >= tierB >= 0" };
+    }
+
+    const spec = q && q.tiers ? String(q.tiers) : "";
+    for (const part of spec.split(",").map((x) => x.trim()).filter(Boolean)) {
+      const [rawStat, rawA, rawB] = part.split(":");
+      const stat = normalizeStatType(rawStat);
+      const A = Number(rawA);
+      const B = Number(rawB);
+      if (!stat) return { error: `Unsupported stat in tiers: ${rawStat}` };
+      if (!(A >= B && B >= 0)) return { error: `tiers entry ${part} must be STAT:A:B with A >= B >= 0` };
+      out[stat] = { A, B };
+    }
+    return { thresholds: out };
+  }
+
+  // Every knob the service takes, parsed from a query string (or body).
+  // defaults: per-route defaults for mode (weighting scheme) etc. Returns { opts } or { error }.
+  function parseEdgeOptions(q, defaults = {}) {
+    const date = String(q.date || "").trim();
+    if (date && !isValidISODate(date)) return { error: "Invalid date. Use YYYY-MM-DD (or omit date)." };
+
+    const scheme = parseWeighting(q, defaults.mode || "weighted");
+    if (scheme.error) return { error: scheme.error };
+    const shrink = parseShrink(q);
+    if (shrink.error) return { error: shrink.error };
+    const tiers = parseTierThresholds(q);
+    if (tiers.error) return { error: tiers.error };
+
+    const sourceRaw = String(q.source || "all").toLowerCase();
+    if (sourceRaw !== "all" && !PROP_COLLECTIONS[sourceRaw]) return { error: `Unknown source: ${sourceRaw}` };
+    const phase = String(q.phase || "all").toLowerCase();
+    if (!["all", "pregame", "live"].includes(phase)) return { error: "Invalid phase. Use pregame, live or all." };
+    const injuries = String(q.injuries || "drop").toLowerCase();
+    if (!["drop", "flag"].includes(injuries)) return { error: "Invalid injuries. Use drop or flag." };
+
+    return {
+      opts: {
+        date: date || null,
+        sources: sourceRaw === "all" ? Object.keys(PROP_COLLECTIONS) : [sourceRaw],
+        gamesN: Math.max(1, Math.min(defaults.maxGames || Infinity, Number(q.games || 10))),
+        minEdge: Math.max(0, Number(q.minEdge || 0)),
+        scheme,
+        shrink,
+        thresholds: tiers.thresholds,
+        projBy: parseProjBy(q.projBy),
+        oppAdjust: parseOppAdjust(q.oppAdjust),
+        tierBy: String(q.tierBy || "edge").toLowerCase() === "prob" ? "prob" : "edge",
+        against: String(q.against || "row").toLowerCase() === "best" ? "best" : "row",
+        phase,
+        injuries,
+        usage: parseUsage(q.usage)
+      }
+    };
+  }
+
+  // No date: the first prop date on or after today (ET), else the latest one
+  async function resolveEdgesDate(date) {
+    if (date) return date;
+    const todayET = getTodayET();
+    const dates = await listPropDates({ includeArchive: false });
+    if (dates.length === 0) return todayET;
+    const upcoming = dates.filter((d) => d >= todayET);
+    return upcoming.length ? upcoming[0] : dates[dates.length - 1];
+  }
+
+  function emptyCounts(rows, inPhase, props, opts) {
+    return { props: rows.length, otherPhase: rows.length - inPhase.length, markets: opts.against === "best" ? props.length : undefined, noStat: 0, ambiguousPlayer: 0, ruledOut: 0, noLine: 0, noHistory: 0, belowMinEdge: 0 };
+  }
+
+  // Logs keyed every way a prop can name its player: registry id, log id, name
+  function logsByPlayerKey(registry, logs) {
+    const byPlayer = new Map();
+    for (const g of logs) {
+      if (!g || !isValidISODate(g.gameDate || g.date)) continue;
+      const ptId = resolvePlayerRow(registry, "logs", g);
+      const pid = getPlayerIdFromLog(g);
+      for (const k of [ptId ? `pt:${ptId}` : null, edgeLogKey(pid, null), edgeLogKey(null, getPlayerNameFromLog(g))]) {
+        if (!k) continue;
+        if (!byPlayer.has(k)) byPlayer.set(k, []);
+        byPlayer.get(k).push(g); // queryGameLogs is newest first
+      }
+    }
+    return byPlayer;
+  }
+
+  function logsForProp(byPlayer, p, key) {
+    return (p.ptPlayerId && byPlayer.get(`pt:${p.ptPlayerId}`)) ||
+      (key.playerId && byPlayer.get(edgeLogKey(key.playerId, null))) ||
+      byPlayer.get(edgeLogKey(null, key.playerName)) || [];
+  }
+
+  // Every log id/name the registry knows for these props' players, plus the props'
+  // own id and name for players it can't place
+  function logFilterForProps(registry, props) {
+    const ident = playerLogIdentities(registry, props.map((p) => p.ptPlayerId));
+    const keys = props.map(extractPropKey);
+    return {
+      playerIds: [...ident.ids, ...keys.map((k) => k.playerId).filter(Boolean)],
+      playerNames: [...ident.names, ...keys.map((k) => k.playerName).filter(Boolean)]
+    };
+  }
+
+  // What the projection reads for one slate. before: only logs dated before it
+  // (a replayed slate); minutes overrides describe the live slate, so a replay skips them.
+  async function loadSlateContext(date, opts, props, registry, { before = null } = {}) {
+    const logs = await queryGameLogs({ ...logFilterForProps(registry, props), ...(before ? { before } : {}) });
+    const roster = buildRosterIndex(registry.players, await readCollection("teamMemberships", []));
+    const injuries = injuriesOn(await readCollection("injuries", []), date);
+    const allLogs = opts.usage ? await queryGameLogs(before ? { before } : {}) : [];
+    return {
+      date,
+      opts,
+      registry,
+      roster,
+      injuries,
+      byPlayer: logsByPlayerKey(registry, logs),
+      overrides: before ? {} : await readCollection("minutesOverrides", {}),
+      outByTeam: opts.usage ? buildTeammatesOut(injuries, roster, allLogs, date) : null,
+      oppFactors: opts.oppAdjust ? await opponentFactors({ before }) : null,
+      matchups: opts.oppAdjust ? await matchupsForDate(date) : null,
+      priors: opts.shrink.on ? await shrinkPriors({ before }) : null
+    };
+  }
+
+  // One prop (or best-line market) -> edge row, or null with the reason counted
+  function edgeForProp(ctx, p, counts) {
+    const { date, opts, registry, roster, injuries } = ctx;
+    const key = extractPropKey(p);
+    const stat = normalizeStatType(key.statType);
+    if (!stat) { counts.noStat++; return null; }
+
+    if (!p.ptPlayerId && isAmbiguousPlayerName(registry, key.playerName)) { counts.ambiguousPlayer++; return null; }
+    const games = logsForProp(ctx.byPlayer, p, key);
+    const ptId = p.ptPlayerId || rosterPlayerId(roster, games[0]);
+    const injury = ptId ? injuries.get(ptId) || null : null;
+    if (injury && injury.status === "out" && opts.injuries === "drop") { counts.ruledOut++; return null; }
+
+    const statGames = games.filter((g) => getStatFromLog(g, stat) !== null);
+    const est = schemeEstimate(statGames, opts.gamesN, opts.scheme, (g) => getStatFromLog(g, stat));
+    if (!est) { counts.noHistory++; return null; }
+
+    // Overrides and priors are keyed by the logs' id, which SGO props don't share
+    const logPlayerId = games[0] && getPlayerIdFromLog(games[0]) ? String(getPlayerIdFromLog(games[0])) : null;
+    const playerId = key.playerId || logPlayerId;
+    const mp = opts.projBy === "minutes"
+      ? minutesProjection(games, stat, opts.gamesN, { scheme: opts.scheme, override: minutesOverrideFor(ctx.overrides, logPlayerId, date) })
+      : null;
+    const rawProjection = mp ? mp.projection : est.value;
+    const sh = opts.shrink.on
+      ? shrinkProjection(ctx.priors, logPlayerId, stat, rawProjection, est.gp, opts.shrink.k)
+      : { value: rawProjection, prior: null, priorBasis: null, credibility: 1 };
+    const info = rosterInfo(roster, ptId, date);
+    const opp = opts.oppAdjust ? opponentAdjustment(ctx.oppFactors, ctx.matchups, p, games, stat, info) : { opponent: null, factor: 1 };
+    const team = info.team || key.team || latestLogField(games, "team");
+    const usage = opts.usage ? usageAdjustment(ctx.outByTeam, ptId, games, team, stat, date) : { factor: 1, teammates: [] };
+    const projection = sh.value * opp.factor * usage.factor;
+
+    const priced = p.__market ? marketQuoteFor(p.__market, projection) : p;
+    const line = extractPropLine(priced);
+    if (line === null) { counts.noLine++; return null; }
+
+    const edge = projection - line;
+    const absEdge = Math.abs(edge);
+    if (absEdge < opts.minEdge) { counts.belowMinEdge++; return null; }
+
+    const values = statGames.slice(0, opts.gamesN).map((g) => getStatFromLog(g, stat));
+    const prob = probabilityFields(values, stat, projection, line);
+    const baseTier = opts.tierBy === "prob" ? prob.probTier : edgeTierFor(stat, absEdge, opts.thresholds);
+
+    return {
+      tier: capTierByConfidence(baseTier, opts.shrink.on ? sh.credibility : null),
+      date,
+      source: priced.source || p.source,
+      playerId,
+      ptPlayerId: p.ptPlayerId || null,
+      playerName: key.playerName || latestLogField(games, "playerName") || null,
+      team: team || null,
+      opponent: opp.opponent,
+      gameId: p.gameId || null,
+      startsAt: p.startsAt || null,
+      phase: p.phase || null,
+      stat,
+      statType: key.statType,
+      line: Number(line.toFixed(2)),
+      projection: Number(projection.toFixed(3)),
+      rawProjection: Number(rawProjection.toFixed(3)),
+      avgProjection: Number(est.value.toFixed(3)),
+      edge: Number(edge.toFixed(3)),
+      absEdge: Number(absEdge.toFixed(3)),
+      gamesUsed: est.gp,
+      oppFactor: opp.factor,
+      injuryStatus: injury ? injury.status : null,
+      usageFactor: usage.factor,
+      teammatesOut: usage.teammates,
+      ...shrinkFields(sh),
+      ...(mp ? minutesFields(mp) : noMinutesFields()),
+      ...prob,
+      ...oddsFields(priced, prob.pOver, prob.pUnder),
+      ...(p.__market ? { book: priced.book, books: p.__market.books, consensusLine: p.__market.consensusLine, lineSpread: p.__market.lineSpread } : {}),
+      ...(opts.includeRawProp && !p.__market ? { rawProp: p } : {})
+    };
+  }
+
+  // A -> C, then by absEdge (or pLean when tiering by probability)
+  function sortEdges(edges, opts) {
+    const tierRank = { A: 1, B: 2, C: 3 };
+    return edges.sort((a, b) =>
+      (tierRank[a.tier] - tierRank[b.tier]) ||
+      (opts.tierBy === "prob" ? (b.pLean || 0) - (a.pLean || 0) : b.absEdge - a.absEdge)
+    );
+  }
+
+  function finishCounts(counts, edges) {
+    counts.edges = edges.length;
+    for (const t of ["A", "B", "C"]) counts[t] = edges.filter((e) => e.tier === t).length;
+    return counts;
+  }
+
+  // Returns { date, opts, counts, edges } with edges sorted A -> C
+  async function computeEdges(opts) {
+    const date = await resolveEdgesDate(opts.date);
+
+    const registry = buildPlayerIndex(await readCollection("players", {}));
+    const rows = [];
+    for (const source of opts.sources) {
+      for (const p of await queryPropLines({ source, date })) {
+        const row = { ...p, source };
+        row.ptPlayerId = resolvePlayerRow(registry, source, row);
+        rows.push(row);
+      }
+    }
+    // phase=pregame|live keeps only lines captured before / after tip-off (unlinked rows have no phase)
+    const inPhase = opts.phase && opts.phase !== "all" ? rows.filter((r) => r.phase === opts.phase) : rows;
+    // against=best: one row per market, line chosen once the projection is known
+    const props = opts.against === "best" ? buildMarkets(inPhase).map((m) => ({ ...m, line: m.consensusLine, __market: m })) : inPhase;
+
+    const ctx = await loadSlateContext(date, opts, props, registry);
+    const counts = emptyCounts(rows, inPhase, props, opts);
+    const edges = [];
+    for (const p of props) {
+      const e = edgeForProp(ctx, p, counts);
+      if (e) edges.push(e);
+    }
+
+    sortEdges(edges, opts);
+    return { date, opts, counts: finishCounts(counts, edges), edges };
+  }
+
+  // An archived slate through the same pipeline, seeing only logs dated before it.
+  // props: the archive's rows, each with its source. Returns { counts, rows: [{ prop, edge, result }] }
+  // where result is the player's log from that date (null when there is none).
+  async function replaySlate(date, opts, props) {
+    const registry = buildPlayerIndex(await readCollection("players", {}));
+    const rows = props
+      .filter((p) => opts.sources.includes(p.source))
+      .map((p) => ({ ...p, ptPlayerId: resolvePlayerRow(registry, p.source, p) }));
+    const inPhase = opts.phase && opts.phase !== "all" ? rows.filter((r) => r.phase === opts.phase) : rows;
+
+    const ctx = await loadSlateContext(date, opts, inPhase, registry, { before: date });
+    const results = logsByPlayerKey(registry, await queryGameLogs({ ...logFilterForProps(registry, inPhase), from: date, to: date }));
+    const counts = emptyCounts(rows, inPhase, inPhase, { against: "row" });
+    const out = [];
+    for (const p of inPhase) {
+      const edge = edgeForProp(ctx, p, counts);
+      if (!edge) continue;
+      out.push({ prop: p, edge, result: logsForProp(results, p, extractPropKey(p))[0] || null });
+    }
+    return { counts: finishCounts(counts, out.map((r) => r.edge)), rows: out };
+  }
+
+  return { parseEdgeOptions, resolveEdgesDate, computeEdges, replaySlate };
+}
+
+module.exports = { EDGE_TIER_THRESHOLDS, edgeTierFor, groupEdgesByTier, createEdgesService };
@@ -122,10 +122,100 @@ function renderLeaders(data) {
   wrap.appendChild(meta);
 
   const leaders = data.leaders;
-  wrap.appendChild(tableForLeaders(leaders.points || [], "Points"));
-  wrap.appendChild(tableForLeaders(leaders.rebounds || [], "Rebounds"));
-  wrap.appendChild(tableForLeaders(leaders.assists || [], "Assists"));
-  wrap.appendChild(tableForLeaders(leaders.threes || [], "3PT Made"));
+  for (const s of leaderStats(data)) wrap.appendChild(tableForLeaders(leaders[s.leaders] || [], s.label));
+}
+
+// Stat list comes from the server registry; older responses only had these four
+function leaderStats(data) {
+  if (Array.isArray(data.stats) && data.stats.length) return data.stats;
+  return [
+    { leaders: "points", label: "Points" },
+    { leaders: "rebounds", label: "Rebounds" },
+    { leaders: "assists", label: "Assists" },
+    { leaders: "threes", label: "3PT Made" }
+  ];
+}
+
+// Game-log stat columns (Recent Games tables, team player lists) come from the
+// stat registry: every single, non-binary stat read straight from one log field.
+// The four basics stand in until /api/nba/stats/registry answers.
+let logStatColumns = [
+  { code: "PTS", field: "pts" },
+  { code: "REB", field: "reb" },
+  { code: "AST", field: "ast" },
+  { code: "3PM", field: "fg3m" }
+];
+
+let logStatColumnsLoad = null;
+
+function loadLogStatColumns() {
+  if (!logStatColumnsLoad) {
+    logStatColumnsLoad = apiGet("/api/nba/stats/registry")
+      .then((data) => {
+        const stats = (data && Array.isArray(data.stats) ? data.stats : [])
+          .filter((d) => !d.combo && !d.binary && Array.isArray(d.logFields) && d.logFields.length === 1);
+        if (stats.length) logStatColumns = stats.map((d) => ({ code: d.code, field: d.logFields[0] }));
+        return logStatColumns;
+      })
+      .catch(() => {
+        logStatColumnsLoad = null;
+        return logStatColumns;
+      });
+  }
+  return logStatColumnsLoad;
+}
+
+function logStatValue(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Only the columns these games carry (older imports have just the basics)
+function logColumnsFor(games) {
+  const cols = logStatColumns.filter((c) => (games || []).some((g) => logStatValue(g[c.field]) !== null));
+  return cols.length ? cols : logStatColumns;
+}
+
+// `${code}5` / `${code}10` averages per column, games played and the PTS trend (L5 - L10)
+function logStatMetrics(games, cols) {
+  const mean = (arr, field) => {
+    const xs = arr.map((g) => logStatValue(g[field])).filter((x) => x !== null);
+    return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+  };
+  const m = { gp: games.length };
+  for (const c of cols) {
+    m[`${c.code}5`] = mean(games.slice(0, 5), c.field);
+    m[`${c.code}10`] = mean(games.slice(0, 10), c.field);
+  }
+  m.trendPts = m.PTS5 != null && m.PTS10 != null ? m.PTS5 - m.PTS10 : null;
+  return m;
+}
+
+// Team player table: GP, then each column's L5, with PTS L10 and the trend next to PTS L5
+function teamPlayerColumns(cols) {
+  const fmt1 = (x) => (x === null || x === undefined ? "" : x.toFixed(1));
+  const out = [{ key: "gp", label: "GP", value: (m) => String(m.gp) }];
+  for (const c of cols) {
+    out.push({ key: `${c.code}5`, label: `${c.code} L5`, value: (m) => fmt1(m[`${c.code}5`]) });
+    if (c.code === "PTS") {
+      out.push({ key: "PTS10", label: "PTS L10", value: (m) => fmt1(m.PTS10) });
+      out.push({ key: "trendPts", label: "Trend", sortLabel: "Trend PTS (L5-L10)", value: (m) => (m.trendPts === null ? "" : (m.trendPts >= 0 ? "+" : "") + fmt1(m.trendPts)) });
+    }
+  }
+  return out;
+}
+
+// Rebuilds a player sort <select> for the current columns, keeping the choice when it still exists
+function syncLogSortSelect(sel, cols, prefix = "") {
+  if (!sel) return;
+  const opts = [...teamPlayerColumns(cols).filter((c) => c.key !== "gp"), { key: "gp", label: "GP" }, { key: "name", label: "Name A→Z" }];
+  const html = opts.map((o) => `<option value="${escapeHtml(o.key)}">${escapeHtml(prefix + (o.sortLabel || o.label))}</option>`).join("");
+  if (sel.dataset.logCols === html) return;
+  const current = sel.value;
+  sel.innerHTML = html;
+  sel.dataset.logCols = html;
+  sel.value = opts.some((o) => o.key === current) ? current : "PTS5";
 }
 
 function renderEdges(data) {
@@ -1043,7 +1133,7 @@ function wireUI() {
       if (!box) return;
 
       if (!data.exists) {
-        box.textContent = `No archive exists for ${date}.\n\nRun "Archive Props For Date" first.`;
+        box.textContent = `No line history or archive exists for ${date}.\n\nImport props for the date first.`;
         return;
       }
 
@@ -1573,7 +1663,7 @@ function wireUI() {
       try {
         const data = await apiGet2(`/api/props/line-moves?date=${encodeURIComponent(date)}&source=${encodeURIComponent(source)}&limit=${encodeURIComponent(limit)}`);
         if (!data.exists) {
-          pre.textContent = `No archive exists for ${date}.\nArchive first, then line movers will work.`;
+          pre.textContent = `No line history or archive exists for ${date}.\nImport props first, then line movers will work.`;
           return;
         }
         const moves = Array.isArray(data.moves) ? data.moves : [];
@@ -2705,10 +2795,10 @@ function wireUI() {
     grid.style.gap = "12px";
 
     const leaders = data.leaders || {};
-    grid.appendChild(renderGroup(leaders.points || [], "Points Leaders", "indigo"));
-    grid.appendChild(renderGroup(leaders.rebounds || [], "Rebounds Leaders", "green"));
-    grid.appendChild(renderGroup(leaders.assists || [], "Assists Leaders", "cyan"));
-    grid.appendChild(renderGroup(leaders.threes || [], "3PM Leaders", "amber"));
+    const tones = ["indigo", "green", "cyan", "amber"];
+    leaderStats(data).forEach((s, i) => {
+      grid.appendChild(renderGroup(leaders[s.leaders] || [], `${s.label} Leaders`, tones[i % tones.length]));
+    });
 
     wrap.appendChild(grid);
   };
@@ -3417,17 +3507,18 @@ function wireUI() {
       const source = r.source || r.book || "";
 
       const e = num(edge);
+      // Color by the server's tier (per-stat thresholds); rows without one take the open tab
+      const tier = r.tier || state.tier;
       let edgeStyle = "";
       if (e !== null) {
-        const abs = Math.abs(e);
-        if (abs >= 5) edgeStyle = "background: rgba(16,185,129,.12); border: 1px solid rgba(16,185,129,.22);";
-        else if (abs >= 3) edgeStyle = "background: rgba(6,182,212,.10); border: 1px solid rgba(6,182,212,.20);";
+        if (tier === "A") edgeStyle = "background: rgba(16,185,129,.12); border: 1px solid rgba(16,185,129,.22);";
+        else if (tier === "B") edgeStyle = "background: rgba(6,182,212,.10); border: 1px solid rgba(6,182,212,.20);";
         else edgeStyle = "background: rgba(245,158,11,.12); border: 1px solid rgba(245,158,11,.22);";
       }
 
       const tr = document.createElement("tr");
       tr.innerHTML = `
-        <td style="font-weight:800;">${esc(player)}</td>
+        <td style="font-weight:800;">${esc(player)}${r.injuryStatus ? ` <span class="muted" style="font-size:11px;font-weight:900;color:#b91c1c;">${esc(r.injuryStatus.toUpperCase())}</span>` : ""}</td>
         <td>${esc(stat)}</td>
         <td>${esc(line)}</td>
         <td>${esc(proj === "" ? "" : (typeof proj === "number" ? fmt(proj, 2) : proj))}</td>
@@ -4437,33 +4528,31 @@ function wireUI() {
     return db.localeCompare(da);
   }
 
-  // Build player->team mapping:
-  // 1) prefer gameLog.team if present
-  // 2) else fallback to props lines team by playerId/playerName (best-effort)
-  function buildTeamIndex(db) {
+  // Build player->team mapping from the roster store (/api/roster, current
+  // memberships); players not on a roster fall back to their newest log's team
+  function buildTeamIndex(db, roster) {
     const logs = Array.isArray(db.nbaPlayerGameLogs) ? db.nbaPlayerGameLogs : [];
-    const sgo = Array.isArray(db.sgoPropLines) ? db.sgoPropLines : [];
-    const hr  = Array.isArray(db.hardrockPropLines) ? db.hardrockPropLines : [];
-
-    const propsAll = [...sgo, ...hr];
+    const members = Array.isArray(roster && roster.players) ? roster.players : [];
 
     const teamByPlayerId = new Map();
-    const teamByPlayerName = new Map();
-
-    // from props
-    for (const p of propsAll) {
-      const t = (p.team || "").trim();
-      if (!t) continue;
-      if (p.playerId) teamByPlayerId.set(String(p.playerId), t);
-      if (p.playerName) teamByPlayerName.set(String(p.playerName), t);
+    const positionByPlayerId = new Map();
+
+    // from roster (registry id + every log id the registry knows for the player)
+    for (const m of members) {
+      for (const id of [m.playerId, ...(m.logIds || [])]) {
+        teamByPlayerId.set(String(id), m.team);
+        if (m.position) positionByPlayerId.set(String(id), m.position);
+      }
     }
 
-    // from logs
-    for (const g of logs) {
+    // from logs (newest game wins), only for players the roster doesn't cover
+    const byDate = logs.slice().sort(sortByDateDesc);
+    for (const g of byDate) {
       const t = (g.team || g.teamAbbr || "").trim();
-      if (!t) continue;
-      if (g.playerId) teamByPlayerId.set(String(g.playerId), t);
-      if (g.playerName) teamByPlayerName.set(String(g.playerName), t);
+      const pid = g.playerId ? String(g.playerId) : "";
+      if (!t || !pid || teamByPlayerId.has(pid)) continue;
+      if (g.ptPlayerId && teamByPlayerId.has(String(g.ptPlayerId))) continue;
+      teamByPlayerId.set(pid, t);
     }
 
     // team -> players -> games
@@ -4473,16 +4562,16 @@ function wireUI() {
       const pid = g.playerId ? String(g.playerId) : "";
       const pname = g.playerName ? String(g.playerName) : "Unknown";
       const t =
-        (g.team || g.teamAbbr || "").trim() ||
+        (g.ptPlayerId && teamByPlayerId.get(String(g.ptPlayerId))) ||
         (pid && teamByPlayerId.get(pid)) ||
-        (pname && teamByPlayerName.get(pname)) ||
         "UNK";
 
       if (!teams.has(t)) teams.set(t, new Map());
       const players = teams.get(t);
 
       const key = pid || pname;
-      if (!players.has(key)) players.set(key, { playerId: pid, playerName: pname, team: t, games: [] });
+      const position = (g.ptPlayerId && positionByPlayerId.get(String(g.ptPlayerId))) || (pid && positionByPlayerId.get(pid)) || g.position || "";
+      if (!players.has(key)) players.set(key, { playerId: pid, playerName: pname, team: t, position, games: [] });
       players.get(key).games.push(g);
     }
 
@@ -4494,42 +4583,8 @@ function wireUI() {
     return teams;
   }
 
-  function computePlayerMetrics(player) {
-    const games = player.games || [];
-    const gp = games.length;
-
-    const takeN = (n) => games.slice(0, n);
-
-    const l5 = takeN(5);
-    const l10 = takeN(10);
-
-    const metric = (arr, key) => avg(arr.map((g) => g[key]));
-
-    const pts5  = metric(l5, "pts");
-    const reb5  = metric(l5, "reb");
-    const ast5  = metric(l5, "ast");
-    const tpm5  = metric(l5, "fg3m");
-
-    const pts10 = metric(l10, "pts");
-    const reb10 = metric(l10, "reb");
-    const ast10 = metric(l10, "ast");
-    const tpm10 = metric(l10, "fg3m");
-
-    const ptsAll = metric(games, "pts");
-    const rebAll = metric(games, "reb");
-    const astAll = metric(games, "ast");
-    const tpmAll = metric(games, "fg3m");
-
-    // simple “trend”: L5 - L10 (positive = heating up)
-    const trendPts = (pts5 !== null && pts10 !== null) ? (pts5 - pts10) : null;
-
-    return {
-      gp,
-      pts5, reb5, ast5, tpm5,
-      pts10, reb10, ast10, tpm10,
-      ptsAll, rebAll, astAll, tpmAll,
-      trendPts
-    };
+  function computePlayerMetrics(player, cols) {
+    return logStatMetrics(player.games || [], cols);
   }
 
   function ensureTeamsSection() {
@@ -4551,14 +4606,6 @@ function wireUI() {
       <div style="margin-top:10px; display:flex; gap:10px; flex-wrap:wrap; align-items:center;">
         <input id="ptTeamSearch" placeholder="Search team (e.g. BOS) or player…" style="flex:1; min-width:220px;" />
         <select id="ptTeamSort" style="max-width:240px;">
-          <option value="pts5">Sort players: PTS L5</option>
-          <option value="pts10">Sort players: PTS L10</option>
-          <option value="trendPts">Sort players: Trend PTS (L5-L10)</option>
-          <option value="reb5">Sort players: REB L5</option>
-          <option value="ast5">Sort players: AST L5</option>
-          <option value="tpm5">Sort players: 3PM L5</option>
-          <option value="gp">Sort players: GP</option>
-          <option value="name">Sort players: Name A→Z</option>
         </select>
         <button id="ptTeamsRefreshBtn" type="button">Refresh Teams</button>
       </div>
@@ -4691,12 +4738,15 @@ function wireUI() {
     function renderTeamPlayers(team, playersMap) {
       playersList.innerHTML = "";
 
+      const cols = logColumnsFor([...playersMap.values()].flatMap((p) => p.games || []));
+      const tcols = teamPlayerColumns(cols);
       const players = [...playersMap.values()].map((p) => {
-        const m = computePlayerMetrics(p);
+        const m = computePlayerMetrics(p, cols);
         return { ...p, m };
       });
 
-      const sortKey = ($("ptTeamSort")?.value || "pts5");
+      syncLogSortSelect($("ptTeamSort"), cols, "Sort players: ");
+      const sortKey = ($("ptTeamSort")?.value || "PTS5");
       players.sort((a, b) => {
         if (sortKey === "name") return String(a.playerName).localeCompare(String(b.playerName));
         const av = a.m[sortKey];
@@ -4719,13 +4769,7 @@ function wireUI() {
         <thead>
           <tr>
             <th>Player</th>
-            <th>GP</th>
-            <th>PTS L5</th>
-            <th>PTS L10</th>
-            <th>Trend</th>
-            <th>REB L5</th>
-            <th>AST L5</th>
-            <th>3PM L5</th>
+            ${tcols.map((c) => `<th>${esc(c.label)}</th>`).join("")}
           </tr>
         </thead>
       `;
@@ -4737,13 +4781,7 @@ function wireUI() {
         tr.style.cursor = "pointer";
         tr.innerHTML = `
           <td style="font-weight:900;">${esc(p.playerName)}</td>
-          <td>${esc(p.m.gp)}</td>
-          <td>${esc(fmt(p.m.pts5, 1))}</td>
-          <td>${esc(fmt(p.m.pts10, 1))}</td>
-          <td>${esc(p.m.trendPts === null ? "" : (p.m.trendPts >= 0 ? "+" : "") + fmt(p.m.trendPts, 1))}</td>
-          <td>${esc(fmt(p.m.reb5, 1))}</td>
-          <td>${esc(fmt(p.m.ast5, 1))}</td>
-          <td>${esc(fmt(p.m.tpm5, 1))}</td>
+          ${tcols.map((c) => `<td>${esc(c.value(p.m))}</td>`).join("")}
         `;
         tr.addEventListener("click", () => renderPlayerDetail(team, p));
         tb.appendChild(tr);
@@ -4762,22 +4800,24 @@ function wireUI() {
       const g = (p.games || []).slice().sort(sortByDateDesc);
       const l5 = g.slice(0, 5);
       const l10 = g.slice(0, 10);
+      const cols = logColumnsFor(g);
+      const avgText = (games) => cols.map((c) => `${c.code} ${fmt(avg(games.map((x) => x[c.field])), 1)}`).join(" • ");
 
       const block = document.createElement("div");
       block.innerHTML = `
         <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;">
-          <div style="font-weight:950;font-size:16px;">${esc(team)} • ${esc(p.playerName)}</div>
+          <div style="font-weight:950;font-size:16px;">${esc(team)} • ${esc(p.playerName)}${p.position ? ` (${esc(p.position)})` : ""}</div>
           <div class="muted">GP: ${esc(g.length)}</div>
         </div>
 
         <div style="margin-top:10px; display:grid; grid-template-columns:repeat(auto-fit,minmax(180px,1fr)); gap:10px;">
           <div style="border:1px solid rgba(226,232,240,.95); border-radius:16px; padding:10px; background:rgba(255,255,255,.85);">
             <div class="muted" style="font-weight:900;">Last 5 Avg</div>
-            <div style="margin-top:6px; font-weight:900;">PTS ${esc(fmt(avg(l5.map(x=>x.pts)),1))} • REB ${esc(fmt(avg(l5.map(x=>x.reb)),1))} • AST ${esc(fmt(avg(l5.map(x=>x.ast)),1))} • 3PM ${esc(fmt(avg(l5.map(x=>x.fg3m)),1))}</div>
+            <div style="margin-top:6px; font-weight:900;">${esc(avgText(l5))}</div>
           </div>
           <div style="border:1px solid rgba(226,232,240,.95); border-radius:16px; padding:10px; background:rgba(255,255,255,.85);">
             <div class="muted" style="font-weight:900;">Last 10 Avg</div>
-            <div style="margin-top:6px; font-weight:900;">PTS ${esc(fmt(avg(l10.map(x=>x.pts)),1))} • REB ${esc(fmt(avg(l10.map(x=>x.reb)),1))} • AST ${esc(fmt(avg(l10.map(x=>x.ast)),1))} • 3PM ${esc(fmt(avg(l10.map(x=>x.fg3m)),1))}</div>
+            <div style="margin-top:6px; font-weight:900;">${esc(avgText(l10))}</div>
           </div>
         </div>
 
@@ -4785,16 +4825,13 @@ function wireUI() {
         <div style="overflow-x:auto;margin-top:6px;">
           <table>
             <thead>
-              <tr><th>Date</th><th>PTS</th><th>REB</th><th>AST</th><th>3PM</th></tr>
+              <tr><th>Date</th>${cols.map((c) => `<th>${esc(c.code)}</th>`).join("")}</tr>
             </thead>
             <tbody>
               ${g.slice(0, 12).map(row => `
                 <tr>
                   <td>${esc(row.gameDate)}</td>
-                  <td>${esc(row.pts ?? "")}</td>
-                  <td>${esc(row.reb ?? "")}</td>
-                  <td>${esc(row.ast ?? "")}</td>
-                  <td>${esc(row.fg3m ?? "")}</td>
+                  ${cols.map((c) => `<td>${esc(row[c.field] ?? "")}</td>`).join("")}
                 </tr>
               `).join("")}
             </tbody>
@@ -4820,8 +4857,8 @@ function wireUI() {
     const refresh = async () => {
       try {
         if (meta) meta.textContent = "Loading DB…";
-        const db = await apiGet("/api/db/export");
-        const idx = buildTeamIndex(db);
+        const [db, roster] = await Promise.all([apiGet("/api/db/export"), apiGet("/api/roster"), loadLogStatColumns()]);
+        const idx = buildTeamIndex(db, roster);
         globalThis.__PT_TEAMS_INDEX__ = idx;
         renderTeamsUI(idx);
         if (meta) meta.textContent = `teams: ${idx.size} • ready`;
@@ -5119,35 +5156,35 @@ function wireUI() {
     return String(b.gameDate || "").localeCompare(String(a.gameDate || ""));
   }
 
-  function inferTeamMaps(db) {
+  // player id -> team (and position): roster store first (/api/roster; registry
+  // id and every log id it knows), then the player's newest log
+  function rosterTeamMap(db, roster) {
     const logs = Array.isArray(db.nbaPlayerGameLogs) ? db.nbaPlayerGameLogs : [];
-    const sgo = Array.isArray(db.sgoPropLines) ? db.sgoPropLines : [];
-    const hr  = Array.isArray(db.hardrockPropLines) ? db.hardrockPropLines : [];
-    const propsAll = [...sgo, ...hr];
-
+    const members = Array.isArray(roster && roster.players) ? roster.players : [];
     const byId = new Map();
-    const byName = new Map();
+    const positionById = new Map();
 
-    for (const p of propsAll) {
-      const t = (p.team || "").trim();
-      if (!t) continue;
-      if (p.playerId) byId.set(String(p.playerId), t);
-      if (p.playerName) byName.set(String(p.playerName), t);
+    for (const m of members) {
+      for (const id of [m.playerId, ...(m.logIds || [])]) {
+        byId.set(String(id), m.team);
+        if (m.position) positionById.set(String(id), m.position);
+      }
     }
 
-    for (const g of logs) {
+    for (const g of logs.slice().sort(sortByDateDesc)) {
       const t = (g.team || g.teamAbbr || "").trim();
-      if (!t) continue;
-      if (g.playerId) byId.set(String(g.playerId), t);
-      if (g.playerName) byName.set(String(g.playerName), t);
+      const pid = g.playerId ? String(g.playerId) : "";
+      if (!t || !pid || byId.has(pid)) continue;
+      if (g.ptPlayerId && byId.has(String(g.ptPlayerId))) continue;
+      byId.set(pid, t);
     }
 
-    return { byId, byName };
+    return { byId, positionById };
   }
 
-  function buildTeamsIndex(db) {
+  function buildTeamsIndex(db, roster) {
     const logs = Array.isArray(db.nbaPlayerGameLogs) ? db.nbaPlayerGameLogs : [];
-    const { byId, byName } = inferTeamMaps(db);
+    const { byId, positionById } = rosterTeamMap(db, roster);
 
     const teams = new Map(); // team -> Map(playerKey -> playerObj)
 
@@ -5156,16 +5193,16 @@ function wireUI() {
       const pname = g.playerName ? String(g.playerName) : "Unknown";
 
       const team =
-        (g.team || g.teamAbbr || "").trim() ||
+        (g.ptPlayerId && byId.get(String(g.ptPlayerId))) ||
         (pid && byId.get(pid)) ||
-        (pname && byName.get(pname)) ||
         "UNK";
 
       if (!teams.has(team)) teams.set(team, new Map());
       const players = teams.get(team);
 
       const key = pid || pname;
-      if (!players.has(key)) players.set(key, { playerId: pid, playerName: pname, team, games: [] });
+      const position = (g.ptPlayerId && positionById.get(String(g.ptPlayerId))) || (pid && positionById.get(pid)) || g.position || "";
+      if (!players.has(key)) players.set(key, { playerId: pid, playerName: pname, team, position, games: [] });
       players.get(key).games.push(g);
     }
 
@@ -5177,20 +5214,8 @@ function wireUI() {
     return teams;
   }
 
-  function metricsForPlayer(p) {
-    const games = p.games || [];
-    const gp = games.length;
-    const l5 = games.slice(0, 5);
-    const l10 = games.slice(0, 10);
-
-    const m = (arr, key) => avg(arr.map((x) => x[key]));
-
-    const pts5 = m(l5, "pts"), reb5 = m(l5, "reb"), ast5 = m(l5, "ast"), tpm5 = m(l5, "fg3m");
-    const pts10 = m(l10, "pts"), reb10 = m(l10, "reb"), ast10 = m(l10, "ast"), tpm10 = m(l10, "fg3m");
-
-    const trendPts = (pts5 !== null && pts10 !== null) ? (pts5 - pts10) : null;
-
-    return { gp, pts5, reb5, ast5, tpm5, pts10, reb10, ast10, tpm10, trendPts };
+  function metricsForPlayer(p, cols) {
+    return logStatMetrics(p.games || [], cols);
   }
 
   function ensureTeamsUI() {
@@ -5217,14 +5242,6 @@ function wireUI() {
       <div style="margin-top:10px; display:flex; gap:10px; flex-wrap:wrap; align-items:center;">
         <input id="ptTeamsSearch" placeholder="Search team or player…" style="flex:1; min-width:220px;" />
         <select id="ptTeamsSort" style="max-width:240px;">
-          <option value="pts5">PTS L5</option>
-          <option value="pts10">PTS L10</option>
-          <option value="trendPts">Trend PTS (L5-L10)</option>
-          <option value="reb5">REB L5</option>
-          <option value="ast5">AST L5</option>
-          <option value="tpm5">3PM L5</option>
-          <option value="gp">GP</option>
-          <option value="name">Name A→Z</option>
         </select>
         <button id="ptTeamsReload" type="button">Reload</button>
       </div>
@@ -5254,7 +5271,10 @@ function wireUI() {
     const playersWrap = $("ptTeamsPlayers");
     const detail = $("ptTeamsPlayerDetail");
     const q = ($("ptTeamsSearch")?.value || "").trim().toLowerCase();
-    const sortKey = ($("ptTeamsSort")?.value || "pts5");
+    const cols = logColumnsFor([...teamsIndex.values()].flatMap((m) => [...m.values()].flatMap((p) => p.games || [])));
+    const tcols = teamPlayerColumns(cols);
+    syncLogSortSelect($("ptTeamsSort"), cols);
+    const sortKey = ($("ptTeamsSort")?.value || "PTS5");
 
     if (!teamsList || !playersWrap || !detail) return;
 
@@ -5304,7 +5324,7 @@ function wireUI() {
       const playersMap = teamsIndex.get(team);
       if (!playersMap) return;
 
-      let players = [...playersMap.values()].map((p) => ({ ...p, m: metricsForPlayer(p) }));
+      let players = [...playersMap.values()].map((p) => ({ ...p, m: metricsForPlayer(p, cols) }));
 
       // filter by search
       if (q) {
@@ -5323,7 +5343,7 @@ function wireUI() {
       t.innerHTML = `
         <thead>
           <tr>
-            <th>Player</th><th>GP</th><th>PTS L5</th><th>PTS L10</th><th>Trend</th><th>REB L5</th><th>AST L5</th><th>3PM L5</th>
+            <th>Player</th>${tcols.map((c) => `<th>${esc(c.label)}</th>`).join("")}
           </tr>
         </thead>
       `;
@@ -5334,13 +5354,7 @@ function wireUI() {
         tr.style.cursor = "pointer";
         tr.innerHTML = `
           <td style="font-weight:900;">${esc(p.playerName)}</td>
-          <td>${esc(p.m.gp)}</td>
-          <td>${esc(fmt(p.m.pts5, 1))}</td>
-          <td>${esc(fmt(p.m.pts10, 1))}</td>
-          <td>${esc(p.m.trendPts === null ? "" : (p.m.trendPts >= 0 ? "+" : "") + fmt(p.m.trendPts, 1))}</td>
-          <td>${esc(fmt(p.m.reb5, 1))}</td>
-          <td>${esc(fmt(p.m.ast5, 1))}</td>
-          <td>${esc(fmt(p.m.tpm5, 1))}</td>
+          ${tcols.map((c) => `<td>${esc(c.value(p.m))}</td>`).join("")}
         `;
         tr.addEventListener("click", () => renderPlayer(team, p));
         tb.appendChild(tr);
@@ -5367,12 +5381,14 @@ function wireUI() {
         </div>
       `;
 
-      const l5Text = `PTS ${fmt(avg(l5.map(x=>x.pts)),1)} • REB ${fmt(avg(l5.map(x=>x.reb)),1)} • AST ${fmt(avg(l5.map(x=>x.ast)),1)} • 3PM ${fmt(avg(l5.map(x=>x.fg3m)),1)}`;
-      const l10Text = `PTS ${fmt(avg(l10.map(x=>x.pts)),1)} • REB ${fmt(avg(l10.map(x=>x.reb)),1)} • AST ${fmt(avg(l10.map(x=>x.ast)),1)} • 3PM ${fmt(avg(l10.map(x=>x.fg3m)),1)}`;
+      const gcols = logColumnsFor(games);
+      const avgText = (arr) => gcols.map((c) => `${c.code} ${fmt(avg(arr.map((x) => x[c.field])), 1)}`).join(" • ");
+      const l5Text = avgText(l5);
+      const l10Text = avgText(l10);
 
       detail.innerHTML = `
         <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;">
-          <div style="font-weight:950;font-size:16px;">${esc(team)} • ${esc(p.playerName)}</div>
+          <div style="font-weight:950;font-size:16px;">${esc(team)} • ${esc(p.playerName)}${p.position ? ` (${esc(p.position)})` : ""}</div>
           <div class="muted">GP: ${esc(games.length)}</div>
         </div>
 
@@ -5384,15 +5400,12 @@ function wireUI() {
         <div class="muted" style="font-weight:900;margin-top:12px;">Recent Games</div>
         <div style="overflow-x:auto;margin-top:6px;">
           <table>
-            <thead><tr><th>Date</th><th>PTS</th><th>REB</th><th>AST</th><th>3PM</th></tr></thead>
+            <thead><tr><th>Date</th>${gcols.map((c) => `<th>${esc(c.code)}</th>`).join("")}</tr></thead>
             <tbody>
               ${games.slice(0, 12).map(g => `
                 <tr>
                   <td>${esc(g.gameDate)}</td>
-                  <td>${esc(g.pts ?? "")}</td>
-                  <td>${esc(g.reb ?? "")}</td>
-                  <td>${esc(g.ast ?? "")}</td>
-                  <td>${esc(g.fg3m ?? "")}</td>
+                  ${gcols.map((c) => `<td>${esc(g[c.field] ?? "")}</td>`).join("")}
                 </tr>
               `).join("")}
             </tbody>
@@ -5411,8 +5424,8 @@ function wireUI() {
     const meta = $("ptTeamsMeta");
     try {
       if (meta) meta.textContent = "Loading DB…";
-      const db = await apiGet("/api/db/export");
-      const idx = buildTeamsIndex(db);
+      const [db, roster] = await Promise.all([apiGet("/api/db/export"), apiGet("/api/roster"), loadLogStatColumns()]);
+      const idx = buildTeamsIndex(db, roster);
       globalThis.__PT_TEAMS_INDEX__ = idx;
       renderTeams(idx);
       if (window.ptToast) window.ptToast("Teams ready ✅", "ok");
@@ -5495,18 +5508,58 @@ function wireUI() {
       .replaceAll("'", "&#039;");
   }
 
+  // code -> "+"-joined log columns, filled from /api/nba/stats/registry
+  const registryFields = new Map();
+
+  async function loadStatOptions() {
+    try {
+      const r = await fetch("/api/nba/stats/registry");
+      const data = await r.json();
+      const stats = (data && Array.isArray(data.stats) ? data.stats : []).filter((d) => Array.isArray(d.logFields));
+      if (!stats.length) return;
+      globalThis.__PT_STAT_REGISTRY__ = data.stats;
+
+      const sel = document.getElementById("ptHitStat");
+      const current = sel ? sel.value : "PTS";
+      for (const d of stats) registryFields.set(d.code, d.logFields.join("+"));
+      if (sel) {
+        sel.innerHTML = stats.map((d) => `<option value="${esc(d.code)}">${esc(d.label)}</option>`).join("");
+        sel.value = registryFields.has(current) ? current : "PTS";
+      }
+    } catch {
+      // keep the built-in options
+    }
+  }
+
   function statKeyFromChoice(choice) {
+    if (registryFields.has(choice)) return registryFields.get(choice);
     const c = String(choice || "").toLowerCase();
     if (c === "pts" || c === "points") return "pts";
     if (c === "reb" || c === "rebounds") return "reb";
     if (c === "ast" || c === "assists") return "ast";
     if (c === "3pm" || c === "threes") return "fg3m";
+    // Combos: "+"-joined log columns, summed per game
+    if (c === "pra") return "pts+reb+ast";
+    if (c === "pr") return "pts+reb";
+    if (c === "pa") return "pts+ast";
+    if (c === "ra") return "reb+ast";
+    if (c === "stocks") return "stl+blk";
     return "pts";
   }
 
+  function statValue(g, statKey) {
+    let sum = 0;
+    for (const k of statKey.split("+")) {
+      const v = num(g[k]);
+      if (v === null) return null;
+      sum += v;
+    }
+    return sum;
+  }
+
   function hitRate(games, statKey, line) {
     const xs = (games || [])
-      .map((g) => num(g[statKey]))
+      .map((g) => statValue(g, statKey))
       .filter((v) => v !== null);
 
     const n = xs.length;
@@ -5553,6 +5606,11 @@ function wireUI() {
             <option value="REB">REB</option>
             <option value="AST">AST</option>
             <option value="3PM">3PM</option>
+            <option value="PRA">PRA</option>
+            <option value="PR">PR</option>
+            <option value="PA">PA</option>
+            <option value="RA">RA</option>
+            <option value="STOCKS">Stocks</option>
           </select>
 
           <input id="ptHitLine" inputmode="decimal" placeholder="Line (e.g. 22.5)" style="max-width:160px;" />
@@ -5574,6 +5632,7 @@ function wireUI() {
 
     // Insert after the top bar in Teams section
     sec.insertBefore(controls, sec.children[1] || null);
+    loadStatOptions();
   }
 
   function upgradePlayersTable() {
@@ -5994,6 +6053,9 @@ function wireUI() {
   function statTypeForSGO(choice) {
     // Your DB / imports likely use: "points", "rebounds", "assists", "3pm"
     const c = String(choice || "").toLowerCase();
+    const reg = (globalThis.__PT_STAT_REGISTRY__ || []).find((d) => d.code === choice);
+    if (reg) return reg.market;
+    if (["pra", "pr", "pa", "ra", "stocks"].includes(c)) return c;
     if (c.includes("reb")) return "rebounds";
     if (c.includes("ast")) return "assists";
     if (c.includes("3")) return "3pm";
@@ -6193,10 +6255,11 @@ function wireUI() {
     const status = document.getElementById("status")?.closest("section") || document.getElementById("status");
     const arch = document.getElementById("ptArchivePanel")?.closest("section") || document.getElementById("ptArchivePanel");
     const teams = document.getElementById("ptTeamsPage")?.closest("section") || document.getElementById("ptTeamsPage");
+    const injuries = document.getElementById("ptInjuriesPanel");
 
     sec.secDashboard = [ql, leaders, edges, sgo, status].filter(Boolean);
     sec.secProps = [sgo].filter(Boolean);     // Props page = SGO props (and import bar if you have it)
-    sec.secEdges = [edges].filter(Boolean);
+    sec.secEdges = [edges, injuries].filter(Boolean);
     sec.secLeaders = [leaders].filter(Boolean);
     sec.secStatus = [status].filter(Boolean);
     sec.secArchive = [arch].filter(Boolean);
@@ -6333,7 +6396,8 @@ function wireUI() {
     "edges",
     "sgoProps",
     "ptTeamsPage",
-    "ptArchivePanel"
+    "ptArchivePanel",
+    "ptInjuriesPanel"
   ];
 
   function asCard(el) {
@@ -6419,3 +6483,232 @@ function wireUI() {
   setTimeout(hook, 500);
 })();
 
+
+// ===========================
+// NEXT BLOCK: Injuries panel (view + manual edit of /api/injuries for a date)
+// Append-only. Shown on the Edges page; edges drop players marked OUT.
+// ===========================
+
+(function () {
+  "use strict";
+  if (globalThis.__PT_INJURIES_UI__) return;
+  globalThis.__PT_INJURIES_UI__ = true;
+
+  const el = (id) => document.getElementById(id);
+  const STATUSES = ["out", "doubtful", "questionable", "probable"];
+
+  function esc(s) {
+    return String(s ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#039;");
+  }
+
+  async function api(method, url, bodyObj) {
+    const res = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json", "Accept": "application/json" },
+      body: bodyObj ? JSON.stringify(bodyObj) : undefined
+    });
+    const text = await res.text();
+    let data = null;
+    try { data = text ? JSON.parse(text) : null; } catch {}
+    if (!res.ok) {
+      const detail = data && data.error ? data.error : text;
+      throw new Error(`${res.status} ${res.statusText}: ${detail}`);
+    }
+    return data;
+  }
+
+  function showError(msg) {
+    const box = el("errorBox");
+    if (!box) return;
+    box.textContent = msg;
+    box.style.display = "block";
+  }
+
+  function statusSelect(value) {
+    const sel = document.createElement("select");
+    STATUSES.forEach((s) => {
+      const o = document.createElement("option");
+      o.value = s;
+      o.textContent = s.toUpperCase();
+      if (s === value) o.selected = true;
+      sel.appendChild(o);
+    });
+    return sel;
+  }
+
+  function ensureInjuriesUI() {
+    const edges = el("edges");
+    if (!edges || el("ptInjuriesPanel")) return;
+    const card = edges.closest(".card") || edges;
+
+    const panel = document.createElement("section");
+    panel.id = "ptInjuriesPanel";
+    panel.className = "card";
+
+    const head = document.createElement("div");
+    head.style.display = "flex";
+    head.style.justifyContent = "space-between";
+    head.style.alignItems = "center";
+    head.style.gap = "10px";
+    head.style.marginBottom = "10px";
+    head.innerHTML = `
+      <h2 style="margin:0; font-size:16px;">Injuries</h2>
+      <div class="muted">OUT players are dropped from edges.</div>
+    `;
+
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.flexWrap = "wrap";
+    row.style.gap = "8px";
+    row.style.alignItems = "center";
+
+    const date = document.createElement("input");
+    date.type = "date";
+    date.style.maxWidth = "170px";
+    date.value = el("dateInput")?.value || "";
+
+    const player = document.createElement("input");
+    player.placeholder = "Player name or id";
+    player.style.maxWidth = "200px";
+
+    const team = document.createElement("input");
+    team.placeholder = "Team";
+    team.style.maxWidth = "80px";
+
+    const status = statusSelect("out");
+
+    const note = document.createElement("input");
+    note.placeholder = "Note (optional)";
+    note.style.maxWidth = "200px";
+
+    const btnAdd = document.createElement("button");
+    btnAdd.type = "button";
+    btnAdd.textContent = "Save";
+
+    [date, player, team, status, note, btnAdd].forEach((n) => row.appendChild(n));
+
+    const info = document.createElement("div");
+    info.className = "muted";
+    info.style.marginTop = "8px";
+
+    const out = document.createElement("div");
+    out.style.marginTop = "8px";
+    out.style.overflowX = "auto";
+
+    panel.appendChild(head);
+    panel.appendChild(row);
+    panel.appendChild(info);
+    panel.appendChild(out);
+    card.parentNode.insertBefore(panel, card.nextSibling);
+
+    const currentDate = () => date.value || el("dateInput")?.value || "";
+
+    async function afterChange() {
+      await load();
+      if (typeof window.refreshAll === "function") await window.refreshAll();
+    }
+
+    function render(list) {
+      out.innerHTML = "";
+      if (!list.length) {
+        out.innerHTML = `<div class="muted">No reports for this date.</div>`;
+        return;
+      }
+      const t = document.createElement("table");
+      t.innerHTML = `<thead><tr><th>Player</th><th>Team</th><th>Status</th><th>Note</th><th>Source</th><th></th></tr></thead>`;
+      const tb = document.createElement("tbody");
+      list.forEach((x) => {
+        const tr = document.createElement("tr");
+        tr.innerHTML = `
+          <td style="font-weight:800;">${esc(x.playerName || x.playerId)}</td>
+          <td>${esc(x.team || "")}</td>
+          <td></td>
+          <td>${esc(x.note || "")}</td>
+          <td class="muted">${esc(x.source || "")}</td>
+          <td></td>
+        `;
+        const sel = statusSelect(x.status);
+        sel.addEventListener("change", async () => {
+          try {
+            await api("PUT", `/api/injuries/${encodeURIComponent(x.id)}`, { status: sel.value });
+            await afterChange();
+          } catch (e) {
+            showError(e.message || String(e));
+          }
+        });
+        tr.children[2].appendChild(sel);
+
+        const del = document.createElement("button");
+        del.type = "button";
+        del.textContent = "Remove";
+        del.addEventListener("click", async () => {
+          try {
+            await api("DELETE", `/api/injuries/${encodeURIComponent(x.id)}`);
+            await afterChange();
+          } catch (e) {
+            showError(e.message || String(e));
+          }
+        });
+        tr.children[5].appendChild(del);
+        tb.appendChild(tr);
+      });
+      t.appendChild(tb);
+      out.appendChild(t);
+    }
+
+    async function load() {
+      const d = currentDate();
+      try {
+        const res = await api("GET", `/api/injuries${d ? `?date=${encodeURIComponent(d)}` : ""}`);
+        if (!date.value) date.value = res.date;
+        info.textContent = `${res.count} report(s) • ${res.date}`;
+        render(res.injuries || []);
+      } catch (e) {
+        info.textContent = "Load failed";
+        showError(e.message || String(e));
+      }
+    }
+
+    btnAdd.addEventListener("click", async () => {
+      const who = player.value.trim();
+      if (!who) return showError("Enter a player name or id.");
+      try {
+        const isId = /^\d+$/.test(who) || who.includes(":");
+        const res = await api("POST", "/api/injuries/import", {
+          date: currentDate() || undefined,
+          feed: "manual",
+          rows: [{ [isId ? "playerId" : "playerName"]: who, team: team.value.trim() || undefined, status: status.value, note: note.value.trim() || undefined }]
+        });
+        if (res.unresolved && res.unresolved.length) return showError(`Could not resolve ${who}: ${res.unresolved[0].reason}`);
+        if (res.invalid) return showError("Invalid row (check date and status).");
+        player.value = "";
+        note.value = "";
+        await afterChange();
+      } catch (e) {
+        showError(e.message || String(e));
+      }
+    });
+
+    date.addEventListener("change", load);
+    const mainDate = el("dateInput");
+    if (mainDate) {
+      mainDate.addEventListener("change", () => {
+        date.value = mainDate.value;
+        load();
+      });
+    }
+
+    load();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", ensureInjuriesUI);
+  } else {
+    ensureInjuriesUI();
+  }
+})();
@@ -3,6 +3,7 @@
 const fs = require("fs");
 const fsp = require("fs/promises");
 const path = require("path");
+const crypto = require("crypto");
 const express = require("express");
 
 const app = express();
@@ -13,7 +14,11 @@ const app = express();
 const PORT = Number(process.env.PORT) || 3000;
 const HOST = "0.0.0.0";
 
-const DB_PATH = path.join(__dirname, "db.json");
+const DB_PATH = process.env.PT_DB_PATH || path.join(__dirname, "db.json");
+
+// Storage backend: "json" (db.json, default) or "sqlite" (node:sqlite, Node 22.5+)
+const DB_BACKEND = String(process.env.PT_DB_BACKEND || "json").toLowerCase() === "sqlite" ? "sqlite" : "json";
+const SQLITE_PATH = process.env.PT_SQLITE_PATH || path.join(__dirname, "db.sqlite");
 
 // In-memory cache (leaders)
 const cache = {
@@ -40,6 +45,16 @@ function defaultDB() {
     sgoPropLines: [],
     hardrockPropLines: [],
     propsArchive: {},
+    lineHistory: [],
+    bets: [],
+    picks: [],
+    minutesOverrides: {},
+    games: {},
+    players: {},
+    playerReview: [],
+    teams: {},
+    teamMemberships: [],
+    injuries: [],
     meta: {
       createdAt: new Date().toISOString(),
       version: 1
@@ -52,37 +67,828 @@ async function ensureDBExists() {
     await fsp.access(DB_PATH, fs.constants.F_OK);
   } catch {
     const initial = defaultDB();
-    await writeDB(initial);
+    await writeJsonDB(initial);
   }
 }
 
-async function readDB() {
+async function readJsonDB() {
   await ensureDBExists();
   const raw = await fsp.readFile(DB_PATH, "utf8");
-  let db;
   try {
-    db = JSON.parse(raw);
+    return JSON.parse(raw);
   } catch {
     const backupPath = DB_PATH + ".corrupt." + Date.now();
     await fsp.writeFile(backupPath, raw, "utf8");
-    db = defaultDB();
-    await writeDB(db);
+    const db = defaultDB();
+    await writeJsonDB(db);
+    return db;
   }
+}
+
+async function writeJsonDB(dbObj) {
+  const tmpPath = DB_PATH + ".tmp";
+  const data = JSON.stringify(dbObj, null, 2);
+  await fsp.writeFile(tmpPath, data, "utf8");
+  await fsp.rename(tmpPath, DB_PATH);
+}
 
-  db.nbaPlayerGameLogs = Array.isArray(db.nbaPlayerGameLogs) ? db.nbaPlayerGameLogs : [];
-  db.sgoPropLines = Array.isArray(db.sgoPropLines) ? db.sgoPropLines : [];
-  db.hardrockPropLines = Array.isArray(db.hardrockPropLines) ? db.hardrockPropLines : [];
-  db.propsArchive = db.propsArchive && typeof db.propsArchive === "object" ? db.propsArchive : {};
+async function readDB() {
+  const db = DB_BACKEND === "sqlite" ? sqliteReadAll() : await readJsonDB();
+
+  // SQLite loads these on first access (always as arrays/objects); touching them here would load every row
+  if (DB_BACKEND !== "sqlite") {
+    db.nbaPlayerGameLogs = Array.isArray(db.nbaPlayerGameLogs) ? db.nbaPlayerGameLogs : [];
+    for (const key of Object.values(PROP_COLLECTIONS)) db[key] = Array.isArray(db[key]) ? db[key] : [];
+    db.propsArchive = db.propsArchive && typeof db.propsArchive === "object" ? db.propsArchive : {};
+    db.lineHistory = Array.isArray(db.lineHistory) ? db.lineHistory : [];
+  }
+  db.bets = Array.isArray(db.bets) ? db.bets : [];
+  db.picks = Array.isArray(db.picks) ? db.picks : [];
+  db.minutesOverrides = db.minutesOverrides && typeof db.minutesOverrides === "object" ? db.minutesOverrides : {};
+  db.games = db.games && typeof db.games === "object" ? db.games : {};
+  db.players = db.players && typeof db.players === "object" ? db.players : {};
+  db.playerReview = Array.isArray(db.playerReview) ? db.playerReview : [];
+  db.teams = db.teams && typeof db.teams === "object" ? db.teams : {};
+  db.teamMemberships = Array.isArray(db.teamMemberships) ? db.teamMemberships : [];
+  db.injuries = Array.isArray(db.injuries) ? db.injuries : [];
   db.meta = db.meta && typeof db.meta === "object" ? db.meta : { createdAt: new Date().toISOString(), version: 1 };
 
   return db;
 }
 
 async function writeDB(dbObj) {
-  const tmpPath = DB_PATH + ".tmp";
-  const data = JSON.stringify(dbObj, null, 2);
-  await fsp.writeFile(tmpPath, data, "utf8");
-  await fsp.rename(tmpPath, DB_PATH);
+  snapshotCache.db = null;
+  if (DB_BACKEND === "sqlite") {
+    const changed = sqliteWriteAll(dbObj);
+    noteWrittenKeys(changed);
+    return changed;
+  }
+  const changed = jsonChangedKeys(dbObj);
+  await writeJsonDB(dbObj);
+  noteWrittenKeys(changed);
+}
+
+// ---------------------------
+// Write versions
+// Bumped after a write changes the logs or the roster. Aggregates over every log
+// (opponent factors, shrink priors) are cached against them instead of rescanning
+// all logs per request.
+// ---------------------------
+const WATCHED_KEYS = ["nbaPlayerGameLogs", "players", "teamMemberships"];
+const writeVersions = Object.fromEntries(WATCHED_KEYS.map((k) => [k, 0]));
+const jsonKeyHashes = {};
+
+function noteWrittenKeys(changed) {
+  for (const k of WATCHED_KEYS) if (changed.has(k)) writeVersions[k]++;
+}
+
+// JSON rewrites the whole file, so compare content hashes to see what changed
+function jsonChangedKeys(dbObj) {
+  const changed = new Set();
+  for (const k of WATCHED_KEYS) {
+    const hash = crypto.createHash("sha1").update(JSON.stringify(dbObj[k] ?? null)).digest("hex");
+    if (jsonKeyHashes[k] !== hash) changed.add(k);
+    jsonKeyHashes[k] = hash;
+  }
+  return changed;
+}
+
+const LOG_AGGREGATE_CACHE_MAX = 64;
+const logAggregateCache = new Map(); // "name|before" -> { version, value }
+
+// build(logs, roster) over every log (or those before a cut-off date), rerun only
+// after a write changed its inputs. Callers must not mutate the result.
+async function cachedLogAggregate(name, build, { before = null } = {}) {
+  const key = `${name}|${before || ""}`;
+  const version = WATCHED_KEYS.map((k) => writeVersions[k]).join(".");
+  const hit = logAggregateCache.get(key);
+  if (hit && hit.version === version) return hit.value;
+
+  // version is read before the logs, so a write landing mid-build only costs a rebuild
+  const [logs, roster] = await Promise.all([queryGameLogs(before ? { before } : {}), loadRoster()]);
+  const value = build(logs, roster);
+  for (const [k, v] of logAggregateCache) if (v.version !== version) logAggregateCache.delete(k);
+  if (logAggregateCache.size >= LOG_AGGREGATE_CACHE_MAX) logAggregateCache.delete(logAggregateCache.keys().next().value);
+  logAggregateCache.set(key, { version, value });
+  return value;
+}
+
+// Serialized mutations: every read-modify-write runs through this queue so two
+// overlapping imports can't read the same state and silently drop each other's rows.
+// fn(db, tx) mutates db in place; it is written back unless fn throws or sets tx.skipWrite.
+let dbWriteQueue = Promise.resolve();
+
+function withDB(fn) {
+  const run = dbWriteQueue.then(async () => {
+    const db = await readDB();
+    const tx = { skipWrite: false };
+    const result = await fn(db, tx);
+    if (!tx.skipWrite) await writeDB(db);
+    return result;
+  });
+  dbWriteQueue = run.catch(() => {});
+  return run;
+}
+
+// ---------------------------
+// Schema migrations (db.meta.version)
+// Each entry moves the DB from version - 1 to `version`. Append new ones at the end;
+// never edit one that has shipped. up(db) mutates in place and returns rows changed.
+// ---------------------------
+const PROP_STAT_SPELLINGS = {
+  points: "points", point: "points", pts: "points", player_points: "points",
+  rebounds: "rebounds", rebound: "rebounds", reb: "rebounds", rebs: "rebounds", trb: "rebounds", total_rebounds: "rebounds",
+  assists: "assists", assist: "assists", ast: "assists", asts: "assists",
+  "3pm": "3pm", threes: "3pm", threes_made: "3pm", threesmade: "3pm", "3s": "3pm", "3pt": "3pm", fg3m: "3pm",
+  "3_pointers_made": "3pm", three_pointers_made: "3pm"
+};
+
+function forEachPropRow(db, fn) {
+  for (const [source, key] of Object.entries(PROP_COLLECTIONS)) {
+    for (const p of Array.isArray(db[key]) ? db[key] : []) if (p && typeof p === "object") fn(p, source);
+  }
+  for (const snap of Object.values(db.propsArchive || {})) {
+    if (!snap || typeof snap !== "object") continue;
+    for (const source of Object.keys(PROP_COLLECTIONS)) {
+      for (const p of Array.isArray(snap[source]) ? snap[source] : []) if (p && typeof p === "object") fn(p, source);
+    }
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    name: "normalize-prop-stat-types",
+    up(db) {
+      let changed = 0;
+      forEachPropRow(db, (p) => {
+        const raw = String(p.statType || "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+        const canon = PROP_STAT_SPELLINGS[raw];
+        if (canon && p.statType !== canon) { p.statType = canon; changed++; }
+      });
+      return changed;
+    }
+  },
+  {
+    version: 3,
+    name: "prop-slateDate-to-date",
+    up(db) {
+      let changed = 0;
+      forEachPropRow(db, (p) => {
+        if (p.slateDate === undefined) return;
+        if (!p.date) p.date = String(p.slateDate);
+        delete p.slateDate;
+        changed++;
+      });
+      return changed;
+    }
+  },
+  {
+    version: 4,
+    name: "fill-prop-source",
+    up(db) {
+      let changed = 0;
+      forEachPropRow(db, (p, source) => {
+        if (p.source) return;
+        p.source = source;
+        changed++;
+      });
+      return changed;
+    }
+  },
+  {
+    version: 5,
+    name: "seed-line-history",
+    up(db) {
+      // Archives first (oldest snapshot first) so they become the opening points
+      let changed = 0;
+      const snaps = Object.values(db.propsArchive || {})
+        .filter((snap) => snap && typeof snap === "object")
+        .sort((a, b) => String(a.ts || "").localeCompare(String(b.ts || "")));
+      for (const snap of snaps) {
+        for (const source of Object.keys(PROP_COLLECTIONS)) {
+          changed += recordLineHistory(db, source, snap[source], snap.ts || undefined);
+        }
+      }
+      for (const [source, key] of Object.entries(PROP_COLLECTIONS)) {
+        changed += recordLineHistory(db, source, db[key]);
+      }
+      return changed;
+    }
+  },
+  {
+    version: 6,
+    name: "seed-player-registry",
+    up(db) {
+      const r = registerAllPlayers(db);
+      return r.created + r.aliased;
+    }
+  },
+  {
+    version: 7,
+    name: "matchups-to-games",
+    up(db) {
+      // db.matchups[date] -> db.games; those dates were slate dates already
+      let changed = 0;
+      for (const [date, list] of Object.entries(db.matchups || {})) {
+        changed += upsertGames(db, Array.isArray(list) ? list.map((gm) => ({ ...gm, startsAt: null, date })) : [], "matchups", date).upserted;
+      }
+      for (const g of Object.values(db.games)) {
+        const gm = ((db.matchups || {})[g.date] || []).find((m) => normTeam(m.homeTeam) === g.homeTeam);
+        if (gm && gm.startsAt && etDateOf(gm.startsAt)) g.startsAt = new Date(gm.startsAt).toISOString();
+      }
+      delete db.matchups;
+      return changed + linkAllPropsToGames(db);
+    }
+  },
+  {
+    version: 8,
+    name: "rekey-line-history",
+    up(db) {
+      // propLineKey folds stat spellings (pts, PTS, player_points -> points); points
+      // and picks keyed before that kept the raw stat and no longer matched new points
+      let changed = 0;
+      for (const row of [...db.lineHistory, ...(Array.isArray(db.picks) ? db.picks : [])]) {
+        if (!row || typeof row !== "object" || row.key === undefined) continue;
+        const key = propLineKey(row);
+        if (row.key !== key) { row.key = key; changed++; }
+      }
+      return changed;
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function pendingMigrations(db) {
+  const current = Number(db.meta && db.meta.version) || 1;
+  return MIGRATIONS.filter((m) => m.version > current);
+}
+
+async function runMigrations() {
+  return withDB(async (db, tx) => {
+    const from = Number(db.meta.version) || 1;
+    const pending = pendingMigrations(db);
+    if (pending.length === 0) {
+      tx.skipWrite = true;
+      return { from, to: from, applied: [] };
+    }
+
+    if (!Array.isArray(db.meta.migrations)) db.meta.migrations = [];
+    const applied = [];
+    for (const m of pending) {
+      const changed = Number(m.up(db)) || 0;
+      const rec = { version: m.version, name: m.name, appliedAt: new Date().toISOString(), changed };
+      db.meta.version = m.version;
+      db.meta.migrations.push(rec);
+      applied.push(rec);
+    }
+    return { from, to: db.meta.version, applied };
+  });
+}
+
+// ---------------------------
+// SQLite backend
+// One table per entity; rows keep their full JSON in `data` so new fields
+// survive without schema changes. Indexed columns are copies for querying.
+// Top-level keys other than the ones below live in `collections`.
+// ---------------------------
+// source -> db key of its prop rows (filled by registerPropSource, see Prop sources)
+const PROP_COLLECTIONS = {};
+
+let sqliteHandle = null;
+
+function openSqlite() {
+  if (sqliteHandle) return sqliteHandle;
+
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require("node:sqlite"));
+  } catch {
+    throw new Error("PT_DB_BACKEND=sqlite requires Node 22.5+ (node:sqlite not available)");
+  }
+
+  const sdb = new DatabaseSync(SQLITE_PATH);
+  sdb.exec(`
+    PRAGMA journal_mode = WAL;
+    CREATE TABLE IF NOT EXISTS game_logs (
+      id INTEGER PRIMARY KEY,
+      player_id TEXT,
+      player_name TEXT,
+      game_date TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_game_logs_date ON game_logs(game_date);
+    CREATE INDEX IF NOT EXISTS idx_game_logs_player ON game_logs(player_id, game_date);
+
+    CREATE TABLE IF NOT EXISTS prop_lines (
+      id INTEGER PRIMARY KEY,
+      source TEXT NOT NULL,
+      date TEXT,
+      player_id TEXT,
+      stat_type TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_prop_lines_source_date ON prop_lines(source, date);
+    CREATE INDEX IF NOT EXISTS idx_prop_lines_player ON prop_lines(player_id, date);
+
+    CREATE TABLE IF NOT EXISTS props_archive (
+      date TEXT PRIMARY KEY,
+      ts TEXT,
+      data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS line_history (
+      id INTEGER PRIMARY KEY,
+      date TEXT,
+      source TEXT,
+      line_key TEXT,
+      player_id TEXT,
+      ts TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_line_history_date ON line_history(date, source, line_key);
+    CREATE INDEX IF NOT EXISTS idx_line_history_player ON line_history(player_id, date);
+
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS collections (
+      name TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+  `);
+
+  sqliteHandle = sdb;
+  migrateJsonToSqlite(sdb);
+  return sdb;
+}
+
+// One-time import of db.json into an empty SQLite store
+function migrateJsonToSqlite(sdb) {
+  const done = sdb.prepare("SELECT value FROM meta WHERE key = 'migratedFromJsonAt'").get();
+  if (done) return;
+
+  const hasRows = sdb.prepare("SELECT (SELECT COUNT(*) FROM game_logs) + (SELECT COUNT(*) FROM prop_lines) AS n").get().n > 0;
+  let source = null;
+  if (!hasRows && fs.existsSync(DB_PATH)) {
+    try {
+      source = JSON.parse(fs.readFileSync(DB_PATH, "utf8"));
+    } catch (e) {
+      console.warn("[sqlite] db.json migration skipped (unreadable):", e?.message || e);
+    }
+  }
+
+  const db = source && typeof source === "object" ? source : defaultDB();
+  db.meta = db.meta && typeof db.meta === "object" ? db.meta : {};
+  db.meta.migratedFromJsonAt = new Date().toISOString();
+  sqliteWriteAll(db, sdb);
+
+  if (source) {
+    console.log(`[sqlite] migrated ${DB_PATH} -> ${SQLITE_PATH} (logs: ${(db.nbaPlayerGameLogs || []).length})`);
+  }
+}
+
+function parseRowData(row) {
+  try { return JSON.parse(row.data); } catch { return null; }
+}
+
+// Row-backed keys: one SQLite row per array element. `where`/`params` scope a
+// key's rows inside a shared table (prop lines are one table for all sources).
+function sqliteRowSets() {
+  const str = (x) => (x === undefined || x === null ? null : String(x));
+  const sets = [{
+    key: "nbaPlayerGameLogs",
+    table: "game_logs",
+    where: "",
+    params: [],
+    cols: ["player_id", "player_name", "game_date"],
+    values: (g) => [str(getPlayerIdFromLog(g)), str(getPlayerNameFromLog(g)), str(g.gameDate || g.date)]
+  }];
+  for (const [source, key] of Object.entries(PROP_COLLECTIONS)) {
+    sets.push({
+      key,
+      table: "prop_lines",
+      where: "WHERE source = ?",
+      params: [source],
+      cols: ["source", "date", "player_id", "stat_type"],
+      values: (p) => [source, str(extractPropDate(p)), str(p.playerId), str(p.statType)]
+    });
+  }
+  sets.push({
+    key: "lineHistory",
+    table: "line_history",
+    where: "",
+    params: [],
+    cols: ["date", "source", "line_key", "player_id", "ts"],
+    values: (pt) => [str(pt.date), str(pt.source), str(pt.key), str(pt.playerId), str(pt.ts)]
+  });
+  return sets;
+}
+
+// Keyed tables: one SQLite row per object key
+const SQLITE_MAPS = {
+  propsArchive: { table: "props_archive", keyCol: "date", cols: ["ts"], values: (snap) => [snap && snap.ts ? String(snap.ts) : null], dataCol: "data" },
+  meta: { table: "meta", keyCol: "key", cols: [], values: () => [], dataCol: "value" },
+  collections: { table: "collections", keyCol: "name", cols: [], values: () => [], dataCol: "data" }
+};
+
+// What each readDB() result was loaded from, so writeDB writes only the difference:
+// row object -> { id, json } as stored, and per db object the ids / JSON each key started with.
+const sqliteRowState = new WeakMap();
+const sqliteDbState = new WeakMap();
+
+function sqliteReadAll() {
+  const sdb = openSqlite();
+  const db = {};
+  const state = { keys: new Map(), meta: new Map(), collections: new Map() };
+  sqliteDbState.set(db, state);
+
+  // Big keys load on first access, so a route that only touches bets or one
+  // source's props never parses the game logs. Assigning before reading marks
+  // the key as replaced wholesale.
+  const lazy = (key, load) => {
+    const entry = { loaded: false, replaced: false, value: undefined, ids: null, json: null };
+    entry.get = () => {
+      if (!entry.loaded) {
+        entry.value = load(entry);
+        entry.loaded = true;
+      }
+      return entry.value;
+    };
+    state.keys.set(key, entry);
+    Object.defineProperty(db, key, {
+      enumerable: true,
+      configurable: true,
+      get: entry.get,
+      set(v) {
+        if (!entry.loaded) entry.replaced = true;
+        entry.loaded = true;
+        entry.value = v;
+      }
+    });
+  };
+
+  for (const set of sqliteRowSets()) {
+    lazy(set.key, (entry) => {
+      entry.ids = new Set();
+      const out = [];
+      for (const row of sdb.prepare(`SELECT id, data FROM ${set.table} ${set.where} ORDER BY id`).all(...set.params)) {
+        const v = parseRowData(row);
+        if (!v) continue;
+        sqliteRowState.set(v, { id: row.id, json: row.data });
+        entry.ids.add(row.id);
+        out.push(v);
+      }
+      return out;
+    });
+  }
+
+  lazy("propsArchive", (entry) => {
+    entry.json = new Map();
+    const out = {};
+    for (const row of sdb.prepare("SELECT date, data FROM props_archive").all()) {
+      const v = parseRowData(row);
+      if (!v) continue;
+      out[row.date] = v;
+      entry.json.set(row.date, row.data);
+    }
+    return out;
+  });
+
+  db.meta = {};
+  for (const row of sdb.prepare("SELECT key, value FROM meta").all()) {
+    try { db.meta[row.key] = JSON.parse(row.value); } catch { db.meta[row.key] = row.value; }
+    state.meta.set(row.key, row.value);
+  }
+
+  for (const row of sdb.prepare("SELECT name, data FROM collections").all()) {
+    const v = parseRowData(row);
+    if (v === null) continue;
+    db[row.name] = v;
+    state.collections.set(row.name, row.data);
+  }
+
+  return db;
+}
+
+// Rows are matched to what was loaded by object identity: unchanged JSON is
+// skipped, changed rows are UPDATEd by id, new objects INSERTed, and loaded rows
+// no longer present DELETEd. ids = null replaces the key's rows wholesale.
+function sqliteWriteRowSet(sdb, set, rows, ids) {
+  const marks = set.cols.map(() => "?").join(", ");
+  const ins = sdb.prepare(`INSERT INTO ${set.table} (${set.cols.join(", ")}, data) VALUES (${marks}${marks ? ", " : ""}?)`);
+  const upd = sdb.prepare(`UPDATE ${set.table} SET ${set.cols.map((c) => `${c} = ?, `).join("")}data = ? WHERE id = ?`);
+  const del = sdb.prepare(`DELETE FROM ${set.table} WHERE id = ?`);
+
+  let changed = 0;
+  if (!ids) {
+    changed += Number(sdb.prepare(`DELETE FROM ${set.table} ${set.where}`).run(...set.params).changes) || 0;
+    ids = new Set();
+  }
+
+  const kept = new Map(); // id -> [row, json]
+  const added = [];
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row || typeof row !== "object") continue;
+    const json = JSON.stringify(row);
+    const prev = sqliteRowState.get(row);
+    if (prev && ids.has(prev.id) && !kept.has(prev.id)) {
+      kept.set(prev.id, [row, json]);
+      if (prev.json !== json) { upd.run(...set.values(row), json, prev.id); changed++; }
+    } else {
+      const r = ins.run(...set.values(row), json);
+      added.push([Number(r.lastInsertRowid), row, json]);
+      changed++;
+    }
+  }
+  for (const id of ids) {
+    if (!kept.has(id)) { del.run(id); changed++; }
+  }
+
+  return {
+    changed,
+    // Applied once the transaction commits, so the same db object can be written again
+    commit(entry) {
+      for (const [id, [row, json]] of kept) sqliteRowState.set(row, { id, json });
+      for (const [id, row, json] of added) sqliteRowState.set(row, { id, json });
+      if (entry) entry.ids = new Set([...kept.keys(), ...added.map((a) => a[0])]);
+    }
+  };
+}
+
+// prev: Map(key -> stored JSON) as loaded, or null to replace the table wholesale
+function sqliteWriteMap(sdb, spec, entries, prev) {
+  const cols = [spec.keyCol, ...spec.cols, spec.dataCol];
+  const put = sdb.prepare(`INSERT OR REPLACE INTO ${spec.table} (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`);
+  const del = sdb.prepare(`DELETE FROM ${spec.table} WHERE ${spec.keyCol} = ?`);
+
+  let changed = 0;
+  if (!prev) {
+    changed += Number(sdb.prepare(`DELETE FROM ${spec.table}`).run().changes) || 0;
+    prev = new Map();
+  }
+  const next = new Map();
+  for (const [k, v] of entries) {
+    if (v === undefined) continue;
+    const json = JSON.stringify(v);
+    next.set(k, json);
+    if (prev.get(k) !== json) { put.run(k, ...spec.values(v), json); changed++; }
+  }
+  for (const k of prev.keys()) {
+    if (!next.has(k)) { del.run(k); changed++; }
+  }
+  return { changed, next };
+}
+
+// Writes what changed since dbObj was read. A plain object (db.json import,
+// restore) has no load state and is written in full. Returns the keys that changed.
+function sqliteWriteAll(dbObj, sdbArg) {
+  const sdb = sdbArg || openSqlite();
+  const state = sqliteDbState.get(dbObj) || null;
+  const rowSets = sqliteRowSets();
+  const core = new Set(["meta", "propsArchive", ...rowSets.map((s) => s.key)]);
+
+  // A key still behind its accessor was either never read (skip) or read and
+  // diffed; a key assigned over the accessor (or no state at all) is replaced.
+  const plan = (key) => {
+    const entry = state && state.keys.get(key);
+    const desc = Object.getOwnPropertyDescriptor(dbObj, key);
+    if (entry && desc && desc.get === entry.get) {
+      if (!entry.loaded) return null;
+      return { entry, replace: entry.replaced, value: entry.value };
+    }
+    return { entry: null, replace: true, value: dbObj[key] };
+  };
+
+  const changedKeys = new Set();
+  const commits = [];
+  sdb.exec("BEGIN");
+  try {
+    for (const set of rowSets) {
+      const p = plan(set.key);
+      if (!p) continue;
+      const out = sqliteWriteRowSet(sdb, set, p.value, p.replace ? null : p.entry.ids);
+      if (out.changed) changedKeys.add(set.key);
+      commits.push(() => out.commit(p.replace ? null : p.entry));
+    }
+
+    const archive = plan("propsArchive");
+    if (archive) {
+      const snaps = archive.value && typeof archive.value === "object" ? Object.entries(archive.value) : [];
+      const out = sqliteWriteMap(sdb, SQLITE_MAPS.propsArchive, snaps, archive.replace ? null : archive.entry.json);
+      if (out.changed) changedKeys.add("propsArchive");
+      if (archive.entry && !archive.replace) commits.push(() => { archive.entry.json = out.next; });
+    }
+
+    const meta = dbObj.meta && typeof dbObj.meta === "object" ? dbObj.meta : {};
+    const metaOut = sqliteWriteMap(sdb, SQLITE_MAPS.meta, Object.entries(meta), state ? state.meta : null);
+    if (metaOut.changed) changedKeys.add("meta");
+
+    const rest = Object.keys(dbObj).filter((k) => !core.has(k)).map((k) => [k, dbObj[k]]);
+    const colOut = sqliteWriteMap(sdb, SQLITE_MAPS.collections, rest, state ? state.collections : null);
+    for (const [k] of rest) if (!state || state.collections.get(k) !== colOut.next.get(k)) changedKeys.add(k);
+
+    sdb.exec("COMMIT");
+    for (const c of commits) c();
+    if (state) {
+      state.meta = metaOut.next;
+      state.collections = colOut.next;
+    }
+  } catch (e) {
+    sdb.exec("ROLLBACK");
+    throw e;
+  }
+  return changedKeys;
+}
+
+// ---------------------------
+// Query helpers (read-only; callers must not mutate results)
+// SQLite answers these from indexes. JSON filters a cached parse of db.json
+// that is reused until the file changes.
+// ---------------------------
+const snapshotCache = { db: null, mtimeMs: 0, size: 0 };
+
+async function readDBSnapshot() {
+  await ensureDBExists();
+  const st = await fsp.stat(DB_PATH);
+  if (snapshotCache.db && snapshotCache.mtimeMs === st.mtimeMs && snapshotCache.size === st.size) return snapshotCache.db;
+  const db = await readDB();
+  snapshotCache.db = db;
+  snapshotCache.mtimeMs = st.mtimeMs;
+  snapshotCache.size = st.size;
+  return db;
+}
+
+function sortLogsNewestFirst(logs) {
+  return logs.sort((a, b) => String(b.gameDate || b.date || "").localeCompare(String(a.gameDate || a.date || "")));
+}
+
+// filter: { playerIds?: string[], playerNames?: string[], before?: YYYY-MM-DD, from?, to?, limit? }
+// Returns newest first.
+async function queryGameLogs(filter = {}) {
+  const ids = Array.isArray(filter.playerIds) ? filter.playerIds.filter(Boolean).map(String) : null;
+  const names = Array.isArray(filter.playerNames) ? filter.playerNames.filter(Boolean).map((n) => String(n).toLowerCase()) : null;
+
+  if (DB_BACKEND === "sqlite") {
+    const sdb = openSqlite();
+    const where = [];
+    const params = [];
+
+    if (ids || names) {
+      const ors = [];
+      if (ids && ids.length) {
+        ors.push(`player_id IN (${ids.map(() => "?").join(",")})`);
+        params.push(...ids);
+      }
+      if (names && names.length) {
+        ors.push(`lower(player_name) IN (${names.map(() => "?").join(",")})`);
+        params.push(...names);
+      }
+      if (!ors.length) return [];
+      where.push(`(${ors.join(" OR ")})`);
+    }
+    if (filter.before) { where.push("game_date < ?"); params.push(filter.before); }
+    if (filter.from) { where.push("game_date >= ?"); params.push(filter.from); }
+    if (filter.to) { where.push("game_date <= ?"); params.push(filter.to); }
+
+    let sql = `SELECT data FROM game_logs ${where.length ? "WHERE " + where.join(" AND ") : ""} ORDER BY game_date DESC, id`;
+    if (filter.limit) { sql += " LIMIT ?"; params.push(Number(filter.limit)); }
+    return sdb.prepare(sql).all(...params).map(parseRowData).filter(Boolean);
+  }
+
+  const db = await readDBSnapshot();
+  const idSet = ids ? new Set(ids) : null;
+  const nameSet = names ? new Set(names) : null;
+
+  const out = db.nbaPlayerGameLogs.filter((g) => {
+    if (idSet || nameSet) {
+      const pid = getPlayerIdFromLog(g);
+      const pname = String(getPlayerNameFromLog(g) || "").trim().toLowerCase();
+      const hit = (idSet && pid && idSet.has(String(pid))) || (nameSet && pname && nameSet.has(pname));
+      if (!hit) return false;
+    }
+    const gd = String(g.gameDate || g.date || "");
+    if (filter.before && !(gd < filter.before)) return false;
+    if (filter.from && gd < filter.from) return false;
+    if (filter.to && gd > filter.to) return false;
+    return true;
+  });
+  sortLogsNewestFirst(out);
+  return filter.limit ? out.slice(0, Number(filter.limit)) : out;
+}
+
+// filter: { source: a registered prop source id (sgo, hardrock, ...), date?: YYYY-MM-DD, limit? }
+async function queryPropLines(filter = {}) {
+  const key = PROP_COLLECTIONS[filter.source];
+  if (!key) return [];
+
+  if (DB_BACKEND === "sqlite") {
+    const params = [filter.source];
+    let sql = "SELECT data FROM prop_lines WHERE source = ?";
+    if (filter.date) { sql += " AND date = ?"; params.push(filter.date); }
+    sql += " ORDER BY id";
+    if (filter.limit) { sql += " LIMIT ?"; params.push(Number(filter.limit)); }
+    return openSqlite().prepare(sql).all(...params).map(parseRowData).filter(Boolean);
+  }
+
+  const db = await readDBSnapshot();
+  const list = filter.date ? db[key].filter((p) => extractPropDate(p) === filter.date) : db[key];
+  return filter.limit ? list.slice(0, Number(filter.limit)) : list;
+}
+
+// Distinct prop dates across sources (optionally including archive dates)
+async function listPropDates({ includeArchive = true } = {}) {
+  if (DB_BACKEND === "sqlite") {
+    const sdb = openSqlite();
+    const dates = sdb.prepare("SELECT DISTINCT date FROM prop_lines WHERE date IS NOT NULL").all().map((r) => r.date);
+    if (includeArchive) dates.push(...sdb.prepare("SELECT date FROM props_archive").all().map((r) => r.date));
+    return uniqSortedDates(dates);
+  }
+
+  const db = await readDBSnapshot();
+  const dates = [
+    ...Object.values(PROP_COLLECTIONS).flatMap((c) => (db[c] || []).map(extractPropDate)),
+    ...(includeArchive ? Object.keys(db.propsArchive || {}) : [])
+  ];
+  return uniqSortedDates(dates);
+}
+
+async function getArchive(date) {
+  if (DB_BACKEND === "sqlite") {
+    const row = openSqlite().prepare("SELECT data FROM props_archive WHERE date = ?").get(date);
+    return row ? parseRowData(row) : null;
+  }
+  const db = await readDBSnapshot();
+  return db.propsArchive && db.propsArchive[date] ? db.propsArchive[date] : null;
+}
+
+// filter: { date?, source?, playerId?, statType?, key? }. Oldest point first.
+async function queryLineHistory(filter = {}) {
+  const stat = filter.statType ? String(filter.statType).toLowerCase().trim() : null;
+  const statNorm = stat ? normalizeStatType(stat) : null;
+  const statMatches = (pt) => {
+    if (!stat) return true;
+    const s = String(pt.statType || "").toLowerCase().trim();
+    return s === stat || (statNorm !== null && normalizeStatType(s) === statNorm);
+  };
+
+  let rows;
+  if (DB_BACKEND === "sqlite") {
+    const where = [];
+    const params = [];
+    if (filter.date) { where.push("date = ?"); params.push(filter.date); }
+    if (filter.source) { where.push("source = ?"); params.push(filter.source); }
+    if (filter.playerId) { where.push("player_id = ?"); params.push(String(filter.playerId)); }
+    if (filter.key) { where.push("line_key = ?"); params.push(filter.key); }
+    const sql = `SELECT data FROM line_history ${where.length ? "WHERE " + where.join(" AND ") : ""} ORDER BY ts, id`;
+    rows = openSqlite().prepare(sql).all(...params).map(parseRowData).filter(Boolean);
+  } else {
+    const db = await readDBSnapshot();
+    rows = db.lineHistory.filter((pt) =>
+      (!filter.date || pt.date === filter.date) &&
+      (!filter.source || pt.source === filter.source) &&
+      (!filter.playerId || String(pt.playerId) === String(filter.playerId)) &&
+      (!filter.key || pt.key === filter.key)
+    );
+    rows = rows.slice().sort((a, b) => String(a.ts).localeCompare(String(b.ts)));
+  }
+  return rows.filter(statMatches);
+}
+
+async function listArchiveDates() {
+  if (DB_BACKEND === "sqlite") {
+    return uniqSortedDates(openSqlite().prepare("SELECT date FROM props_archive").all().map((r) => r.date));
+  }
+  const db = await readDBSnapshot();
+  return uniqSortedDates(Object.keys(db.propsArchive || {}));
+}
+
+// Small top-level keys (bets, picks, overrides, ...) without loading the whole DB
+async function readCollection(name, fallback = null) {
+  if (DB_BACKEND === "sqlite") {
+    const row = openSqlite().prepare("SELECT data FROM collections WHERE name = ?").get(name);
+    const v = row ? parseRowData(row) : null;
+    return v === null ? fallback : v;
+  }
+  const db = await readDBSnapshot();
+  return db[name] ?? fallback;
+}
+
+async function countRows() {
+  if (DB_BACKEND === "sqlite") {
+    const sdb = openSqlite();
+    const n = (sql, ...p) => sdb.prepare(sql).get(...p).n;
+    const out = { nbaPlayerGameLogs: n("SELECT COUNT(*) AS n FROM game_logs") };
+    for (const [source, c] of Object.entries(PROP_COLLECTIONS)) out[c] = n("SELECT COUNT(*) AS n FROM prop_lines WHERE source = ?", source);
+    return out;
+  }
+  const db = await readDBSnapshot();
+  const out = { nbaPlayerGameLogs: db.nbaPlayerGameLogs.length };
+  for (const c of Object.values(PROP_COLLECTIONS)) out[c] = (db[c] || []).length;
+  return out;
 }
 
 // ---------------------------
@@ -170,28 +976,131 @@ function extractPropKey(prop) {
   };
 }
 
+// ---------------------------
+// Stat registry
+// One entry per stat; everything that lists stats (log import, market parsing,
+// leaders, projections, edges, the UI) is driven from here. Adding a stat is
+// one entry.
+//   code      canonical key (edges, leaders, bets)
+//   field     key on normalized log rows and projection rows
+//   logKeys   raw log columns tried in order (stored stats only)
+//   market    spelling stored on prop rows
+//   tokens    single-word market spellings; phrases are multi-word ones
+//   combo     component codes (summed; no column of its own)
+//   derive    fn(log) for stats computed from other columns
+//   binary    yes/no outcome (0/1)
+//   leaders   key in /api/nba/stats/leaders (omit to leave it out)
+// ---------------------------
+const STAT_REGISTRY = [
+  { code: "PTS", label: "Points", field: "pts", market: "points", logKeys: ["pts", "points", "PTS"], tokens: ["pts", "point", "points"], leaders: "points", highVolume: true },
+  { code: "REB", label: "Rebounds", field: "reb", market: "rebounds", logKeys: ["reb", "rebounds", "REB", "trb", "totalRebounds"], tokens: ["reb", "rebs", "rebound", "rebounds", "trb"], leaders: "rebounds" },
+  { code: "AST", label: "Assists", field: "ast", market: "assists", logKeys: ["ast", "assists", "AST"], tokens: ["ast", "asts", "assist", "assists"], leaders: "assists" },
+  {
+    code: "3PM", label: "3PT Made", field: "fg3m", market: "3pm", logKeys: ["fg3m", "3pm", "threesMade", "threePointersMade", "FG3M"],
+    tokens: ["3pm", "threes", "3s", "fg3m", "3pt"], phrases: ["three pointers made", "3 pointers made", "three pointers", "3 pointers", "threes made", "three point field goals made"], leaders: "threes"
+  },
+  { code: "STL", label: "Steals", field: "stl", market: "steals", logKeys: ["stl", "steals", "STL"], tokens: ["stl", "stls", "steal", "steals"], leaders: "steals" },
+  { code: "BLK", label: "Blocks", field: "blk", market: "blocks", logKeys: ["blk", "blocks", "BLK"], tokens: ["blk", "blks", "block", "blocks"], leaders: "blocks" },
+  { code: "TOV", label: "Turnovers", field: "tov", market: "turnovers", logKeys: ["tov", "turnovers", "TOV", "to"], tokens: ["tov", "turnover", "turnovers"], leaders: "turnovers" },
+  { code: "MIN", label: "Minutes", field: "min", market: "minutes", logKeys: ["min", "minutes", "MIN", "mp"], tokens: ["min", "mins", "minute", "minutes"], leaders: "minutes", highVolume: true },
+  { code: "FGA", label: "FG Attempts", field: "fga", market: "fga", logKeys: ["fga", "FGA", "fieldGoalsAttempted"], tokens: ["fga"], phrases: ["field goals attempted", "field goal attempts"], leaders: "fga" },
+  { code: "FTA", label: "FT Attempts", field: "fta", market: "fta", logKeys: ["fta", "FTA", "freeThrowsAttempted"], tokens: ["fta"], phrases: ["free throws attempted", "free throw attempts"], leaders: "fta" },
+  { code: "PRA", label: "Pts+Reb+Ast", field: "pra", market: "pra", combo: ["PTS", "REB", "AST"], tokens: ["pra"], leaders: "pra", highVolume: true },
+  { code: "PR", label: "Pts+Reb", field: "pr", market: "pr", combo: ["PTS", "REB"], tokens: ["pr"], leaders: "pr", highVolume: true },
+  { code: "PA", label: "Pts+Ast", field: "pa", market: "pa", combo: ["PTS", "AST"], tokens: ["pa"], leaders: "pa", highVolume: true },
+  { code: "RA", label: "Reb+Ast", field: "ra", market: "ra", combo: ["REB", "AST"], tokens: ["ra"], leaders: "ra" },
+  { code: "STOCKS", label: "Stocks", field: "stocks", market: "stocks", combo: ["STL", "BLK"], tokens: ["stocks"], leaders: "stocks" },
+  {
+    code: "DD", label: "Double-Double", field: "dd", market: "double_double", binary: true, tokens: ["dd", "doubledouble"], phrases: ["double double"], leaders: "doubleDoubles",
+    derive(log) {
+      const vals = ["PTS", "REB", "AST", "STL", "BLK"].map((c) => getStatFromLog(log, c));
+      if (!vals.slice(0, 3).some(Number.isFinite)) return null;
+      return vals.filter((v) => Number.isFinite(v) && v >= 10).length >= 2 ? 1 : 0;
+    }
+  }
+];
+
+const STATS_BY_CODE = new Map(STAT_REGISTRY.map((d) => [d.code, d]));
+
+// Combo code -> component codes
+const COMBO_STATS = Object.fromEntries(STAT_REGISTRY.filter((d) => d.combo).map((d) => [d.code, d.combo]));
+
+// Lowercase spelling stored on prop rows for each stat code
+const PROP_STAT_NAMES = Object.fromEntries(STAT_REGISTRY.map((d) => [d.code, d.market]));
+
+const STAT_TOKENS = {};
+for (const d of STAT_REGISTRY) for (const t of d.tokens || []) STAT_TOKENS[t] = d.code;
+
+// Multi-word spellings collapse to a single token before splitting, longest first
+const STAT_PHRASES = STAT_REGISTRY
+  .flatMap((d) => (d.phrases || []).map((ph) => ({ re: new RegExp(ph.split(" ").join("[_\\s-]*"), "g"), token: d.tokens[0], len: ph.length })))
+  .sort((a, b) => b.len - a.len);
+
+// "points+rebounds+assists", "pts_rebs_asts", "Pts + Rebs", "blocks+steals", "pra" ...
+// Returns a combo code, a single code, or null when the spelling has no stat tokens.
+function parseStatTokens(s) {
+  let cleaned = s;
+  for (const ph of STAT_PHRASES) cleaned = cleaned.replace(ph.re, ` ${ph.token} `);
+  const parts = new Set();
+  for (const tok of cleaned.split(/[^a-z0-9]+|and/).filter(Boolean)) {
+    const code = STAT_TOKENS[tok];
+    if (!code) continue;
+    if (COMBO_STATS[code] || STATS_BY_CODE.get(code).derive) return code;
+    parts.add(code);
+  }
+  if (parts.size === 0) return null;
+  if (parts.size === 1) return [...parts][0];
+  for (const [code, comps] of Object.entries(COMBO_STATS)) {
+    if (comps.length === parts.size && comps.every((c) => parts.has(c))) return code;
+  }
+  return null;
+}
+
 function normalizeStatType(statType) {
   const s = String(statType || "").toLowerCase();
-  if (s.includes("point") || s === "pts") return "PTS";
-  if (s.includes("rebound") || s === "reb") return "REB";
-  if (s.includes("assist") || s === "ast") return "AST";
+  const parsed = parseStatTokens(s);
+  if (parsed) return parsed;
+  if (STATS_BY_CODE.has(statType)) return statType;
+  if (s.includes("point")) return "PTS";
+  if (s.includes("rebound")) return "REB";
+  if (s.includes("assist")) return "AST";
   if (s.includes("3") && (s.includes("made") || s.includes("pm") || s.includes("three"))) return "3PM";
-  if (s === "3pm") return "3PM";
-  if (["PTS", "REB", "AST", "3PM"].includes(statType)) return statType;
   return null;
 }
 
+// Canonical prop spelling ("points", "pra", ...) or null when unrecognised
+function canonicalPropStat(statType) {
+  const code = normalizeStatType(statType);
+  return code ? PROP_STAT_NAMES[code] : null;
+}
+
+// Numbers in logs may arrive as strings; minutes may be "mm:ss"
+function parseStatNumber(v) {
+  if (v === undefined || v === null || v === "") return null;
+  if (typeof v === "string" && v.includes(":")) {
+    const [m, sec] = v.split(":").map(Number);
+    return Number.isFinite(m) && Number.isFinite(sec) ? m + sec / 60 : null;
+  }
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
 function getStatFromLog(log, stat) {
-  const map = {
-    PTS: ["pts", "points", "PTS"],
-    REB: ["reb", "rebounds", "REB", "trb", "totalRebounds"],
-    AST: ["ast", "assists", "AST"],
-    "3PM": ["fg3m", "3pm", "threesMade", "threePointersMade", "FG3M"]
-  };
-  const keys = map[stat] || [];
-  for (const k of keys) {
-    const n = Number(log[k]);
-    if (Number.isFinite(n)) return n;
+  const def = STATS_BY_CODE.get(stat);
+  if (!def) return null;
+  if (def.combo) {
+    let sum = 0;
+    for (const c of def.combo) {
+      const v = getStatFromLog(log, c);
+      if (!Number.isFinite(v)) return null;
+      sum += v;
+    }
+    return sum;
+  }
+  if (def.derive) return def.derive(log);
+  for (const k of def.logKeys) {
+    const n = parseStatNumber(log[k]);
+    if (n !== null) return n;
   }
   return null;
 }
@@ -205,6 +1114,7 @@ function getPlayerNameFromLog(log) {
 
 function computeLeadersFromLogs(logs) {
   const byPlayer = new Map();
+  const baseStats = STAT_REGISTRY.filter((d) => !d.combo);
 
   for (const lg of logs) {
     const pidRaw = getPlayerIdFromLog(lg);
@@ -212,46 +1122,39 @@ function computeLeadersFromLogs(logs) {
     const pname = String(getPlayerNameFromLog(lg) || "").trim();
     if (!pid && !pname) continue;
 
+    const vals = baseStats.map((d) => getStatFromLog(lg, d.code));
+    if (!vals.some((v) => Number.isFinite(v))) continue;
+
     const key = pid ? `id:${pid}` : `name:${pname.toLowerCase()}`;
     let obj = byPlayer.get(key);
     if (!obj) {
-      obj = { playerId: pid, playerName: pname, gp: 0, sums: { PTS: 0, REB: 0, AST: 0, "3PM": 0 } };
+      obj = { playerId: pid, playerName: pname, gp: 0, sums: {}, counts: {} };
       byPlayer.set(key, obj);
     }
 
-    const pts = getStatFromLog(lg, "PTS");
-    const reb = getStatFromLog(lg, "REB");
-    const ast = getStatFromLog(lg, "AST");
-    const tpm = getStatFromLog(lg, "3PM");
-
-    const hasAny = [pts, reb, ast, tpm].some((v) => Number.isFinite(v));
-    if (!hasAny) continue;
-
     obj.gp += 1;
-    obj.sums.PTS += Number.isFinite(pts) ? pts : 0;
-    obj.sums.REB += Number.isFinite(reb) ? reb : 0;
-    obj.sums.AST += Number.isFinite(ast) ? ast : 0;
-    obj.sums["3PM"] += Number.isFinite(tpm) ? tpm : 0;
+    baseStats.forEach((d, i) => {
+      if (!Number.isFinite(vals[i])) return;
+      obj.sums[d.code] = (obj.sums[d.code] || 0) + vals[i];
+      obj.counts[d.code] = (obj.counts[d.code] || 0) + 1;
+    });
 
     if (!obj.playerName && pname) obj.playerName = pname;
   }
 
-  const players = Array.from(byPlayer.values())
-    .filter((p) => p.gp > 0)
-    .map((p) => ({
-      playerId: p.playerId,
-      playerName: p.playerName,
-      gp: p.gp,
-      avg: {
-        PTS: p.sums.PTS / p.gp,
-        REB: p.sums.REB / p.gp,
-        AST: p.sums.AST / p.gp,
-        "3PM": p.sums["3PM"] / p.gp
-      }
-    }));
+  // Per-stat averages over the games that reported that stat; combos add their parts
+  const players = Array.from(byPlayer.values()).map((p) => {
+    const avg = {};
+    for (const code of Object.keys(p.sums)) avg[code] = p.sums[code] / p.counts[code];
+    for (const [combo, comps] of Object.entries(COMBO_STATS)) {
+      if (comps.every((c) => Number.isFinite(avg[c]))) avg[combo] = comps.reduce((t, c) => t + avg[c], 0);
+    }
+    return { playerId: p.playerId, playerName: p.playerName, gp: p.gp, avg };
+  });
 
   function top25(stat) {
     return players
+      .filter((p) => Number.isFinite(p.avg[stat]))
       .map((p) => ({
         playerId: p.playerId,
         playerName: p.playerName,
@@ -262,32 +1165,147 @@ function computeLeadersFromLogs(logs) {
       .slice(0, 25);
   }
 
-  return {
-    generatedAt: new Date().toISOString(),
-    points: top25("PTS"),
-    rebounds: top25("REB"),
-    assists: top25("AST"),
-    threes: top25("3PM")
-  };
+  const out = { generatedAt: new Date().toISOString() };
+  for (const d of STAT_REGISTRY) if (d.leaders) out[d.leaders] = top25(d.code);
+  return out;
 }
 
-function rollingProjection(logs, playerKey, stat, gamesN) {
-  const statNorm = normalizeStatType(stat);
-  if (!statNorm) return null;
+// Registry as served to the UI. logFields: log columns to sum for the stat (null when derived).
+function statRegistryPublic() {
+  return STAT_REGISTRY.map((d) => ({
+    code: d.code,
+    label: d.label,
+    field: d.field,
+    market: d.market,
+    combo: d.combo || null,
+    binary: !!d.binary,
+    leaders: d.leaders || null,
+    logFields: d.combo ? d.combo.map((c) => STATS_BY_CODE.get(c).field) : d.derive ? null : [d.field]
+  }));
+}
 
-  const filtered = logs.filter((lg) => {
-    const pid = getPlayerIdFromLog(lg);
-    const pname = String(getPlayerNameFromLog(lg) || "").trim();
-    if (playerKey.playerId && pid && String(pid) === String(playerKey.playerId)) return true;
-    if (!playerKey.playerId && playerKey.playerName && pname) return pname.toLowerCase() === playerKey.playerName.toLowerCase();
-    return false;
-  });
+// ---------------------------
+// Weighting schemes
+// How a player's recent games become one number. Chosen with ?mode= on every
+// projection, edge and backtest route:
+//   flat      mean of the last N games
+//   weighted  linear recency weights (newest = N)
+//   exp       exponential decay; halfLife in games, or halfLifeDays in calendar days
+//   blend     last-N mean blended with the season mean; blend = weight on the last N
+//   trimmed   mean after dropping the top and bottom `trim` share (blowouts, foul trouble)
+//   median    median of the last N games
+// ---------------------------
+const WEIGHTING_MODES = ["flat", "weighted", "exp", "blend", "trimmed", "median"];
+
+// q: query/body object. Returns { mode, ...params } or { error }.
+function parseWeighting(q, defaultMode = "flat") {
+  const mode = String((q && q.mode) || defaultMode).toLowerCase();
+  if (!WEIGHTING_MODES.includes(mode)) return { error: `Unknown mode: ${mode}. Use ${WEIGHTING_MODES.join("|")}.` };
+  const num = (v, dflt) => (v === undefined || v === null || v === "" ? dflt : Number(v));
+
+  if (mode === "exp") {
+    const halfLifeDays = num(q.halfLifeDays, null);
+    const halfLife = halfLifeDays === null ? num(q.halfLife, 5) : null;
+    if (halfLifeDays !== null && !(halfLifeDays > 0)) return { error: "halfLifeDays must be a positive number" };
+    if (halfLife !== null && !(halfLife > 0)) return { error: "halfLife must be a positive number" };
+    return { mode, halfLife, halfLifeDays };
+  }
+  if (mode === "blend") {
+    const blend = num(q.blend, 0.7);
+    if (!(blend >= 0 && blend <= 1)) return { error: "blend must be between 0 and 1" };
+    return { mode, blend };
+  }
+  if (mode === "trimmed") {
+    const trim = num(q.trim, 0.1);
+    if (!(trim >= 0 && trim < 0.5)) return { error: "trim must be between 0 and 0.5" };
+    return { mode, trim };
+  }
+  return { mode };
+}
 
-  filtered.sort((a, b) => {
-    const da = a.gameDate || a.date || a.gamedate || a.day || "";
-    const db = b.gameDate || b.date || b.gamedate || b.day || "";
-    if (isValidISODate(da) && isValidISODate(db)) return compareISODate(db, da);
-    return 0;
+// NBA seasons straddle New Year; anything from August on belongs to the season starting that fall
+function seasonStartFor(date) {
+  const y = Number(String(date).slice(0, 4));
+  const m = Number(String(date).slice(5, 7));
+  return `${m >= 8 ? y : y - 1}-08-01`;
+}
+
+// Weight per row for the weight-based modes (rows newest first); null for blend/trimmed/median
+function schemeWeights(rows, gamesN, scheme) {
+  if (scheme.mode === "flat") return rows.map(() => 1);
+  if (scheme.mode === "weighted") return rows.map((g, i) => gamesN - i);
+  if (scheme.mode === "exp") {
+    if (scheme.halfLifeDays) {
+      const newest = isoDayNumber(rows[0].gameDate);
+      return rows.map((g) => Math.pow(0.5, (newest - isoDayNumber(g.gameDate)) / scheme.halfLifeDays));
+    }
+    return rows.map((g, i) => Math.pow(0.5, i / scheme.halfLife));
+  }
+  return null;
+}
+
+// rows: one player's logs that carry the stat, newest first. denOf: per-game
+// denominator (minutes, for per-minute rates). Returns { value, gp } or null.
+function schemeEstimate(rows, gamesN, scheme, valueOf, denOf = () => 1) {
+  const recent = rows.slice(0, gamesN);
+  if (recent.length === 0) return null;
+
+  const ratio = (list, weights) => {
+    let num = 0;
+    let den = 0;
+    list.forEach((g, i) => {
+      const w = weights ? weights[i] : 1;
+      num += w * valueOf(g);
+      den += w * denOf(g);
+    });
+    return den ? num / den : null;
+  };
+
+  if (scheme.mode === "median" || scheme.mode === "trimmed") {
+    const xs = recent.map((g) => valueOf(g) / denOf(g)).filter(Number.isFinite).sort((a, b) => a - b);
+    if (!xs.length) return null;
+    if (scheme.mode === "median") return { value: median(xs), gp: recent.length };
+    const cut = Math.floor(xs.length * scheme.trim);
+    const kept = xs.slice(cut, xs.length - cut);
+    return { value: kept.reduce((s, x) => s + x, 0) / kept.length, gp: recent.length, trimmed: cut * 2 };
+  }
+
+  if (scheme.mode === "blend") {
+    const seasonStart = seasonStartFor(recent[0].gameDate);
+    const season = rows.filter((g) => String(g.gameDate) >= seasonStart);
+    const r = ratio(recent, null);
+    const s = ratio(season, null);
+    if (r === null) return null;
+    return { value: s === null ? r : scheme.blend * r + (1 - scheme.blend) * s, gp: recent.length, seasonGp: season.length };
+  }
+
+  const value = ratio(recent, schemeWeights(recent, gamesN, scheme));
+  return value === null ? null : { value, gp: recent.length };
+}
+
+// Shorthand: estimate a stat over a player's logs (newest first), skipping games that lack it
+function schemeStat(games, stat, gamesN, scheme) {
+  return schemeEstimate(games.filter((g) => getStatFromLog(g, stat) !== null), gamesN, scheme, (g) => getStatFromLog(g, stat));
+}
+
+// opts: { scheme (default flat), projBy: "minutes" | "average", override } — see the minutes model below
+function rollingProjection(logs, playerKey, stat, gamesN, opts = {}) {
+  const statNorm = normalizeStatType(stat);
+  if (!statNorm) return null;
+
+  const filtered = logs.filter((lg) => {
+    const pid = getPlayerIdFromLog(lg);
+    const pname = String(getPlayerNameFromLog(lg) || "").trim();
+    if (playerKey.playerId && pid && String(pid) === String(playerKey.playerId)) return true;
+    if (!playerKey.playerId && playerKey.playerName && pname) return pname.toLowerCase() === playerKey.playerName.toLowerCase();
+    return false;
+  });
+
+  filtered.sort((a, b) => {
+    const da = a.gameDate || a.date || a.gamedate || a.day || "";
+    const db = b.gameDate || b.date || b.gamedate || b.day || "";
+    if (isValidISODate(da) && isValidISODate(db)) return compareISODate(db, da);
+    return 0;
   });
 
   const vals = [];
@@ -298,1052 +1316,3323 @@ function rollingProjection(logs, playerKey, stat, gamesN) {
   }
 
   if (vals.length === 0) return null;
-  const avg = vals.reduce((s, x) => s + x, 0) / vals.length;
-  return { stat: statNorm, gamesUsed: vals.length, projection: avg };
-}
-
-function tierForAbsEdge(absEdge) {
-  if (absEdge >= 3) return "A";
-  if (absEdge >= 1.5) return "B";
-  return "C";
+  const scheme = opts.scheme || { mode: "flat" };
+  const avg = schemeStat(filtered, statNorm, gamesN, scheme).value;
+  const byMinutes = opts.projBy === "average" ? null : minutesProjection(filtered, statNorm, gamesN, { scheme, override: opts.override });
+  // games: the player's logs, newest first (for callers that need team/position)
+  if (!byMinutes) return { stat: statNorm, gamesUsed: vals.length, projection: avg, avgProjection: avg, values: vals, games: filtered, ...noMinutesFields() };
+  return { stat: statNorm, gamesUsed: vals.length, projection: byMinutes.projection, avgProjection: avg, values: vals, games: filtered, ...minutesFields(byMinutes) };
 }
 
 // ---------------------------
-// API Endpoints
+// Minutes model
+// Minutes are projected on their own with a short half-life over the last
+// games that logged minutes (DNPs skipped), unless a manual override is set. A stat
+// is then its per-minute rate x projected minutes, so a player whose role just
+// grew isn't dragged down by games from the old role. Logs without minutes fall back
+// to the plain average.
 // ---------------------------
-app.get("/api/health", (req, res) => res.json({ ok: true }));
-
-app.get("/api/pt/quick-links", (req, res) => {
-  const todayET = getTodayET();
-  const activeDate = todayET;
-  const base = getBaseUrl(req);
+function loggedMinutes(g) {
+  const m = getStatFromLog(g, "MIN");
+  return Number.isFinite(m) && m > 0 ? m : null;
+}
 
-  res.json({
-    activeDate,
-    todayET,
-    links: {
-      health: `${base}/api/health`,
-      routes: `${base}/api/pt/routes`,
-      dates: `${base}/api/props/dates`,
-      activeDate: `${base}/api/props/active-date`,
-      sgoPropsForDate: `${base}/api/odds/sgo/props-for-date?date=${todayET}&limit=50`,
-      status: `${base}/api/nba/stats/status`,
-      leaders: `${base}/api/nba/stats/leaders`,
-      warmLeaders: `${base}/api/nba/stats/warm`,
-      edgesTiered: `${base}/api/nba/edges-today-tiered`
-    }
+// Much steeper than the default rate weights; with the same weights rate x
+// minutes would just reproduce the weighted average.
+const MINUTES_HALF_LIFE_GAMES = 2;
+
+// games: one player's logs, newest first
+function projectMinutes(games, gamesN, override = null) {
+  const played = games.filter((g) => loggedMinutes(g) !== null).slice(0, gamesN);
+  let wSum = 0;
+  let sum = 0;
+  played.forEach((g, i) => {
+    const w = Math.pow(0.5, i / MINUTES_HALF_LIFE_GAMES);
+    wSum += w;
+    sum += w * loggedMinutes(g);
   });
-});
+  const recent = wSum ? sum / wSum : null;
 
-app.get("/api/pt/routes", (req, res) => res.json({ routes: listRoutes(app) }));
+  const ov = override && override.minutes !== null && override.minutes !== "" ? Number(override.minutes) : NaN;
+  if (Number.isFinite(ov) && ov >= 0) return { minutes: ov, basis: "override", recentMinutes: recent, gp: played.length };
+  if (recent === null) return null;
+  return { minutes: recent, basis: "recent", recentMinutes: recent, gp: played.length };
+}
 
-app.get("/api/props/dates", async (req, res) => {
-  try {
-    const db = await readDB();
-    const dates = [
-      ...db.sgoPropLines.map(extractPropDate),
-      ...db.hardrockPropLines.map(extractPropDate),
-      ...Object.keys(db.propsArchive || {})
-    ].filter(isValidISODate);
+// The override in force for a player on a slate date. Unscoped overrides stay
+// until deleted; `date` pins one to a single slate, `until` ends it after that slate.
+function minutesOverrideFor(overrides, playerId, date) {
+  const o = playerId ? overrides[String(playerId)] : null;
+  if (!o) return null;
+  if (o.date && o.date !== date) return null;
+  if (o.until && date > o.until) return null;
+  return o;
+}
 
-    res.json({ dates: uniqSortedDates(dates) });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
-  }
-});
+// Per-minute rate over the last gamesN games that logged both the stat and minutes,
+// combined per the weighting scheme
+function perMinuteRate(games, stat, gamesN, scheme) {
+  const rows = games.filter((g) => loggedMinutes(g) !== null && getStatFromLog(g, stat) !== null);
+  const est = schemeEstimate(rows, gamesN, scheme, (g) => getStatFromLog(g, stat), loggedMinutes);
+  return est ? { rate: est.value, gp: est.gp } : null;
+}
 
-app.get("/api/props/active-date", async (req, res) => {
-  try {
-    const todayET = getTodayET();
-    const db = await readDB();
+// { projection, rate, minutes } for a stat, or null when it can't be rate-projected
+// (no minutes logged, or a derived yes/no stat such as DD).
+function minutesProjection(games, stat, gamesN, { scheme = { mode: "weighted" }, override = null } = {}) {
+  const def = STATS_BY_CODE.get(stat);
+  if (!def || def.derive || def.binary) return null;
+  const minutes = projectMinutes(games, gamesN, override);
+  if (!minutes) return null;
+  if (stat === "MIN") return { projection: minutes.minutes, rate: 1, minutes };
+  const r = perMinuteRate(games, stat, gamesN, scheme);
+  if (!r) return null;
+  return { projection: r.rate * minutes.minutes, rate: r.rate, minutes };
+}
 
-    const dates = [
-      ...db.sgoPropLines.map(extractPropDate),
-      ...db.hardrockPropLines.map(extractPropDate),
-      ...Object.keys(db.propsArchive || {})
-    ].filter(isValidISODate);
+// Response fields shared by projection and edge rows
+function minutesFields(mp) {
+  return {
+    minutesProj: Number(mp.minutes.minutes.toFixed(2)),
+    minutesBasis: mp.minutes.basis,
+    recentMinutes: mp.minutes.recentMinutes === null ? null : Number(mp.minutes.recentMinutes.toFixed(2)),
+    ratePerMin: Number(mp.rate.toFixed(4))
+  };
+}
 
-    const unique = uniqSortedDates(dates);
+function noMinutesFields() {
+  return { minutesProj: null, minutesBasis: null, recentMinutes: null, ratePerMin: null };
+}
 
-    let activeDate = todayET;
-    if (unique.length > 0) {
-      const upcoming = unique.filter((d) => d >= todayET);
-      activeDate = upcoming.length ? upcoming[0] : unique[unique.length - 1];
-    }
+// Projection rows: swap each single stat's average for rate x projected minutes.
+// games: the player's logs, newest first. Combos are left to the caller to re-sum.
+function applyMinutesModel(row, games, gamesN, { projBy, scheme, override }) {
+  Object.assign(row, { minutesProj: null, minutesBasis: null, recentMinutes: null, ratePerMin: null });
+  if (projBy === "average") return row;
+
+  const minutes = projectMinutes(games, gamesN, override);
+  if (!minutes) return row;
+
+  row.minutesProj = Number(minutes.minutes.toFixed(2));
+  row.minutesBasis = minutes.basis;
+  row.recentMinutes = minutes.recentMinutes === null ? null : Number(minutes.recentMinutes.toFixed(2));
+  row.ratePerMin = {};
+  for (const d of STAT_REGISTRY) {
+    if (d.combo) continue;
+    const mp = minutesProjection(games, d.code, gamesN, { scheme, override });
+    if (!mp) continue;
+    row[d.field] = mp.projection;
+    row.ratePerMin[d.field] = Number(mp.rate.toFixed(4));
+  }
+  return row;
+}
 
-    res.json({ todayET, activeDate, availableDates: unique });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+// Projection rows: one field per single registry stat from the weighting scheme,
+// over the games that recorded it (0 when none did). Combos are left to the caller.
+function projectRowStats(row, games, gamesN, scheme) {
+  for (const d of STAT_REGISTRY) {
+    if (d.combo) continue;
+    const est = schemeStat(games, d.code, gamesN, scheme);
+    row[d.field] = est ? est.value : 0;
   }
-});
+  return row;
+}
 
-app.get("/api/odds/sgo/props-for-date", async (req, res) => {
-  try {
-    const date = String(req.query.date || "");
-    const limit = Math.max(1, Math.min(500, Number(req.query.limit || 50)));
+function parseProjBy(v) {
+  return String(v || "minutes").toLowerCase() === "average" ? "average" : "minutes";
+}
 
-    if (!isValidISODate(date)) return res.status(400).json({ ok: false, error: "Missing/invalid date. Use YYYY-MM-DD." });
+// ---------------------------
+// Opponent adjustment
+// Factor per opponent and stat: how players did against that team relative to
+// their own average (1.08 = allows 8% more). Using each player's own average
+// keeps it fair when we only hold logs for the players we track. Small samples
+// shrink toward 1.0, and per-position factors shrink toward the team's factor.
+// ---------------------------
+const OPP_FACTOR_PRIOR_GAMES = 10;
+const OPP_FACTOR_MIN = 0.8;
+const OPP_FACTOR_MAX = 1.2;
 
-    const db = await readDB();
-    const items = db.sgoPropLines.filter((p) => extractPropDate(p) === date).slice(0, limit);
+function normTeam(t) {
+  const s = String(t || "").trim().toUpperCase();
+  return s || null;
+}
 
-    res.json({ ok: true, date, limit, count: items.length, props: items });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+// "LAL vs. BOS" -> { opponent: "BOS", home: true }; "LAL @ BOS" -> { opponent: "BOS", home: false }
+// (NBA stats MATCHUP column)
+function parseMatchup(m) {
+  const hit = String(m || "").match(/^\s*\S+\s+(vs\.?|@|at)\s+(\S+)\s*$/i);
+  if (!hit) return null;
+  return { opponent: normTeam(hit[2]), home: hit[1].toLowerCase().startsWith("vs") };
+}
+
+// true/false/"H"/"A"/"home"/"away" -> boolean, else null
+function parseHomeFlag(v) {
+  if (v === true || v === false) return v;
+  const s = String(v ?? "").trim().toLowerCase();
+  if (["h", "home", "true", "1", "vs", "vs."].includes(s)) return true;
+  if (["a", "away", "false", "0", "@", "at"].includes(s)) return false;
+  return null;
+}
+
+// "PG", "SG", "G-F" -> "G"; "SF", "PF" -> "F"; "C", "C-F" -> "C"
+function positionGroup(pos) {
+  const s = String(pos || "").trim().toUpperCase();
+  if (!s) return null;
+  const first = s.split(/[-\/ ]/)[0];
+  if (first.endsWith("G")) return "G";
+  if (first.endsWith("F")) return "F";
+  if (first === "C") return "C";
+  return null;
+}
+
+// Newest non-empty value of a log field (team, position) from logs sorted newest first
+function latestLogField(games, field) {
+  for (const g of games || []) {
+    if (g && g[field]) return g[field];
   }
-});
+  return null;
+}
 
-app.get("/api/nba/stats/status", async (req, res) => {
-  try {
-    const db = await readDB();
-    const sampleKeys = (arr) => {
-      if (!Array.isArray(arr) || arr.length === 0) return [];
-      const obj = arr[0] && typeof arr[0] === "object" ? arr[0] : null;
-      return obj ? Object.keys(obj).slice(0, 25) : [];
-    };
+function clampOppFactor(f) {
+  return Math.min(OPP_FACTOR_MAX, Math.max(OPP_FACTOR_MIN, f));
+}
 
-    res.json({
-      ok: true,
-      counts: {
-        nbaPlayerGameLogs: db.nbaPlayerGameLogs.length,
-        sgoPropLines: db.sgoPropLines.length,
-        hardrockPropLines: db.hardrockPropLines.length
-      },
-      sampleKeys: {
-        nbaPlayerGameLogs: sampleKeys(db.nbaPlayerGameLogs),
-        sgoPropLines: sampleKeys(db.sgoPropLines),
-        hardrockPropLines: sampleKeys(db.hardrockPropLines)
-      },
-      cache: { leaders: { ts: cache.leaders.ts, hasData: !!cache.leaders.data } }
-    });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+// logs: every game log we have; roster (optional) supplies positions. Returns
+// { [OPP]: { games, factors: { CODE: f }, n: { CODE: n }, byPosition: { G: { CODE: f } } } }
+function computeOpponentFactors(logs, roster = null) {
+  const codes = STAT_REGISTRY.filter((d) => !d.binary).map((d) => d.code);
+
+  // Player averages per stat
+  const means = new Map();
+  for (const g of logs) {
+    if (!g || !g.playerId) continue;
+    if (!means.has(g.playerId)) means.set(g.playerId, {});
+    const m = means.get(g.playerId);
+    for (const c of codes) {
+      const v = getStatFromLog(g, c);
+      if (v === null) continue;
+      m[c] = m[c] || { sum: 0, n: 0 };
+      m[c].sum += v;
+      m[c].n++;
+    }
   }
-});
 
-app.get("/api/nba/stats/leaders", async (req, res) => {
-  try {
-    if (cache.leaders.data) return res.json({ ok: true, cached: true, ts: cache.leaders.ts, leaders: cache.leaders.data });
-    const db = await readDB();
-    const leaders = computeLeadersFromLogs(db.nbaPlayerGameLogs);
-    res.json({ ok: true, cached: false, ts: null, leaders });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  const acc = new Map(); // opp -> { dates, team: { CODE: {sum,n} }, pos: { G: { CODE: {sum,n} } } }
+  for (const g of logs) {
+    const opp = normTeam(g && g.opponent);
+    if (!opp || !g.playerId) continue;
+    if (!acc.has(opp)) acc.set(opp, { dates: new Set(), team: {}, pos: {} });
+    const a = acc.get(opp);
+    a.dates.add(g.gameDate);
+    const pos = positionGroup(rosterInfo(roster, rosterPlayerId(roster, g), g.gameDate).position || g.position);
+    const m = means.get(g.playerId);
+
+    for (const c of codes) {
+      const v = getStatFromLog(g, c);
+      const mean = m[c] ? m[c].sum / m[c].n : 0;
+      if (v === null || !(mean > 0)) continue;
+      const ratio = v / mean;
+      a.team[c] = a.team[c] || { sum: 0, n: 0 };
+      a.team[c].sum += ratio;
+      a.team[c].n++;
+      if (pos) {
+        a.pos[pos] = a.pos[pos] || {};
+        a.pos[pos][c] = a.pos[pos][c] || { sum: 0, n: 0 };
+        a.pos[pos][c].sum += ratio;
+        a.pos[pos][c].n++;
+      }
+    }
   }
-});
 
-app.post("/api/nba/stats/warm", async (req, res) => {
-  try {
-    const db = await readDB();
-    cache.leaders.data = computeLeadersFromLogs(db.nbaPlayerGameLogs);
-    cache.leaders.ts = new Date().toISOString();
-    res.json({ ok: true, ts: cache.leaders.ts });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  const k = OPP_FACTOR_PRIOR_GAMES;
+  const out = {};
+  for (const [opp, a] of acc.entries()) {
+    const factors = {};
+    const n = {};
+    for (const [c, t] of Object.entries(a.team)) {
+      factors[c] = Number(clampOppFactor((t.sum + k) / (t.n + k)).toFixed(4));
+      n[c] = t.n;
+    }
+    const byPosition = {};
+    for (const [pos, stats] of Object.entries(a.pos)) {
+      byPosition[pos] = {};
+      for (const [c, t] of Object.entries(stats)) {
+        byPosition[pos][c] = Number(clampOppFactor((t.sum + k * factors[c]) / (t.n + k)).toFixed(4));
+      }
+    }
+    out[opp] = { games: a.dates.size, factors, n, byPosition };
   }
-});
+  return out;
+}
 
-app.get("/api/nba/edges-today-tiered", async (req, res) => {
-  try {
-    const date = String(req.query.date || "");
-    const minEdge = Number(req.query.minEdge || 0);
-    const gamesN = Math.max(1, Math.min(30, Number(req.query.games || 10)));
+// computeOpponentFactors over every log (or those before `before`), cached on the write versions
+function opponentFactors(opts = {}) {
+  return cachedLogAggregate("opponentFactors", computeOpponentFactors, opts);
+}
 
-    if (date && !isValidISODate(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD (or omit date)." });
+function opponentFactorFor(factors, opponent, stat, position) {
+  const f = factors && factors[normTeam(opponent)];
+  if (!f) return 1;
+  const byPos = position && f.byPosition[position] ? f.byPosition[position][stat] : undefined;
+  return byPos ?? f.factors[stat] ?? 1;
+}
 
-    const db = await readDB();
-    const todayET = getTodayET();
+// { opponent, factor, position } for one player-stat on a slate. matchups: Map team -> { opponent }.
+// Team and position come from the roster (info), else the prop, else the player's newest log.
+function opponentAdjustment(factors, matchups, prop, games, stat, info = {}) {
+  const team = normTeam(info.team) || normTeam(prop && prop.team) || normTeam(latestLogField(games, "team"));
+  const opponent = normTeam(prop && prop.opponent) || (team && matchups && matchups.get(team) ? matchups.get(team).opponent : null);
+  const position = positionGroup(info.position || (prop && prop.position) || latestLogField(games, "position"));
+  if (!opponent) return { opponent: null, factor: 1, position };
+  return { opponent, factor: opponentFactorFor(factors, opponent, stat, position), position };
+}
 
-    let useDate = date;
-    if (!useDate) {
-      const dates = uniqSortedDates([
-        ...db.sgoPropLines.map(extractPropDate),
-        ...db.hardrockPropLines.map(extractPropDate)
-      ].filter(isValidISODate));
+// Projection rows: multiply each single (non-binary) stat by factorFor(code) and
+// re-sum combos. Returns { field: factor } for the stats it scaled.
+function scaleProjectionRow(row, factorFor) {
+  const applied = {};
+  for (const d of STAT_REGISTRY) {
+    if (d.combo || d.binary || typeof row[d.field] !== "number") continue;
+    const f = factorFor(d.code);
+    applied[d.field] = f;
+    row[d.field] = row[d.field] * f;
+  }
+  for (const d of STAT_REGISTRY) {
+    if (d.combo) row[d.field] = d.combo.reduce((t, c) => t + row[STATS_BY_CODE.get(c).field], 0);
+  }
+  return applied;
+}
 
-      if (dates.length === 0) useDate = todayET;
-      else {
-        const upcoming = dates.filter((d) => d >= todayET);
-        useDate = upcoming.length ? upcoming[0] : dates[dates.length - 1];
-      }
-    }
+// Copy of a projection row's stat fields (the unadjusted values callers return as row.raw)
+function projectionStatFields(row) {
+  const out = {};
+  for (const d of STAT_REGISTRY) {
+    if (typeof row[d.field] === "number") out[d.field] = row[d.field];
+  }
+  return out;
+}
 
-    const props = [
-      ...db.sgoPropLines.filter((p) => extractPropDate(p) === useDate).map((p) => ({ ...p, __source: "sgo" })),
-      ...db.hardrockPropLines.filter((p) => extractPropDate(p) === useDate).map((p) => ({ ...p, __source: "hardrock" }))
-    ];
+function applyOpponentModel(row, games, factors, matchups, info = {}) {
+  const { opponent, position } = opponentAdjustment(factors, matchups, {}, games, null, info);
+  row.opponent = opponent;
+  row.oppFactors = opponent ? scaleProjectionRow(row, (code) => opponentFactorFor(factors, opponent, code, position)) : null;
+  return row;
+}
 
-    const edges = [];
-    for (const p of props) {
-      const line = extractPropLine(p);
-      if (!Number.isFinite(line)) continue;
+function parseOppAdjust(v) {
+  return !["0", "false", "off", "no"].includes(String(v ?? "1").toLowerCase());
+}
 
-      const key = extractPropKey(p);
-      const statTypeRaw = p.statType || p.market || p.propType || p.category || p.stat;
-      const proj = rollingProjection(db.nbaPlayerGameLogs, key, statTypeRaw, gamesN);
-      if (!proj) continue;
-
-      const edge = proj.projection - line;
-      const absEdge = Math.abs(edge);
-      if (absEdge < minEdge) continue;
-
-      edges.push({
-        tier: tierForAbsEdge(absEdge),
-        source: p.__source,
-        date: useDate,
-        playerId: key.playerId,
-        playerName: key.playerName || null,
-        team: key.team || null,
-        stat: proj.stat,
-        gamesUsed: proj.gamesUsed,
-        projection: Number(proj.projection.toFixed(2)),
-        line: Number(line.toFixed(2)),
-        edge: Number(edge.toFixed(2)),
-        absEdge: Number(absEdge.toFixed(2)),
-        rawProp: p
-      });
-    }
+// ---------------------------
+// Games
+// The schedule: db.games[id] with teams, tip-off (UTC) and status; id is the
+// SGO eventID when known, else `date:AWAY@HOME`. A game's slate date is the ET
+// calendar date of its tip-off, so a 10:30pm PT game stays on its night even
+// though it starts the next day in UTC. Prop rows link to their game (gameId)
+// by eventID, else by team on the slate date, and carry phase: "pregame" when
+// the line was captured before tip-off, "live" after. Matchups (who plays whom,
+// home/away) come from here plus teams carried on prop rows.
+//   db.games[id] { id, eventID, date, homeTeam, awayTeam, startsAt, status, source, updatedAt }
+// ---------------------------
+const GAME_STATUSES = ["scheduled", "live", "final", "postponed", "cancelled"];
 
-    const tierRank = { A: 1, B: 2, C: 3 };
-    edges.sort((a, b) => {
-      const ta = tierRank[a.tier] || 9;
-      const tb = tierRank[b.tier] || 9;
-      if (ta !== tb) return ta - tb;
-      return b.absEdge - a.absEdge;
-    });
+// ET calendar date of an instant (null if unparseable)
+function etDateOf(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return null;
+  return new Intl.DateTimeFormat("en-CA", { timeZone: "America/New_York", year: "numeric", month: "2-digit", day: "2-digit" }).format(d);
+}
+
+// SGO events keep tip-off at status.startsAt (v2); older payloads used other names
+function sgoEventStartsAt(ev) {
+  if (!ev) return null;
+  const s = (ev.status && ev.status.startsAt) || ev.startsAt || ev.startTime || ev.start_time || ev.commenceTime || ev.commence_time || ev.eventTime || null;
+  return s ? String(s) : null;
+}
+
+function sgoEventStatus(ev) {
+  const st = (ev && ev.status) || {};
+  if (st.cancelled) return "cancelled";
+  if (st.postponed || st.delayed) return "postponed";
+  if (st.completed || st.ended || st.finalized) return "final";
+  if (st.live || st.started) return "live";
+  return "scheduled";
+}
 
-    const tiered = {
-      A: edges.filter((e) => e.tier === "A"),
-      B: edges.filter((e) => e.tier === "B"),
-      C: edges.filter((e) => e.tier === "C")
+// SGO v2 event -> game fields (null without both teams)
+function sgoEventMatchup(ev) {
+  const t = ev && ev.teams;
+  const abbr = (side) => side && ((side.names && (side.names.short || side.names.abbr)) || side.abbreviation || side.teamID);
+  const homeTeam = normTeam(t && abbr(t.home));
+  const awayTeam = normTeam(t && abbr(t.away));
+  if (!homeTeam || !awayTeam) return null;
+  return { homeTeam, awayTeam, startsAt: sgoEventStartsAt(ev), status: sgoEventStatus(ev), eventID: ev.eventID || null };
+}
+
+// games: [{ eventID?, homeTeam, awayTeam, startsAt?, status?, date? }]. The date is
+// taken from startsAt; `date` (or fallbackDate) only when tip-off is unknown. A
+// game replaces any other game on its date involving either team.
+// Returns { upserted, dates }.
+function upsertGames(db, games, source, fallbackDate = null) {
+  db.games = db.games && typeof db.games === "object" ? db.games : {};
+  const dates = new Set();
+  let upserted = 0;
+
+  for (const gm of games || []) {
+    const homeTeam = normTeam(gm && gm.homeTeam);
+    const awayTeam = normTeam(gm && gm.awayTeam);
+    if (!homeTeam || !awayTeam || homeTeam === awayTeam) continue;
+    const startsAt = gm.startsAt && etDateOf(gm.startsAt) ? new Date(gm.startsAt).toISOString() : null;
+    const date = startsAt ? etDateOf(startsAt) : String(gm.date || fallbackDate || "");
+    if (!isValidISODate(date)) continue;
+    const status = GAME_STATUSES.includes(gm.status) ? gm.status : null;
+
+    const eventID = gm.eventID ? String(gm.eventID) : null;
+    const id = eventID || `${date}:${awayTeam}@${homeTeam}`;
+    let prev = db.games[id] || null;
+    for (const g of Object.values(db.games)) {
+      if (g.id === id || g.date !== date) continue;
+      if ([g.homeTeam, g.awayTeam].some((t) => t === homeTeam || t === awayTeam)) {
+        if (!prev && (!g.eventID || !eventID)) prev = g; // same game, now with an eventID (or without one)
+        delete db.games[g.id];
+      }
+    }
+
+    db.games[id] = {
+      id,
+      eventID: eventID || (prev && prev.eventID) || null,
+      date,
+      homeTeam,
+      awayTeam,
+      startsAt: startsAt || (prev && prev.date === date ? prev.startsAt : null) || null,
+      status: status || (prev && prev.status) || "scheduled",
+      source,
+      updatedAt: new Date().toISOString()
     };
+    dates.add(date);
+    upserted++;
+  }
+  return { upserted, dates: Array.from(dates) };
+}
 
-    res.json({
-      ok: true,
-      todayET,
-      date: useDate,
-      minEdge,
-      gamesN,
-      counts: { total: edges.length, A: tiered.A.length, B: tiered.B.length, C: tiered.C.length },
-      tiered
-    });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+// { byEvent: Map eventID -> game, byTeamDate: Map "date|TEAM" -> game }
+function buildGameIndex(games) {
+  const idx = { byEvent: new Map(), byTeamDate: new Map() };
+  for (const g of Object.values(games || {})) {
+    if (g.eventID) idx.byEvent.set(String(g.eventID), g);
+    idx.byTeamDate.set(`${g.date}|${g.homeTeam}`, g);
+    idx.byTeamDate.set(`${g.date}|${g.awayTeam}`, g);
   }
-});
+  return idx;
+}
 
-// Root
-app.get("/", (req, res) => res.sendFile(path.join(__dirname, "public", "index.html")));
+// Game for a prop row: its eventID, else any team it names on its slate date
+// (the ET date of its own startsAt when it has one)
+function gameForProp(idx, p) {
+  if (p.eventID && idx.byEvent.has(String(p.eventID))) return idx.byEvent.get(String(p.eventID));
+  const date = (p.startsAt && etDateOf(p.startsAt)) || extractPropDate(p);
+  for (const t of [p.team, p.homeTeam, p.awayTeam, p.opponent]) {
+    const g = normTeam(t) && idx.byTeamDate.get(`${date}|${normTeam(t)}`);
+    if (g) return g;
+  }
+  return null;
+}
 
+// "pregame" | "live" for a line seen at `at` (default now)
+function propPhase(game, at) {
+  if (!game) return null;
+  if (game.status === "live" || game.status === "final") return "live";
+  const tip = game.startsAt ? Date.parse(game.startsAt) : NaN;
+  if (!Number.isFinite(tip)) return "pregame";
+  const seen = at ? Date.parse(at) : Date.now();
+  return Number.isFinite(seen) && seen >= tip ? "live" : "pregame";
+}
 
-app.post("/api/import/sgo-props", async (req, res) => {
-  try {
-    const rows = Array.isArray(req.body) ? req.body : [];
-    if (rows.length === 0) {
-      return res.status(400).json({ ok: false, error: "Body must be an array of prop rows" });
-    }
+// Stamp gameId/startsAt/phase (and the tip-off's ET date) on prop rows.
+// The phase is set once, from the row's lastUpdatedAt or else the time of import;
+// relinking stored rows (fresh = false) leaves it unset when that is unknown.
+// Returns how many rows changed.
+function linkPropsToGames(db, props, fresh = true) {
+  const idx = buildGameIndex(db.games);
+  let changed = 0;
+  for (const p of props || []) {
+    if (!p || typeof p !== "object") continue;
+    const g = gameForProp(idx, p);
+    if (!g) continue;
+    const before = `${p.gameId}|${p.startsAt}|${p.date}|${p.phase}`;
+    p.gameId = g.id;
+    if (g.startsAt) p.startsAt = g.startsAt;
+    if (p.date !== g.date) p.date = g.date;
+    if (!p.phase && (fresh || p.lastUpdatedAt)) p.phase = propPhase(g, p.lastUpdatedAt || null);
+    if (`${p.gameId}|${p.startsAt}|${p.date}|${p.phase}` !== before) changed++;
+  }
+  return changed;
+}
 
-    const db = await readDB();
+function linkAllPropsToGames(db) {
+  let changed = 0;
+  for (const key of Object.values(PROP_COLLECTIONS)) changed += linkPropsToGames(db, db[key], false);
+  return changed;
+}
 
-    // Dedupe key: date + playerId(or name) + statType + line
-    const seen = new Set(
-      db.sgoPropLines.map((p) => {
-        const date = String(p.date || p.slateDate || "");
-        const pid = String(p.playerId || p.player_id || "");
-        const name = String(p.playerName || p.player_name || p.name || "").toLowerCase();
-        const stat = String(p.statType || p.market || p.propType || p.stat || "").toLowerCase();
-        const line = Number(p.line ?? p.value ?? p.total ?? p.threshold ?? p.number);
-        return `${date}__${pid || name}__${stat}__${Number.isFinite(line) ? line : ""}`;
-      })
-    );
+async function gamesForDate(date) {
+  return Object.values(await readCollection("games", {}))
+    .filter((g) => g.date === date)
+    .sort((a, b) => String(a.startsAt || "").localeCompare(String(b.startsAt || "")) || a.homeTeam.localeCompare(b.homeTeam));
+}
 
-    let added = 0;
-    const sample = [];
+// Map team -> { opponent, home, startsAt, gameId } for a date
+async function matchupsForDate(date) {
+  const map = new Map();
+  // firstIsHome: true/false, or null when only team vs opponent is known
+  const add = (first, second, startsAt, firstIsHome = true, gameId = null) => {
+    const a = normTeam(first);
+    const b = normTeam(second);
+    if (!a || !b) return;
+    if (!map.has(a)) map.set(a, { opponent: b, home: firstIsHome, startsAt: startsAt || null, gameId });
+    if (!map.has(b)) map.set(b, { opponent: a, home: firstIsHome === null ? null : !firstIsHome, startsAt: startsAt || null, gameId });
+  };
 
-    for (const r of rows) {
-      if (!r || typeof r !== "object") continue;
-
-      const date = r.date ?? r.slateDate ?? r.gameDate ?? null;
-      const playerId = r.playerId ?? r.player_id ?? r.pid ?? null;
-      const playerName = r.playerName ?? r.player_name ?? r.name ?? "";
-      const statType = r.statType ?? r.market ?? r.propType ?? r.stat ?? r.category ?? "";
-      const team = r.team ?? r.teamAbbr ?? r.team_abbr ?? "";
-      const lineRaw = r.line ?? r.value ?? r.total ?? r.threshold ?? r.number ?? null;
-
-      if (!date) continue;
-
-      const line = Number(lineRaw);
-      const key = `${String(date)}__${playerId ? String(playerId) : String(playerName || "").toLowerCase()}__${String(statType || "").toLowerCase()}__${Number.isFinite(line) ? line : ""}`;
-      if (seen.has(key)) continue;
-
-      const row = {
-        date: String(date),
-        playerId: playerId ? String(playerId) : undefined,
-        playerName: String(playerName || "").trim() || undefined,
-        statType: String(statType || "").trim() || undefined,
-        team: String(team || "").trim() || undefined,
-        line: Number.isFinite(line) ? line : undefined,
-        source: "sgo"
-      };
+  for (const g of await gamesForDate(date)) add(g.homeTeam, g.awayTeam, g.startsAt, true, g.id);
 
-      db.sgoPropLines.push(row);
-      seen.add(key);
-      added++;
-      if (sample.length < 3) sample.push(row);
+  for (const src of Object.keys(PROP_COLLECTIONS)) {
+    for (const p of await queryPropLines({ source: src, date })) {
+      if (p.homeTeam && p.awayTeam) add(p.homeTeam, p.awayTeam, p.startsAt);
+      else if (p.team && p.opponent) add(p.team, p.opponent, p.startsAt, null);
     }
+  }
+  return map;
+}
 
-    await writeDB(db);
+// ---------------------------
+// Prop sources
+// Every prop feed is an adapter registered with registerPropSource:
+//   { id, label, collection (db key its rows live in), formats,
+//     fetch(params) -> payload        optional: pull from the feed's API
+//     parse(payload, params) -> records
+//     normalize(record, params) -> prop row | null
+//     dedupeKey(row) -> string        rows with the same key are one line
+//     games(payload, params) -> [{ eventID, homeTeam, awayTeam, startsAt, status }]  optional }
+// A pulled payload replaces the source's rows for the slate; pushed bodies (JSON
+// rows or a CSV export) are added, skipping lines already stored. Every row then
+// goes through games, the player registry and line history (ingestPropRows).
+// PROP_COLLECTIONS is filled from here, so a new feed needs only its adapter.
+// ---------------------------
+const PROP_SOURCES = new Map();
 
-    res.json({
-      ok: true,
-      received: rows.length,
-      added,
-      total: db.sgoPropLines.length,
-      sampleAdded: sample
-    });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+function registerPropSource(adapter) {
+  const id = String((adapter && adapter.id) || "");
+  if (!/^[a-z][a-z0-9_]*$/.test(id)) throw new Error(`Invalid prop source id: ${id}`);
+  if (typeof adapter.parse !== "function" || typeof adapter.normalize !== "function") {
+    throw new Error(`Prop source ${id} needs parse() and normalize()`);
   }
-});
+  const a = { label: id, collection: `${id}PropLines`, formats: ["json", "csv"], dedupeKey: propDedupeKey, ...adapter };
+  PROP_SOURCES.set(id, a);
+  PROP_COLLECTIONS[id] = a.collection;
+  return a;
+}
 
-app.post("/api/import/hardrock-props", async (req, res) => {
-  try {
-    const rows = Array.isArray(req.body) ? req.body : [];
-    if (rows.length === 0) {
-      return res.status(400).json({ ok: false, error: "Body must be an array of prop rows" });
-    }
+function getPropSource(id) {
+  return PROP_SOURCES.get(String(id || "").trim().toLowerCase()) || null;
+}
 
-    const db = await readDB();
+// date + player id (or name) + stat + line
+function propDedupeKey(p) {
+  const date = String(p.date || p.slateDate || "");
+  const pid = String(p.playerId || p.player_id || "");
+  const name = String(p.playerName || p.player_name || p.name || "").toLowerCase();
+  const stat = String(p.statType || p.market || p.propType || p.stat || "").toLowerCase();
+  const line = Number(p.line ?? p.value ?? p.total ?? p.threshold ?? p.number);
+  return `${date}__${pid || name}__${stat}__${Number.isFinite(line) ? line : ""}`;
+}
 
-    const seen = new Set(
-      db.hardrockPropLines.map((p) => {
-        const date = String(p.date || p.slateDate || "");
-        const pid = String(p.playerId || p.player_id || "");
-        const name = String(p.playerName || p.player_name || p.name || "").toLowerCase();
-        const stat = String(p.statType || p.market || p.propType || p.stat || "").toLowerCase();
-        const line = Number(p.line ?? p.value ?? p.total ?? p.threshold ?? p.number);
-        return `${date}__${pid || name}__${stat}__${Number.isFinite(line) ? line : ""}`;
-      })
-    );
+// Pushed body -> raw rows: a JSON array, { rows: [...] } or CSV text with a header row
+function propPayloadRows(payload) {
+  if (typeof payload === "string") return parseCSV(payload);
+  if (Array.isArray(payload)) return payload;
+  if (payload && Array.isArray(payload.rows)) return payload.rows;
+  return [];
+}
 
-    let added = 0;
-    const sample = [];
+// The common flat shape (one row per line, as books' exports and our own JSON
+// use). Needs a date (the row's or params.date) and a player.
+function flatPropRow(r, defaultDate = null) {
+  if (!r || typeof r !== "object") return null;
+  const date = r.date ?? r.slateDate ?? r.gameDate ?? defaultDate ?? null;
+  const playerId = r.playerId ?? r.player_id ?? r.pid ?? null;
+  const playerName = String(r.playerName ?? r.player_name ?? r.player ?? r.name ?? "").trim();
+  const statRaw = String(r.statType ?? r.market ?? r.propType ?? r.stat ?? r.category ?? "").trim();
+  const lineRaw = r.line ?? r.value ?? r.propLine ?? r.total ?? r.threshold ?? r.number ?? null;
+  if (!date || (!playerId && !playerName)) return null;
+
+  const line = lineRaw === null || lineRaw === "" ? NaN : Number(lineRaw);
+  const { overOdds, underOdds } = extractPropOdds(r);
+  return {
+    date: String(date),
+    playerId: playerId ? String(playerId) : undefined,
+    playerName: playerName || undefined,
+    statType: canonicalPropStat(statRaw) || statRaw || undefined,
+    team: normTeam(r.team ?? r.teamAbbr ?? r.team_abbr ?? "") || undefined,
+    opponent: normTeam(r.opponent ?? r.opp ?? r.vs ?? "") || undefined,
+    line: Number.isFinite(line) ? line : undefined,
+    overOdds: overOdds ?? undefined,
+    underOdds: underOdds ?? undefined,
+    eventID: r.eventID ? String(r.eventID) : undefined,
+    startsAt: r.startsAt ? String(r.startsAt) : undefined
+  };
+}
 
-    for (const r of rows) {
-      if (!r || typeof r !== "object") continue;
-
-      const date = r.date ?? r.slateDate ?? r.gameDate ?? null;
-      const playerId = r.playerId ?? r.player_id ?? r.pid ?? null;
-      const playerName = r.playerName ?? r.player_name ?? r.name ?? "";
-      const statType = r.statType ?? r.market ?? r.propType ?? r.stat ?? r.category ?? "";
-      const team = r.team ?? r.teamAbbr ?? r.team_abbr ?? "";
-      const lineRaw = r.line ?? r.value ?? r.total ?? r.threshold ?? r.number ?? null;
-
-      if (!date) continue;
-
-      const line = Number(lineRaw);
-      const key = `${String(date)}__${playerId ? String(playerId) : String(playerName || "").toLowerCase()}__${String(statType || "").toLowerCase()}__${Number.isFinite(line) ? line : ""}`;
-      if (seen.has(key)) continue;
-
-      const row = {
-        date: String(date),
-        playerId: playerId ? String(playerId) : undefined,
-        playerName: String(playerName || "").trim() || undefined,
-        statType: String(statType || "").trim() || undefined,
-        team: String(team || "").trim() || undefined,
-        line: Number.isFinite(line) ? line : undefined,
-        source: "hardrock"
-      };
+// Store normalized rows for one source. replaceDate: drop the source's rows for
+// that date first (a full pull). Returns { added, duplicates, replaced, total, sample }.
+function ingestPropRows(db, adapter, rows, { replaceDate = null } = {}) {
+  const key = adapter.collection;
+  db[key] = Array.isArray(db[key]) ? db[key] : [];
+  // Games first: a row's date becomes its tip-off's ET slate, and the dedupe keys
+  // below must see that date or a re-push of the same line is stored again
+  linkPropsToGames(db, rows);
+  let replaced = 0;
+  if (replaceDate) {
+    const before = db[key].length;
+    db[key] = db[key].filter((p) => p && extractPropDate(p) !== replaceDate);
+    replaced = before - db[key].length;
+  }
 
-      db.hardrockPropLines.push(row);
-      seen.add(key);
-      added++;
-      if (sample.length < 3) sample.push(row);
-    }
+  const seen = new Set(db[key].map((p) => adapter.dedupeKey(p)));
+  const added = [];
+  for (const row of rows) {
+    const k = adapter.dedupeKey(row);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    db[key].push(row);
+    added.push(row);
+  }
 
-    await writeDB(db);
+  registerPlayers(db, adapter.id, rows);
+  // History sees every row, including ones already stored (a line can move back)
+  recordLineHistory(db, adapter.id, rows);
 
-    res.json({
-      ok: true,
-      received: rows.length,
-      added,
-      total: db.hardrockPropLines.length,
-      sampleAdded: sample
-    });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  return { added: added.length, duplicates: rows.length - added.length, replaced, total: db[key].length, sample: added.slice(0, 3) };
+}
+
+// payload: a pushed body; null pulls via adapter.fetch(params). params: { date, replace, ...feed options }.
+// Returns { mode, date, received, invalid, imported, added, duplicates, replaced, total, sample, upstream? }
+// or { status, error } (bad params, or a fetch that answered { status, error, upstream? }).
+async function importPropSource(adapter, payload, params = {}) {
+  const pulled = payload === null || payload === undefined;
+  const date = params.date ? String(params.date) : null;
+  if (date && !isValidISODate(date)) return { status: 400, error: "Invalid date. Use YYYY-MM-DD." };
+  if (pulled && typeof adapter.fetch !== "function") {
+    return { status: 400, error: `${adapter.id} has no API to pull from; send rows (JSON array or CSV)` };
   }
-});
+  if (pulled && !date) return { status: 400, error: "date is required to pull a slate" };
+
+  const raw = pulled ? await adapter.fetch(params) : payload;
+  if (pulled && raw && raw.error && raw.status) return raw;
+  const records = adapter.parse(raw, params) || [];
+
+  const rows = [];
+  let invalid = 0;
+  for (const rec of records) {
+    const row = adapter.normalize(rec, params);
+    if (row) rows.push({ ...row, source: adapter.id });
+    else invalid++;
+  }
+  const games = typeof adapter.games === "function" ? adapter.games(raw, params) : [];
+  const replaceDate = (pulled || params.replace) && date ? date : null;
 
-app.post("/api/props/archive-date", async (req, res) => {
-  try {
-    const body = req.body && typeof req.body === "object" ? req.body : {};
-    const date = String(body.date || "");
+  const result = await withDB(async (db) => {
+    if (games.length) upsertGames(db, games, adapter.id, date);
+    return ingestPropRows(db, adapter, rows, { replaceDate });
+  });
+  const upstream = pulled && raw && raw.upstream ? { upstream: raw.upstream } : {};
+  return { mode: pulled ? "pull" : "push", date, received: records.length, invalid, imported: rows.length, ...result, ...upstream };
+}
 
-    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ ok: false, error: "Missing/invalid date. Use {\"date\":\"YYYY-MM-DD\"}" });
-    }
+// SportsGameOdds /v2/events client. Events carry odds keyed by oddID
+// ({statID}-{statEntityID}-{periodID}-{betTypeID}-{sideID}); each player
+// over/under odd becomes one row.
+const SGO_EVENTS_URL = "https://api.sportsgameodds.com/v2/events/";
+const SGO_KEY_ENV = process.env.SGO_API_KEY || process.env.SPORTSGAMEODDS_API_KEY || "";
+// Small in-memory cache to avoid burning credits during rapid refreshes
+const sgoCache = new Map(); // key -> { ts, data }
+const SGO_CACHE_MS = 30 * 1000;
+const SGO_DEFAULT_ODD_IDS = [
+  "points-PLAYER_ID-game-ou-over",
+  "rebounds-PLAYER_ID-game-ou-over",
+  "assists-PLAYER_ID-game-ou-over",
+  "threes_made-PLAYER_ID-game-ou-over"
+].join(",");
+
+// An ET slate runs past midnight UTC (late West Coast tips), so ask for
+// D 00:00Z .. D+1 12:00Z and keep the events whose ET date is D
+function sgoSlateWindow(date) {
+  const d = new Date(`${date}T00:00:00.000Z`);
+  return { startsAfter: d.toISOString(), startsBefore: new Date(d.getTime() + 36 * 60 * 60 * 1000).toISOString() };
+}
 
-    const db = await readDB();
+async function sgoFetchEvents({ date, limit, bookmakerID, oddID, leagueID }) {
+  if (!SGO_KEY_ENV) {
+    throw new Error("Missing SGO API key. Set SGO_API_KEY on Render (and locally if needed).");
+  }
+  if (!isValidISODate(date)) throw new Error("Invalid date. Use YYYY-MM-DD.");
+
+  const { startsAfter, startsBefore } = sgoSlateWindow(date);
+  const params = new URLSearchParams();
+  params.set("leagueID", leagueID || "NBA");
+  params.set("oddsAvailable", "true");
+  params.set("startsAfter", startsAfter);
+  params.set("startsBefore", startsBefore);
+  params.set("includeOpposingOdds", "true");
+  params.set("limit", String(limit || 10));
+  if (bookmakerID) params.set("bookmakerID", bookmakerID);
+  if (oddID) params.set("oddID", oddID); // comma-separated list
+
+  const cacheKey = params.toString();
+  const hit = sgoCache.get(cacheKey);
+  if (hit && Date.now() - hit.ts < SGO_CACHE_MS) return hit.data;
+
+  const res = await fetch(`${SGO_EVENTS_URL}?${params.toString()}`, {
+    headers: { "Accept": "application/json", "x-api-key": SGO_KEY_ENV }
+  });
+  const text = await res.text();
+  let data = null;
+  try { data = text ? JSON.parse(text) : null; } catch {}
+
+  if (!res.ok) {
+    const msg = (data && (data.error || data.message)) ? (data.error || data.message) : text;
+    throw new Error(`SGO ${res.status} ${res.statusText}: ${msg}`);
+  }
 
-    const sgo = db.sgoPropLines.filter((p) => String(p.date || p.slateDate || "") === date);
-    const hardrock = db.hardrockPropLines.filter((p) => String(p.date || p.slateDate || "") === date);
+  sgoCache.set(cacheKey, { ts: Date.now(), data });
+  return data;
+}
 
-    if (!db.propsArchive || typeof db.propsArchive !== "object") db.propsArchive = {};
+function isSgoEventsPayload(payload) {
+  return !!payload && typeof payload === "object" && !Array.isArray(payload) && Array.isArray(payload.data);
+}
 
-    db.propsArchive[date] = {
-      ts: new Date().toISOString(),
-      sgoCount: sgo.length,
-      hardrockCount: hardrock.length,
-      sgo,
-      hardrock
-    };
+// Events on the ET slate (all of them when date is null; events without a start time are kept)
+function sgoSlateEvents(payload, date) {
+  return payload.data.filter((ev) => {
+    const start = sgoEventStartsAt(ev);
+    return ev && (!date || !start || etDateOf(start) === date);
+  });
+}
 
-    await writeDB(db);
+function parseSgoOddId(oddID) {
+  // Example: points-JALEN_DUREN_1_NBA-game-ou-over
+  if (!oddID || typeof oddID !== "string") return null;
+  const parts = oddID.split("-");
+  if (parts.length < 5) return null;
+  return {
+    statID: parts[0],
+    statEntityID: parts.slice(1, parts.length - 3).join("-"),
+    periodID: parts[parts.length - 3],
+    betTypeID: parts[parts.length - 2],
+    sideID: parts[parts.length - 1]
+  };
+}
 
-    res.json({
-      ok: true,
-      date,
-      archivedAt: db.propsArchive[date].ts,
-      counts: { sgo: sgo.length, hardrock: hardrock.length }
-    });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
-  }
-});
+function sgoStatType(statID) {
+  const map = { threes_made: "3pm", threesmade: "3pm", "points+rebounds+assists": "pra", "points+rebounds": "pr", "points+assists": "pa", "rebounds+assists": "ra", "blocks+steals": "stocks" };
+  return map[String(statID || "").toLowerCase()] || canonicalPropStat(statID) || String(statID || "unknown");
+}
 
-app.get("/api/props/archive", async (req, res) => {
-  try {
-    const date = String(req.query.date || "");
+// The odd's over/under number: book, then fair, then the first bookmaker's
+function sgoBestLine(odd) {
+  for (const v of [odd.bookOverUnder, odd.openBookOverUnder, odd.fairOverUnder, odd.openFairOverUnder]) {
+    if (v === undefined || v === null || v === "") continue;
+    const n = Number(v);
+    if (Number.isFinite(n)) return n;
+  }
+  for (const rec of Object.values(odd.byBookmaker || {})) {
+    const n = Number(rec && rec.overUnder);
+    if (Number.isFinite(n)) return n;
+  }
+  return null;
+}
 
-    if (!date) {
-      return res.status(400).json({
-        ok: false,
-        error: "Missing date. Use /api/props/archive?date=YYYY-MM-DD"
-      });
+// Book + per-bookmaker prices for one side. byBookmaker[book] = { odds, overUnder, ... }
+function sgoSideOdds(odd) {
+  const byBook = {};
+  if (odd && odd.byBookmaker && typeof odd.byBookmaker === "object") {
+    for (const [bk, rec] of Object.entries(odd.byBookmaker)) {
+      if (!rec || rec.available === false) continue;
+      const line = Number(rec.overUnder);
+      byBook[bk] = { line: Number.isFinite(line) ? line : null, odds: parseAmericanOdds(rec.odds) };
     }
+  }
+  return { odds: parseAmericanOdds(odd && odd.bookOdds), fairOdds: parseAmericanOdds(odd && odd.fairOdds), byBook };
+}
 
-    const db = await readDB();
+// One event odd -> prop row (null for team markets and odds without a line)
+function sgoOddToProp(ev, oddKey, date) {
+  const oddsObj = ev.odds;
+  const odd = oddsObj && oddsObj[oddKey];
+  if (!odd || typeof odd !== "object") return null;
+  const parsed = parseSgoOddId(odd.oddID || oddKey);
+  if (!parsed) return null;
+  const playerId = odd.playerID || parsed.statEntityID || "";
+  if (!playerId) return null;
+  const line = sgoBestLine(odd);
+  if (line === null) return null;
+
+  // Prices: this side plus its opposing side (includeOpposingOdds=true)
+  const opposing = odd.opposingOddID ? oddsObj[odd.opposingOddID] : null;
+  const isUnder = parsed.sideID === "under";
+  const mine = sgoSideOdds(odd);
+  const theirs = sgoSideOdds(opposing);
+  const over = isUnder ? theirs : mine;
+  const under = isUnder ? mine : theirs;
+
+  const byBook = {};
+  for (const bk of new Set([...Object.keys(over.byBook), ...Object.keys(under.byBook)])) {
+    const o = over.byBook[bk] || {};
+    const u = under.byBook[bk] || {};
+    byBook[bk] = { line: o.line ?? u.line ?? null, overOdds: o.odds ?? null, underOdds: u.odds ?? null };
+  }
 
-    if (!db.propsArchive || !db.propsArchive[date]) {
-      return res.json({
-        ok: true,
-        date,
-        exists: false,
-        archive: null
-      });
-    }
+  const matchup = sgoEventMatchup(ev);
+  const startsAt = sgoEventStartsAt(ev);
+  return {
+    date: date || etDateOf(startsAt),
+    eventID: ev.eventID || "",
+    leagueID: ev.leagueID || "",
+    homeTeam: matchup ? matchup.homeTeam : undefined,
+    awayTeam: matchup ? matchup.awayTeam : undefined,
+    playerId,
+    playerName: odd.playerName || odd.marketName || playerId, // fallback
+    statType: sgoStatType(odd.statID || parsed.statID),
+    side: parsed.sideID || "",
+    period: parsed.periodID || "game",
+    betType: parsed.betTypeID || "ou",
+    line,
+    overOdds: over.odds,
+    underOdds: under.odds,
+    sgoFairOverOdds: over.fairOdds,
+    sgoFairUnderOdds: under.fairOdds,
+    byBook,
+    marketName: odd.marketName || "",
+    startsAt,
+    lastUpdatedAt: Object.values(odd.byBookmaker || {})[0]?.lastUpdatedAt || null
+  };
+}
 
-    res.json({
-      ok: true,
-      date,
-      exists: true,
-      archive: db.propsArchive[date]
-    });
+// SportsGameOdds: pulls /v2/events; also takes a pushed events payload or flat rows
+registerPropSource({
+  id: "sgo",
+  label: "SportsGameOdds",
+  collection: "sgoPropLines",
+  formats: ["json", "csv", "sgo-events"],
+  fetch: (params) => sgoFetchEvents({
+    date: params.date,
+    limit: Number(params.limit || 10),
+    bookmakerID: params.bookmakerID || "",
+    oddID: params.oddID || SGO_DEFAULT_ODD_IDS,
+    leagueID: params.leagueID || "NBA"
+  }),
+  parse(payload, params) {
+    if (!isSgoEventsPayload(payload)) return propPayloadRows(payload);
+    const out = [];
+    for (const ev of sgoSlateEvents(payload, params.date || null)) {
+      for (const oddKey of Object.keys(ev.odds && typeof ev.odds === "object" ? ev.odds : {})) out.push({ event: ev, oddKey });
+    }
+    return out;
+  },
+  normalize: (rec, params) => (rec && rec.event && rec.oddKey ? sgoOddToProp(rec.event, rec.oddKey, params.date) : flatPropRow(rec, params.date)),
+  // An event odd and its opposing side are separate rows
+  dedupeKey: (p) => (p.side ? `${propDedupeKey(p)}__${p.side}__${p.period || "game"}` : propDedupeKey(p)),
+  games: (payload, params) => (isSgoEventsPayload(payload) ? sgoSlateEvents(payload, params.date || null).map(sgoEventMatchup).filter(Boolean) : [])
+});
 
-  } catch (err) {
-    res.status(500).json({
-      ok: false,
-      error: String(err?.message || err)
-    });
-  }
+// Hard Rock: rows pushed from the book's board (JSON or CSV)
+registerPropSource({
+  id: "hardrock",
+  label: "Hard Rock Bet",
+  collection: "hardrockPropLines",
+  parse: (payload) => propPayloadRows(payload),
+  normalize: (rec, params) => flatPropRow(rec, params.date)
 });
 
-app.get("/api/nba/projections", async (req, res) => {
-  try {
-    const gamesN = Math.max(1, Number(req.query.games || 10));
+// The older SGO feeds behind /api/import/sgo-props-v2, -v2b and -v3. Not registered:
+// each is the sgo source (collection, dedupe, registry, history) with its own
+// fetch/parse/normalize, pull only. fetch answers { json, upstream } or { status, error, upstream }.
+//   "props"  {SGO_BASE_URL}{SGO_PROPS_PATH}?date=&limit= -> flat rows under props/data/results/events
+//   "events" /v2/events without a slate window -> events carrying an odds/lines/markets array
+//            of flat odds; kept when they tip off on the ET date (or have no start time)
+function sgoLegacyPropsUrl(date, limit) {
+  const base = (process.env.SGO_BASE_URL || "https://sportsgameodds.com").replace(/\/+$/, "");
+  const path = (process.env.SGO_PROPS_PATH || "/api/v1/nba/props").replace(/^\/?/, "/");
+  return `${base}${path}?date=${encodeURIComponent(date)}&limit=${encodeURIComponent(limit)}`;
+}
 
-    const db = await readDB();
-    const logs = Array.isArray(db.nbaPlayerGameLogs)
-      ? db.nbaPlayerGameLogs
-      : [];
+function sgoLegacyEventsUrl(limit) {
+  const qs = new URLSearchParams({ leagueID: "NBA", oddsAvailable: "true", limit: String(limit || 10) });
+  return `https://api.sportsgameodds.com/v2/events?${qs.toString()}`;
+}
+
+function sgoLegacyItems(json) {
+  return (
+    (json && Array.isArray(json.props) && json.props) ||
+    (json && Array.isArray(json.data) && json.data) ||
+    (json && Array.isArray(json.results) && json.results) ||
+    (json && Array.isArray(json.events) && json.events) ||
+    (Array.isArray(json) ? json : [])
+  );
+}
+
+function sgoLegacyEvents(json) {
+  return (
+    (json && Array.isArray(json.data) && json.data) ||
+    (json && Array.isArray(json.events) && json.events) ||
+    (Array.isArray(json) ? json : [])
+  );
+}
+
+function sgoLegacyEventOdds(ev) {
+  return (
+    (ev && Array.isArray(ev.odds) && ev.odds) ||
+    (ev && Array.isArray(ev.lines) && ev.lines) ||
+    (ev && Array.isArray(ev.markets) && ev.markets) ||
+    []
+  );
+}
 
-    const byPlayer = new Map();
+function sgoLegacySlateEvents(json, date) {
+  return sgoLegacyEvents(json).filter((ev) => {
+    const start = sgoEventStartsAt(ev);
+    return !start || etDateOf(start) === date;
+  });
+}
 
-    for (const g of logs) {
-      if (!g.playerId) continue;
-      if (!byPlayer.has(g.playerId)) byPlayer.set(g.playerId, []);
-      byPlayer.get(g.playerId).push(g);
+// retry202: SGO answers 202 while it builds the response; wait ~10s for it
+async function sgoLegacyGet(url, { retry202 = false } = {}) {
+  const waits = retry202 ? [600, 1000, 1600, 2600, 4200] : [];
+  for (let attempt = 0; ; attempt++) {
+    const r = await fetch(url, { headers: { "Accept": "application/json", "x-api-key": process.env.SGO_API_KEY || "" } });
+    const text = await r.text();
+    let json = null;
+    try { json = text ? JSON.parse(text) : null; } catch {}
+
+    if (retry202 && r.status === 202 && attempt < waits.length) {
+      await new Promise((done) => setTimeout(done, waits[attempt]));
+      continue;
     }
+    const upstream = { url, status: r.status, statusText: r.statusText, preview: text.slice(0, 200) };
+    if (!r.ok) return { status: 502, error: "SGO upstream error", upstream };
+    if (retry202 && r.status === 202) return { status: 202, error: "SGO is still processing this request. Try again in 10–30 seconds.", upstream };
+    return { json, upstream: { url, status: r.status } };
+  }
+}
 
-    const projections = [];
+// One legacy row or odd -> prop row; needs a player name and a numeric line
+function sgoLegacyPropRow(r, date, format) {
+  const playerName = r.playerName || r.player || r.player_name || r.name || null;
+  const playerId = r.playerID || r.playerId || r.player_id || (format === "props" ? r.id : null) || null;
+  const team = r.team || r.teamAbbr || r.team_abbr || null;
+  const rawType = String(r.statType || r.market || (format === "events" ? r.oddID : "") || r.propType || r.type || "").toLowerCase();
+  const line = Number(r.line ?? r.value ?? r.propLine ?? r.points ?? r.number);
+  if (!playerName || !Number.isFinite(line)) return null;
 
-    for (const [playerId, arr] of byPlayer.entries()) {
-      arr.sort((a, b) => String(b.gameDate).localeCompare(String(a.gameDate)));
+  const statType = canonicalPropStat(rawType) || (rawType.includes("3") || rawType.includes("three") ? "3pm" : rawType);
+  return {
+    date,
+    playerId: playerId ? String(playerId) : "",
+    playerName: String(playerName),
+    team: team ? String(team) : "",
+    statType,
+    line,
+    ...extractPropOdds(r)
+  };
+}
 
-      const slice = arr.slice(0, gamesN);
-      if (slice.length === 0) continue;
+function sgoLegacySource(format, { retry202 = false } = {}) {
+  return {
+    ...getPropSource("sgo"),
+    formats: [format === "events" ? "sgo-events-list" : "sgo-props-list"],
+    fetch: (params) => sgoLegacyGet(format === "events" ? sgoLegacyEventsUrl(params.limit) : sgoLegacyPropsUrl(params.date, params.limit), { retry202 }),
+    parse(payload, params) {
+      if (format !== "events") return sgoLegacyItems(payload.json);
+      return sgoLegacySlateEvents(payload.json, params.date).flatMap((event) => sgoLegacyEventOdds(event).map((odd) => ({ event, odd })));
+    },
+    normalize(rec, params) {
+      if (format !== "events") return sgoLegacyPropRow(rec, params.date, format);
+      const row = sgoLegacyPropRow(rec.odd, params.date, format);
+      return row && { ...row, eventID: rec.event.eventID || undefined, startsAt: sgoEventStartsAt(rec.event) || undefined };
+    },
+    games: (payload, params) => (format === "events" ? sgoLegacySlateEvents(payload.json, params.date).map(sgoEventMatchup).filter(Boolean) : [])
+  };
+}
 
-      let pts = 0, reb = 0, ast = 0, fg3m = 0;
+// ---------------------------
+// Situational splits
+// Home/away, rest days (days off before the game: 0 = second night of a
+// back-to-back, 1, 2+) and last-N vs season, per stat. The situation projection
+// mode scales a projection by the player's own split-vs-season ratios for the
+// upcoming game, shrunk toward 1.0 like the opponent factors.
+// ---------------------------
+const SPLIT_PRIOR_GAMES = 10;
+const SPLIT_FACTOR_MIN = 0.85;
+const SPLIT_FACTOR_MAX = 1.15;
 
-      for (const g of slice) {
-        pts += Number(g.pts || 0);
-        reb += Number(g.reb || 0);
-        ast += Number(g.ast || 0);
-        fg3m += Number(g.fg3m || 0);
-      }
+function isoDayNumber(d) {
+  return Math.floor(Date.parse(`${d}T00:00:00Z`) / 86400000);
+}
 
-      const gp = slice.length;
+// games: one player's logs, newest first -> Map(log -> days off before it, null for the first)
+function restDaysByGame(games) {
+  const out = new Map();
+  for (let i = 0; i < games.length; i++) {
+    const prev = games[i + 1];
+    out.set(games[i], prev ? isoDayNumber(games[i].gameDate) - isoDayNumber(prev.gameDate) - 1 : null);
+  }
+  return out;
+}
 
-      projections.push({
-        playerId,
-        playerName: slice[0].playerName,
-        gp,
-        pts: pts / gp,
-        reb: reb / gp,
-        ast: ast / gp,
-        fg3m: fg3m / gp
-      });
+function restBucket(days) {
+  if (days === null || days === undefined) return null;
+  if (days <= 0) return "0";
+  return days === 1 ? "1" : "2+";
+}
+
+// { games, stats: { field: { avg, n } } } over a set of logs
+function splitBucket(games) {
+  const stats = {};
+  for (const d of STAT_REGISTRY) {
+    let sum = 0;
+    let n = 0;
+    for (const g of games) {
+      const v = getStatFromLog(g, d.code);
+      if (v === null) continue;
+      sum += v;
+      n++;
     }
+    if (n) stats[d.field] = { avg: Number((sum / n).toFixed(2)), n };
+  }
+  return { games: games.length, stats };
+}
 
-    projections.sort((a, b) => b.pts - a.pts);
+// games: one player's logs, newest first
+function computeSplits(games, lastN) {
+  const rest = restDaysByGame(games);
+  const where = (fn) => splitBucket(games.filter(fn));
+  return {
+    season: splitBucket(games),
+    lastN: { n: lastN, ...splitBucket(games.slice(0, lastN)) },
+    home: where((g) => g.home === true),
+    away: where((g) => g.home === false),
+    rest: {
+      "0": where((g) => restBucket(rest.get(g)) === "0"),
+      "1": where((g) => restBucket(rest.get(g)) === "1"),
+      "2+": where((g) => restBucket(rest.get(g)) === "2+")
+    },
+    backToBack: {
+      yes: where((g) => restBucket(rest.get(g)) === "0"),
+      no: where((g) => rest.get(g) !== null && rest.get(g) >= 1)
+    }
+  };
+}
 
-    res.json({
-      ok: true,
-      gamesUsed: gamesN,
-      count: projections.length,
-      projections
-    });
+// Shrunk ratio of a stat's average over `subset` to its average over all `games`
+function splitRatio(subset, games, stat) {
+  const avg = (list) => {
+    let sum = 0;
+    let n = 0;
+    for (const g of list) {
+      const v = getStatFromLog(g, stat);
+      if (v === null) continue;
+      sum += v;
+      n++;
+    }
+    return { mean: n ? sum / n : null, n };
+  };
+  const all = avg(games);
+  const sub = avg(subset);
+  if (!(all.mean > 0) || sub.mean === null) return 1;
+  return (sub.n * (sub.mean / all.mean) + SPLIT_PRIOR_GAMES) / (sub.n + SPLIT_PRIOR_GAMES);
+}
 
-  } catch (err) {
-    res.status(500).json({
-      ok: false,
-      error: String(err?.message || err)
-    });
+// The upcoming game's situation for a player: { home, restDays, restBucket }.
+// home comes from the slate's matchups (null when unknown).
+function upcomingSituation(games, date, matchups, info = {}) {
+  const last = games.find((g) => String(g.gameDate) < date);
+  const restDays = last ? isoDayNumber(date) - isoDayNumber(last.gameDate) - 1 : null;
+  const team = normTeam(info.team) || normTeam(latestLogField(games, "team"));
+  const m = team && matchups ? matchups.get(team) : null;
+  return { home: m ? m.home : null, restDays, restBucket: restBucket(restDays) };
+}
+
+function situationFactorFor(games, situation, stat) {
+  const rest = restDaysByGame(games);
+  let f = 1;
+  if (situation.home === true || situation.home === false) {
+    f *= splitRatio(games.filter((g) => g.home === situation.home), games, stat);
   }
-});
+  if (situation.restBucket) {
+    f *= splitRatio(games.filter((g) => restBucket(rest.get(g)) === situation.restBucket), games, stat);
+  }
+  return Number(Math.min(SPLIT_FACTOR_MAX, Math.max(SPLIT_FACTOR_MIN, f)).toFixed(4));
+}
 
-app.get("/api/nba/projections-weighted", async (req, res) => {
-  try {
-    const gamesN = Math.max(1, Number(req.query.games || 10));
+// Projection rows: scale by the situation of the player's game on `date`
+function applySituationModel(row, games, date, matchups, info = {}) {
+  const past = games.filter((g) => String(g.gameDate) < date);
+  row.situation = upcomingSituation(past, date, matchups, info);
+  row.situationFactors = scaleProjectionRow(row, (code) => situationFactorFor(past, row.situation, code));
+  return row;
+}
 
-    const db = await readDB();
-    const logs = Array.isArray(db.nbaPlayerGameLogs) ? db.nbaPlayerGameLogs : [];
+// ---------------------------
+// Small-sample shrinkage
+// A projection from n games is blended with a prior:
+//   credibility = n / (n + k), projection = credibility * own + (1 - credibility) * prior
+// The prior is the player's own season mean when that rests on enough games,
+// otherwise the average player with the same position and role (starter/bench
+// by minutes), then position, then role, then everyone. Credibility is returned as
+// the edge's confidence and caps its tier, so a 2-game outlier can't reach A.
+// ---------------------------
+const SHRINK_K_GAMES = 3;
+const SHRINK_SEASON_MIN_GAMES = 10;
+const SHRINK_GROUP_MIN_PLAYERS = 3;
+const STARTER_MINUTES = 24;
+const TIER_MIN_CONFIDENCE = { A: 0.7, B: 0.5 };
+
+// q: query/body. Returns { on, k } or { error }.
+function parseShrink(q) {
+  const on = !["0", "false", "off", "no"].includes(String((q && q.shrink) ?? "1").toLowerCase());
+  const k = q && q.shrinkK !== undefined && q.shrinkK !== "" ? Number(q.shrinkK) : SHRINK_K_GAMES;
+  if (!(k >= 0)) return { error: "shrinkK must be a non-negative number" };
+  return { on, k };
+}
+
+// logs: every game log we have. Per player: position group, role and current-season
+// means; per group ("G|starter", "G", "starter", "all"): average of player means.
+// roster (optional) supplies positions.
+function buildShrinkPriors(logs, roster = null) {
+  const byPlayer = new Map();
+  for (const g of logs) {
+    if (!g || !g.playerId || !g.gameDate) continue;
+    if (!byPlayer.has(g.playerId)) byPlayer.set(g.playerId, []);
+    byPlayer.get(g.playerId).push(g);
+  }
 
-    const byPlayer = new Map();
-    for (const g of logs) {
-      if (!g || !g.playerId || !g.gameDate) continue;
-      if (!byPlayer.has(g.playerId)) byPlayer.set(g.playerId, []);
-      byPlayer.get(g.playerId).push(g);
+  const players = new Map();
+  const groupSums = new Map(); // key -> { CODE: { sum, n } }
+  for (const [pid, games] of byPlayer.entries()) {
+    sortLogsNewestFirst(games);
+    const seasonStart = seasonStartFor(games[0].gameDate);
+    const season = games.filter((g) => String(g.gameDate) >= seasonStart);
+    const means = {};
+    for (const d of STAT_REGISTRY) {
+      let sum = 0;
+      let n = 0;
+      for (const g of season) {
+        const v = getStatFromLog(g, d.code);
+        if (v === null) continue;
+        sum += v;
+        n++;
+      }
+      if (n) means[d.code] = { mean: sum / n, n };
     }
+    const position = positionGroup(rosterInfoForGames(roster, games, null).position || latestLogField(games, "position"));
+    const role = means.MIN ? (means.MIN.mean >= STARTER_MINUTES ? "starter" : "bench") : null;
+    players.set(String(pid), { position, role, means });
+
+    const keys = ["all"];
+    if (position) keys.push(position);
+    if (role) keys.push(role);
+    if (position && role) keys.push(`${position}|${role}`);
+    for (const key of keys) {
+      if (!groupSums.has(key)) groupSums.set(key, {});
+      const gs = groupSums.get(key);
+      for (const [code, m] of Object.entries(means)) {
+        gs[code] = gs[code] || { sum: 0, n: 0 };
+        gs[code].sum += m.mean;
+        gs[code].n++;
+      }
+    }
+  }
+  return { players, groups: groupSums };
+}
 
-    // Weight schedule: most recent gets weight = gamesN, next = gamesN-1, ...
-    const projections = [];
+// buildShrinkPriors over every log (or those before `before`), cached on the write versions
+function shrinkPriors(opts = {}) {
+  return cachedLogAggregate("shrinkPriors", buildShrinkPriors, opts);
+}
 
-    for (const [playerId, arr] of byPlayer.entries()) {
-      arr.sort((a, b) => String(b.gameDate).localeCompare(String(a.gameDate)));
-      const slice = arr.slice(0, gamesN);
-      if (slice.length === 0) continue;
+// { value, prior, priorBasis, credibility } for one projection from gp games
+function shrinkProjection(priors, playerId, stat, value, gp, k = SHRINK_K_GAMES) {
+  const credibility = gp + k > 0 ? gp / (gp + k) : 1;
+  const player = priors && playerId ? priors.players.get(String(playerId)) : null;
+
+  let prior = null;
+  let priorBasis = null;
+  const own = player && player.means[stat];
+  if (own && own.n >= SHRINK_SEASON_MIN_GAMES) {
+    prior = own.mean;
+    priorBasis = "season";
+  } else if (priors) {
+    const keys = [];
+    if (player && player.position && player.role) keys.push(`${player.position}|${player.role}`);
+    if (player && player.position) keys.push(player.position);
+    if (player && player.role) keys.push(player.role);
+    keys.push("all");
+    for (const key of keys) {
+      const g = priors.groups.get(key);
+      if (g && g[stat] && g[stat].n >= SHRINK_GROUP_MIN_PLAYERS) {
+        prior = g[stat].sum / g[stat].n;
+        priorBasis = key;
+        break;
+      }
+    }
+  }
 
-      let wSum = 0;
-      let pts = 0, reb = 0, ast = 0, fg3m = 0;
+  if (prior === null) return { value, prior: null, priorBasis: null, credibility };
+  return { value: credibility * value + (1 - credibility) * prior, prior, priorBasis, credibility };
+}
 
-      for (let i = 0; i < slice.length; i++) {
-        const g = slice[i];
-        const w = (gamesN - i); // newest gets biggest weight
-        wSum += w;
+// Lower a tier until the confidence clears its floor
+function capTierByConfidence(tier, confidence) {
+  if (confidence === null || confidence === undefined) return tier;
+  if (tier === "A" && confidence < TIER_MIN_CONFIDENCE.A) tier = "B";
+  if (tier === "B" && confidence < TIER_MIN_CONFIDENCE.B) tier = "C";
+  return tier;
+}
 
-        pts += w * Number(g.pts || 0);
-        reb += w * Number(g.reb || 0);
-        ast += w * Number(g.ast || 0);
-        fg3m += w * Number(g.fg3m || 0);
-      }
+// Projection rows: shrink each single stat toward its prior and re-sum combos
+function applyShrinkModel(row, priors, playerId, gp, k) {
+  let credibility = gp + k > 0 ? gp / (gp + k) : 1;
+  row.priors = {};
+  for (const d of STAT_REGISTRY) {
+    if (d.combo || typeof row[d.field] !== "number") continue;
+    const sh = shrinkProjection(priors, playerId, d.code, row[d.field], gp, k);
+    credibility = sh.credibility;
+    row[d.field] = sh.value;
+    if (sh.prior !== null) row.priors[d.field] = { prior: Number(sh.prior.toFixed(2)), basis: sh.priorBasis };
+  }
+  for (const d of STAT_REGISTRY) {
+    if (d.combo) row[d.field] = d.combo.reduce((t, c) => t + row[STATS_BY_CODE.get(c).field], 0);
+  }
+  row.confidence = Number(credibility.toFixed(2));
+  return row;
+}
 
-      const gp = slice.length;
+// Response fields shared by the edge endpoints
+function shrinkFields(sh) {
+  return {
+    confidence: Number(sh.credibility.toFixed(2)),
+    prior: sh.prior === null ? null : Number(sh.prior.toFixed(2)),
+    priorBasis: sh.priorBasis
+  };
+}
 
-      projections.push({
-        playerId,
-        playerName: slice[0].playerName,
-        gp,
-        gamesRequested: gamesN,
-        weightSum: wSum,
-        pts: wSum ? pts / wSum : 0,
-        reb: wSum ? reb / wSum : 0,
-        ast: wSum ? ast / wSum : 0,
-        fg3m: wSum ? fg3m / wSum : 0
-      });
-    }
+// ---------------------------
+// Over/under probability model
+// Count stats use Poisson, switching to negative binomial when the sample is
+// overdispersed (variance > mean). High-volume stats use a normal with a
+// continuity correction. Fitted per player from the same games as the projection.
+// ---------------------------
+const HIGH_VOLUME_STATS = new Set(STAT_REGISTRY.filter((d) => d.highVolume).map((d) => d.code));
 
-    projections.sort((a, b) => b.pts - a.pts);
+function fitStatDistribution(values, stat, meanOverride) {
+  const xs = (values || []).map(Number).filter(Number.isFinite);
+  if (xs.length === 0) return null;
 
-    res.json({
-      ok: true,
-      gamesUsed: gamesN,
-      count: projections.length,
-      projections
-    });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  if (STATS_BY_CODE.get(stat)?.binary) {
+    const rate = xs.reduce((s, x) => s + (x > 0 ? 1 : 0), 0) / xs.length;
+    const p = Math.min(1, Math.max(0, Number.isFinite(meanOverride) ? meanOverride : rate));
+    return { model: "bernoulli", mean: p, p };
   }
-});
 
-app.get("/api/nba/edges-tiered-v2", async (req, res) => {
-  try {
-    // ---------- helpers (local, self-contained) ----------
-    const nowETDate = () => {
-      // "YYYY-MM-DD" in America/New_York
-      const parts = new Intl.DateTimeFormat("en-CA", {
-        timeZone: "America/New_York",
-        year: "numeric",
-        month: "2-digit",
-        day: "2-digit"
-      }).formatToParts(new Date());
-      const y = parts.find(p => p.type === "year")?.value;
-      const m = parts.find(p => p.type === "month")?.value;
-      const d = parts.find(p => p.type === "day")?.value;
-      return `${y}-${m}-${d}`;
-    };
+  const sampleMean = xs.reduce((s, x) => s + x, 0) / xs.length;
+  const mean = Number.isFinite(meanOverride) ? meanOverride : sampleMean;
+  const variance = xs.length > 1
+    ? xs.reduce((s, x) => s + (x - sampleMean) ** 2, 0) / (xs.length - 1)
+    : mean;
 
-    const statToField = (statType) => {
-      const s = String(statType || "").toLowerCase().trim();
-      if (s === "points" || s === "pts") return "pts";
-      if (s === "rebounds" || s === "rebs" || s === "reb") return "reb";
-      if (s === "assists" || s === "asts" || s === "ast") return "ast";
-      if (s === "3pm" || s === "threes" || s === "3s" || s === "fg3m") return "fg3m";
-      return null;
-    };
+  if (HIGH_VOLUME_STATS.has(stat) || mean >= 15) {
+    // Floor the spread so a handful of similar games can't claim near-certainty
+    const sd = Math.max(Math.sqrt(variance), Math.sqrt(Math.max(mean, 1)) * 0.5, 1);
+    return { model: "normal", mean, sd };
+  }
 
-    const flatAvg = (arr, field, gamesN) => {
-      const slice = arr.slice(0, gamesN);
-      if (slice.length === 0) return { gp: 0, value: null };
-      let sum = 0;
-      for (const g of slice) sum += Number(g[field] || 0);
-      return { gp: slice.length, value: sum / slice.length };
-    };
+  if (mean <= 0) return { model: "poisson", mean: 0, lambda: 0 };
 
-    const weightedAvg = (arr, field, gamesN) => {
-      const slice = arr.slice(0, gamesN);
-      if (slice.length === 0) return { gp: 0, value: null };
-      let wSum = 0;
-      let sum = 0;
-      for (let i = 0; i < slice.length; i++) {
-        const w = (gamesN - i); // newest highest weight
-        wSum += w;
-        sum += w * Number(slice[i][field] || 0);
-      }
-      return { gp: slice.length, value: wSum ? (sum / wSum) : null };
-    };
+  if (xs.length >= 3 && variance > mean * 1.1) {
+    const r = (mean * mean) / (variance - mean);
+    return { model: "negbin", mean, r, p: r / (r + mean) };
+  }
 
-    // ---------- inputs ----------
-    const date = String(req.query.date || "").trim() || nowETDate();
-    const gamesN = Math.max(1, Number(req.query.games || 10));
-    const minEdge = Math.max(0, Number(req.query.minEdge || 0));
-    const mode = String(req.query.mode || "weighted").toLowerCase(); // "weighted" or "flat"
+  return { model: "poisson", mean, lambda: mean };
+}
 
-    // ---------- load db ----------
-    const db = await readDB();
-    const logs = Array.isArray(db.nbaPlayerGameLogs) ? db.nbaPlayerGameLogs : [];
-    const sgo = Array.isArray(db.sgoPropLines) ? db.sgoPropLines : [];
-    const hr = Array.isArray(db.hardrockPropLines) ? db.hardrockPropLines : [];
+function normalCdf(z) {
+  // Abramowitz & Stegun 7.1.26
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + y) / 2 : (1 - y) / 2;
+}
 
-    // ---------- group logs by player ----------
-    const byPlayer = new Map();
-    for (const g of logs) {
-      if (!g || !g.playerId || !g.gameDate) continue;
-      if (!byPlayer.has(g.playerId)) byPlayer.set(g.playerId, []);
-      byPlayer.get(g.playerId).push(g);
+// P(X = 0..kMax) for a discrete fit
+function discretePmf(dist, kMax) {
+  const out = [];
+  if (dist.model === "bernoulli") {
+    for (let k = 0; k <= kMax; k++) out.push(k === 0 ? 1 - dist.p : k === 1 ? dist.p : 0);
+  } else if (dist.model === "poisson") {
+    let pk = Math.exp(-dist.lambda);
+    for (let k = 0; k <= kMax; k++) {
+      out.push(pk);
+      pk = pk * dist.lambda / (k + 1);
     }
-    for (const arr of byPlayer.values()) {
-      arr.sort((a, b) => String(b.gameDate).localeCompare(String(a.gameDate)));
+  } else {
+    let pk = Math.pow(dist.p, dist.r);
+    for (let k = 0; k <= kMax; k++) {
+      out.push(pk);
+      pk = pk * (k + dist.r) / (k + 1) * (1 - dist.p);
     }
+  }
+  return out;
+}
 
-    // ---------- collect props for date ----------
-    const props = [];
-    for (const p of sgo) if (String(p.date || "") === date) props.push({ ...p, source: "sgo" });
-    for (const p of hr)  if (String(p.date || "") === date) props.push({ ...p, source: "hardrock" });
+// Returns { pOver, pUnder, pPush } for an over/under line.
+function probOverUnder(dist, line) {
+  if (!dist || !Number.isFinite(line)) return null;
 
-    // ---------- compute edges ----------
-    const tiers = { A: [], B: [], C: [] };
+  if (dist.model === "normal") {
+    const pOver = 1 - normalCdf((Math.floor(line) + 0.5 - dist.mean) / dist.sd);
+    const pUnder = normalCdf((Math.ceil(line) - 0.5 - dist.mean) / dist.sd);
+    return { pOver, pUnder, pPush: Math.max(0, 1 - pOver - pUnder) };
+  }
 
-    for (const p of props) {
-      const field = statToField(p.statType);
-      if (!field) continue;
+  if (line < 0) return { pOver: 1, pUnder: 0, pPush: 0 };
+  const pmf = discretePmf(dist, Math.ceil(line));
+  const below = (k) => pmf.slice(0, Math.max(0, k)).reduce((s, x) => s + x, 0); // P(X < k)
 
-      const playerId = p.playerId ? String(p.playerId) : null;
-      const playerName = String(p.playerName || "").trim();
+  const isInt = Number.isInteger(line);
+  const pUnder = below(Math.ceil(line));
+  const pPush = isInt ? pmf[line] : 0;
+  return { pOver: Math.max(0, 1 - pUnder - pPush), pUnder, pPush };
+}
 
-      const arr = playerId && byPlayer.has(playerId) ? byPlayer.get(playerId) : null;
-      if (!arr || arr.length === 0) continue;
+// ---------------------------
+// Odds helpers (American prices)
+// ---------------------------
+function parseAmericanOdds(x) {
+  if (x === undefined || x === null || x === "") return null;
+  const s = String(x).trim().toUpperCase();
+  if (s === "EVEN" || s === "EV") return 100;
+  const n = Number(s.replace(/^\+/, ""));
+  if (!Number.isFinite(n) || Math.abs(n) < 100) return null;
+  return n;
+}
 
-      const { gp, value } = (mode === "flat")
-        ? flatAvg(arr, field, gamesN)
-        : weightedAvg(arr, field, gamesN);
+function americanToImplied(odds) {
+  if (!Number.isFinite(odds)) return null;
+  return odds > 0 ? 100 / (odds + 100) : -odds / (-odds + 100);
+}
 
-      if (value === null) continue;
+function americanToDecimal(odds) {
+  if (!Number.isFinite(odds)) return null;
+  return odds > 0 ? 1 + odds / 100 : 1 + 100 / -odds;
+}
 
-      const line = Number(p.line);
-      if (!Number.isFinite(line)) continue;
+function impliedToAmerican(p) {
+  if (!Number.isFinite(p) || p <= 0 || p >= 1) return null;
+  return p >= 0.5 ? -100 * p / (1 - p) : 100 * (1 - p) / p;
+}
 
-      const edge = value - line;
-      const absEdge = Math.abs(edge);
+// EV per unit staked, in percent. pLose is the opposite side's probability, not
+// 1 - pWin: on an integer line the rest is a push, which returns the stake.
+function expectedValuePct(pWin, pLose, odds) {
+  const dec = americanToDecimal(odds);
+  if (!Number.isFinite(pWin) || !Number.isFinite(pLose) || dec === null) return null;
+  return (pWin * (dec - 1) - pLose) * 100;
+}
 
-      if (absEdge < minEdge) continue;
+function extractPropOdds(r) {
+  const over = parseAmericanOdds(r.overOdds ?? r.over_odds ?? r.overPrice ?? r.over_price ?? r.oddsOver ?? r.over);
+  const under = parseAmericanOdds(r.underOdds ?? r.under_odds ?? r.underPrice ?? r.under_price ?? r.oddsUnder ?? r.under);
+  return { overOdds: over, underOdds: under };
+}
 
-      const item = {
-        date,
-        source: p.source,
-        playerId,
-        playerName: playerName || arr[0]?.playerName || "Unknown",
-        team: p.team || undefined,
-        statType: p.statType,
-        line,
-        proj: Number(value.toFixed(3)),
-        edge: Number(edge.toFixed(3)),
-        absEdge: Number(absEdge.toFixed(3)),
-        gp
-      };
+// Price fields shared by every edge row. pOver/pUnder come from the model (may be null).
+function oddsFields(prop, pOver, pUnder) {
+  const { overOdds, underOdds } = extractPropOdds(prop || {});
+  const impliedOver = americanToImplied(overOdds);
+  const impliedUnder = americanToImplied(underOdds);
+
+  let fairOver = null;
+  let fairUnder = null;
+  if (impliedOver !== null && impliedUnder !== null) {
+    const total = impliedOver + impliedUnder; // > 1 by the book's margin
+    fairOver = impliedOver / total;
+    fairUnder = impliedUnder / total;
+  }
+
+  const evOver = expectedValuePct(pOver, pUnder, overOdds);
+  const evUnder = expectedValuePct(pUnder, pOver, underOdds);
+  const r4 = (x) => (x === null ? null : Number(x.toFixed(4)));
+  const r2 = (x) => (x === null ? null : Number(x.toFixed(2)));
+
+  return {
+    overOdds,
+    underOdds,
+    impliedOver: r4(impliedOver),
+    impliedUnder: r4(impliedUnder),
+    vig: impliedOver !== null && impliedUnder !== null ? r4(impliedOver + impliedUnder - 1) : null,
+    fairOver: r4(fairOver),
+    fairUnder: r4(fairUnder),
+    fairOverOdds: r2(impliedToAmerican(fairOver)),
+    fairUnderOdds: r2(impliedToAmerican(fairUnder)),
+    evOver: r2(evOver),
+    evUnder: r2(evUnder),
+    evPct: evOver === null && evUnder === null ? null : r2(Math.max(evOver ?? -Infinity, evUnder ?? -Infinity)),
+    evSide: evOver === null && evUnder === null ? null : ((evOver ?? -Infinity) >= (evUnder ?? -Infinity) ? "over" : "under")
+  };
+}
+
+function tierForProb(p) {
+  if (p >= 0.65) return "A";
+  if (p >= 0.57) return "B";
+  return "C";
+}
+
+// Model fields shared by every edge row
+function probabilityFields(values, stat, mean, line) {
+  const dist = fitStatDistribution(values, stat, mean);
+  const pr = probOverUnder(dist, line);
+  if (!pr) return { model: null, pOver: null, pUnder: null, pPush: null, lean: null, pLean: null, probTier: "C" };
+
+  const lean = pr.pOver >= pr.pUnder ? "over" : "under";
+  const pLean = Math.max(pr.pOver, pr.pUnder);
+  return {
+    model: dist.model,
+    pOver: Number(pr.pOver.toFixed(4)),
+    pUnder: Number(pr.pUnder.toFixed(4)),
+    pPush: Number(pr.pPush.toFixed(4)),
+    lean,
+    pLean: Number(pLean.toFixed(4)),
+    probTier: tierForProb(pLean)
+  };
+}
 
-      // Tier rules (simple + consistent)
-      if (absEdge >= 3) tiers.A.push(item);
-      else if (absEdge >= 2) tiers.B.push(item);
-      else tiers.C.push(item);
+// ---------------------------
+// Market view (line shopping)
+// Each prop row becomes one quote per book: SGO rows fan out over byBook, other
+// rows quote as their own source. Quotes group by date + player + stat, so a
+// prop listed by five books is one market with five quotes.
+// ---------------------------
+function propQuotes(p, source) {
+  const quotes = [];
+  if (p.byBook && typeof p.byBook === "object" && Object.keys(p.byBook).length) {
+    for (const [book, q] of Object.entries(p.byBook)) {
+      const line = Number(q && q.line);
+      if (!Number.isFinite(line)) continue;
+      quotes.push({ book, source, line, overOdds: parseAmericanOdds(q.overOdds), underOdds: parseAmericanOdds(q.underOdds) });
     }
+  }
+  if (quotes.length === 0) {
+    const line = extractPropLine(p);
+    if (line !== null) quotes.push({ book: source, source, line, ...extractPropOdds(p) });
+  }
+  return quotes;
+}
+
+// Same line: the better price wins; a quote with a price beats one without
+function betterQuote(a, b, side) {
+  if (!a) return b;
+  const key = side === "over" ? "overOdds" : "underOdds";
+  if (a.line !== b.line) return (side === "over" ? b.line < a.line : b.line > a.line) ? b : a;
+  const da = Number.isFinite(a[key]) ? americanToDecimal(a[key]) : 0;
+  const dbk = Number.isFinite(b[key]) ? americanToDecimal(b[key]) : 0;
+  return dbk > da ? b : a;
+}
 
-    // sort within tiers (largest edge first)
-    for (const k of Object.keys(tiers)) {
-      tiers[k].sort((a, b) => b.absEdge - a.absEdge);
+function median(xs) {
+  const v = xs.slice().sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+// props: rows tagged with .source. Returns one market per date + player + stat.
+function buildMarkets(props) {
+  const byKey = new Map();
+  for (const p of props) {
+    const date = extractPropDate(p);
+    const source = p.source || p.__source || "sgo";
+    // Resolved rows group by registry id, so an SGO id and a Hard Rock name land in one market
+    const k = `${date}__${propLineKey(p.ptPlayerId ? { ...p, playerId: `pt:${p.ptPlayerId}` } : p)}`;
+    let m = byKey.get(k);
+    if (!m) {
+      m = { date, key: propLineKey(p), playerId: p.playerId ? String(p.playerId) : null, ptPlayerId: p.ptPlayerId || null, playerName: p.playerName || null, team: p.team || null, statType: p.statType, gameId: p.gameId || null, startsAt: p.startsAt || null, phase: p.phase || null, quotes: new Map() };
+      byKey.set(k, m);
     }
+    if (!m.gameId && p.gameId) m.gameId = p.gameId;
+    if (!m.startsAt && p.startsAt) m.startsAt = p.startsAt;
+    if (p.phase) m.phase = p.phase;
+    if (!m.ptPlayerId && p.ptPlayerId) m.ptPlayerId = p.ptPlayerId;
+    if (!m.playerName && p.playerName) m.playerName = p.playerName;
+    if (!m.team && p.team) m.team = p.team;
+    // SGO lists each market once per side; first quote per book wins
+    for (const q of propQuotes(p, source)) if (!m.quotes.has(q.book)) m.quotes.set(q.book, q);
+  }
 
-    res.json({
-      ok: true,
-      date,
-      mode,
-      gamesUsed: gamesN,
-      minEdge,
-      counts: {
-        totalPropsForDate: props.length,
-        A: tiers.A.length,
-        B: tiers.B.length,
-        C: tiers.C.length
-      },
-      tiers
+  const markets = [];
+  for (const m of byKey.values()) {
+    const quotes = Array.from(m.quotes.values());
+    if (!quotes.length) continue;
+    let bestOver = null;
+    let bestUnder = null;
+    for (const q of quotes) {
+      bestOver = betterQuote(bestOver, q, "over");
+      bestUnder = betterQuote(bestUnder, q, "under");
+    }
+    const lines = quotes.map((q) => q.line);
+    markets.push({
+      ...m,
+      books: quotes.length,
+      quotes,
+      bestOver,
+      bestUnder,
+      consensusLine: median(lines),
+      lineSpread: Number((Math.max(...lines) - Math.min(...lines)).toFixed(3))
     });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
   }
-});
+  return markets;
+}
 
-app.get("/api/db/export", async (req, res) => {
-  try {
-    const db = await readDB();
+// The quote an edge row should be scored against: best number on the side the
+// projection leans to (relative to consensus).
+function marketQuoteFor(market, projection) {
+  const side = projection >= market.consensusLine ? "over" : "under";
+  return side === "over" ? market.bestOver : market.bestUnder;
+}
 
-    const fileName =
-      "protracker-db-" +
-      new Date().toISOString().replace(/[:.]/g, "-") +
-      ".json";
+// ---------------------------
+// Player registry
+// One canonical player per person, with the id and/or name each source uses
+// for them (aliases): SGO keys players as JALEN_DUREN_1_NBA, game logs use
+// numeric NBA ids, Hard Rock rows often carry only a name. Importers register
+// what they see and stamp rows with ptPlayerId; anything joining props to logs
+// resolves through here. A name that fits more than one player is never
+// guessed; it waits in db.playerReview until someone picks.
+//   db.players[id]  { id, name, normName, team, aliases: [{ source, sourceId, name }], createdAt }
+//   db.playerReview [{ id, source, sourceId, name, normName, team, candidates, status, createdAt }]
+// ---------------------------
+// Read per call: prop sources can register after this module section loads
+function playerSources() {
+  return ["logs", ...PROP_SOURCES.keys()];
+}
+const PLAYER_NAME_SUFFIXES = new Set(["jr", "sr", "ii", "iii", "iv", "v"]);
+
+// "Luka Dončić" -> "luka doncic"; "Jaren Jackson Jr." -> "jaren jackson"; "O'Neale" -> "oneale"
+function normPlayerName(name) {
+  const words = String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’.]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+  while (words.length > 2 && PLAYER_NAME_SUFFIXES.has(words[words.length - 1])) words.pop();
+  return words.join(" ");
+}
 
-    res.setHeader("Content-Type", "application/json");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${fileName}"`
-    );
+// SGO entity ids spell the name: JALEN_DUREN_1_NBA -> "JALEN DUREN" (rows forwarded from SGO keep them)
+function sgoIdName(id) {
+  const m = String(id || "").match(/^([A-Z][A-Z_]*?)_\d+_NBA$/i);
+  return m ? m[1].replace(/_/g, " ") : "";
+}
 
-    res.send(JSON.stringify(db, null, 2));
-  } catch (err) {
-    res.status(500).json({
-      ok: false,
-      error: String(err?.message || err)
-    });
-  }
-});
+// Rows without a source id are aliased by normalized name
+function playerAliasKey(source, sourceId, normName) {
+  return sourceId ? `${source}:${sourceId}` : `${source}:~${normName}`;
+}
 
-app.get("/api/props/line-moves", async (req, res) => {
-  try {
-    const date = String(req.query.date || "").trim();
-    const source = String(req.query.source || "all").toLowerCase(); // all|sgo|hardrock
-    const limit = Math.max(1, Number(req.query.limit || 50));
+// { byAlias: Map aliasKey -> id, byName: Map normName -> Set<id> }
+function buildPlayerIndex(players) {
+  const idx = { players: players || {}, byAlias: new Map(), byName: new Map() };
+  for (const p of Object.values(idx.players)) indexPlayer(idx, p);
+  return idx;
+}
 
-    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({
-        ok: false,
-        error: "Missing/invalid date. Use /api/props/line-moves?date=YYYY-MM-DD&source=all|sgo|hardrock&limit=50"
-      });
-    }
+function indexPlayer(idx, p) {
+  const names = new Set([p.normName, ...p.aliases.map((a) => normPlayerName(a.name))].filter(Boolean));
+  for (const n of names) {
+    if (!idx.byName.has(n)) idx.byName.set(n, new Set());
+    idx.byName.get(n).add(p.id);
+  }
+  for (const a of p.aliases) idx.byAlias.set(playerAliasKey(a.source, a.sourceId, normPlayerName(a.name)), p.id);
+}
 
-    const db = await readDB();
+// What a row says about its player, in registry terms
+function playerRef(source, row) {
+  const isLog = source === "logs";
+  const rawId = isLog ? getPlayerIdFromLog(row) : row.playerId || row.player_id || null;
+  const sourceId = rawId ? String(rawId) : null;
+  const name = String((isLog ? getPlayerNameFromLog(row) : row.playerName || row.player_name || row.name) || "").trim()
+    || sgoIdName(sourceId);
+  return { source, sourceId, name, normName: normPlayerName(name), team: normTeam(row.team) };
+}
 
-    const archive = db.propsArchive && db.propsArchive[date] ? db.propsArchive[date] : null;
-    if (!archive) {
-      return res.json({
-        ok: true,
-        date,
-        exists: false,
-        error: "No archive for this date. Run POST /api/props/archive-date first.",
-        moves: []
-      });
-    }
+// Canonical ids a ref could be, before deciding. A player that already has a
+// different id from the same source is a namesake, not a match.
+function playerCandidates(idx, ref) {
+  let ids = Array.from(idx.byName.get(ref.normName) || []);
+  if (ref.sourceId) {
+    ids = ids.filter((id) => !idx.players[id].aliases.some((a) => a.source === ref.source && a.sourceId && a.sourceId !== ref.sourceId));
+  }
+  if (ids.length > 1 && ref.team) {
+    const sameTeam = ids.filter((id) => normTeam(idx.players[id].team) === ref.team);
+    if (sameTeam.length === 1) return sameTeam;
+  }
+  return ids;
+}
 
-    const normStat = (s) => String(s || "").toLowerCase().trim();
-    const normName = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+// Read-only: canonical id for a ref, or null when unknown or ambiguous
+function resolvePlayerRef(idx, ref) {
+  const hit = idx.byAlias.get(playerAliasKey(ref.source, ref.sourceId, ref.normName));
+  if (hit) return hit;
+  if (!ref.normName) return null;
+  const ids = playerCandidates(idx, ref);
+  return ids.length === 1 ? ids[0] : null;
+}
 
-    const keyOf = (p) => {
-      const pid = p.playerId ? String(p.playerId) : "";
-      const name = normName(p.playerName || p.name || "");
-      const stat = normStat(p.statType || p.market || p.propType || p.stat || "");
-      // key ignores line so we can compare movements
-      return `${pid || name}__${stat}`;
-    };
+function resolvePlayerRow(idx, source, row) {
+  if (row && row.ptPlayerId && idx.players[row.ptPlayerId]) return row.ptPlayerId;
+  return resolvePlayerRef(idx, playerRef(source, row));
+}
 
-    const toNum = (x) => {
-      const n = Number(x);
-      return Number.isFinite(n) ? n : null;
-    };
+// Why resolvePlayerRow found nothing, for import responses that list unresolved rows
+function unresolvedPlayerReason(idx, source, row) {
+  const ref = playerRef(source, row);
+  return ref.normName && playerCandidates(idx, ref).length > 1
+    ? "ambiguous name (pass the player id)"
+    : "no registry player matches (players come from game log and prop imports)";
+}
+
+// A name-only lookup that fits several registered players (don't fall back to matching logs by name)
+function isAmbiguousPlayerName(idx, name) {
+  const ids = idx.byName.get(normPlayerName(name));
+  return !!ids && ids.size > 1;
+}
 
-    // Current props
-    const curSGO = (Array.isArray(db.sgoPropLines) ? db.sgoPropLines : []).filter(p => String(p.date || "") === date);
-    const curHR  = (Array.isArray(db.hardrockPropLines) ? db.hardrockPropLines : []).filter(p => String(p.date || "") === date);
+// Log ids and names the registry holds for these canonical players (to query their logs)
+function playerLogIdentities(idx, ptIds) {
+  const ids = new Set();
+  const names = new Set();
+  for (const id of ptIds) {
+    const p = id && idx.players[id];
+    if (!p) continue;
+    for (const a of p.aliases) {
+      if (a.source !== "logs") continue;
+      if (a.sourceId) ids.add(a.sourceId);
+      if (a.name) names.add(a.name);
+    }
+  }
+  return { ids: Array.from(ids), names: Array.from(names) };
+}
 
-    // Archived props (snapshot)
-    const arcSGO = Array.isArray(archive.sgo) ? archive.sgo : [];
-    const arcHR  = Array.isArray(archive.hardrock) ? archive.hardrock : [];
+function addPlayerAlias(p, ref) {
+  if (p.aliases.some((a) => a.source === ref.source && (a.sourceId || null) === ref.sourceId && normPlayerName(a.name) === ref.normName)) return;
+  p.aliases.push({ source: ref.source, sourceId: ref.sourceId, name: ref.name || null });
+  if (!p.team && ref.team) p.team = ref.team;
+}
 
-    const includeSGO = source === "all" || source === "sgo";
-    const includeHR  = source === "all" || source === "hardrock";
+function createPlayer(db, ref) {
+  // Log ids are the NBA's own, so they make the best canonical ids
+  let id = ref.source === "logs" && ref.sourceId ? ref.sourceId : `${ref.source}:${ref.sourceId || ref.normName.replace(/ /g, "-")}`;
+  for (let n = 2; db.players[id]; n++) id = `${id.replace(/~\d+$/, "")}~${n}`;
+  db.players[id] = { id, name: ref.name, normName: ref.normName, team: ref.team, aliases: [], createdAt: new Date().toISOString() };
+  addPlayerAlias(db.players[id], ref);
+  return db.players[id];
+}
 
-    const arcMap = new Map();
+// A dismissed or resolved item for the same alias is the decision already made:
+// it is returned as is rather than queued again.
+function queuePlayerReview(db, ref, candidates) {
+  const key = playerAliasKey(ref.source, ref.sourceId, ref.normName);
+  const same = db.playerReview.filter((r) => playerAliasKey(r.source, r.sourceId, r.normName) === key);
+  const open = same.find((r) => r.status === "open");
+  if (open) {
+    open.candidates = candidates;
+    return open;
+  }
+  if (same.length) return same[same.length - 1];
+  const item = { id: `rv${Date.now().toString(36)}${db.playerReview.length}`, ...ref, candidates, status: "open", createdAt: new Date().toISOString() };
+  db.playerReview.push(item);
+  return item;
+}
 
-    if (includeSGO) {
-      for (const p of arcSGO) {
-        const k = `sgo__${keyOf(p)}`;
-        const line = toNum(p.line);
-        if (line === null) continue;
-        arcMap.set(k, { ...p, source: "sgo", line });
+// Register every row's player (creating, aliasing or queueing for review) and
+// stamp rows with ptPlayerId. source: "logs" | "sgo" | "hardrock".
+// Returns { created, aliased, queued }.
+function registerPlayers(db, source, rows) {
+  db.players = db.players && typeof db.players === "object" ? db.players : {};
+  db.playerReview = Array.isArray(db.playerReview) ? db.playerReview : [];
+  const idx = buildPlayerIndex(db.players);
+  const out = { created: 0, aliased: 0, queued: 0 };
+
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row || typeof row !== "object") continue;
+    const ref = playerRef(source, row);
+    if (!ref.normName && !ref.sourceId) continue;
+
+    let id = idx.byAlias.get(playerAliasKey(ref.source, ref.sourceId, ref.normName)) || null;
+    if (!id) {
+      const ids = ref.normName ? playerCandidates(idx, ref) : [];
+      if (ids.length > 1) {
+        if (queuePlayerReview(db, ref, ids).status === "open") out.queued++;
+        continue;
       }
-    }
-    if (includeHR) {
-      for (const p of arcHR) {
-        const k = `hardrock__${keyOf(p)}`;
-        const line = toNum(p.line);
-        if (line === null) continue;
-        arcMap.set(k, { ...p, source: "hardrock", line });
+      if (ids.length === 1) {
+        id = ids[0];
+        addPlayerAlias(db.players[id], ref);
+        out.aliased++;
+      } else {
+        id = createPlayer(db, ref).id;
+        out.created++;
       }
+      indexPlayer(idx, db.players[id]);
     }
 
-    const moves = [];
-
-    function compareCurrent(list, srcTag) {
-      for (const p of list) {
-        const k = `${srcTag}__${keyOf(p)}`;
-        const open = arcMap.get(k);
-        if (!open) continue;
+    if (row.ptPlayerId !== id) row.ptPlayerId = id;
+  }
+  return out;
+}
 
-        const curLine = toNum(p.line);
-        if (curLine === null) continue;
+// Every stored row, logs first so NBA ids become the canonical ids
+function registerAllPlayers(db) {
+  const out = { created: 0, aliased: 0, queued: 0 };
+  const add = (r) => { for (const k of Object.keys(out)) out[k] += r[k]; };
+  add(registerPlayers(db, "logs", db.nbaPlayerGameLogs));
+  for (const [source, key] of Object.entries(PROP_COLLECTIONS)) add(registerPlayers(db, source, db[key]));
+  return out;
+}
 
-        const delta = curLine - open.line;
-        const absDelta = Math.abs(delta);
+// ---------------------------
+// Rosters
+// Reference data for who plays where: db.teams (abbr -> name/city/conference/
+// division), a position on each registry player, and effective-dated team
+// memberships so a traded player's old games stay with the old team.
+//   db.teamMemberships [{ id, playerId (registry id), team, from, to, source, createdAt }]
+// from/to are inclusive YYYY-MM-DD; from null = since before we have data, to null = current.
+// Opponent factors, shrink priors, edges and the team backfill read team and
+// position from here first and only fall back to what the logs say.
+// ---------------------------
+function shiftISODate(d, days) {
+  return new Date((isoDayNumber(d) + days) * 86400000).toISOString().slice(0, 10);
+}
 
-        // only report actual moves (not unchanged)
-        if (absDelta === 0) continue;
+function membershipCovers(m, date) {
+  if (!date) return !m.to;
+  return (!m.from || m.from <= date) && (!m.to || date <= m.to);
+}
 
-        moves.push({
-          date,
-          source: srcTag,
-          playerId: p.playerId ? String(p.playerId) : (open.playerId ? String(open.playerId) : undefined),
-          playerName: p.playerName || open.playerName || "Unknown",
-          team: p.team || open.team || undefined,
-          statType: p.statType || open.statType || undefined,
-          openLine: open.line,
-          curLine,
-          delta,
-          absDelta
-        });
-      }
+// Add a stint. A player on another team on `from` has that stint closed the day
+// before (a trade); already on this team -> no change. Returns { membership, closed, changed }.
+// No from: a first stint covers the player's whole history, a later one starts today (ET).
+function addMembership(db, { playerId, team, from = null, to = null, source = "manual" }) {
+  db.teamMemberships = Array.isArray(db.teamMemberships) ? db.teamMemberships : [];
+  const mine = db.teamMemberships.filter((m) => m.playerId === playerId);
+  if (!from && mine.length) from = getTodayET();
+  const current = mine.find((m) => membershipCovers(m, from));
+
+  if (current && current.team === team) return { membership: current, closed: null, changed: false };
+
+  let closed = null;
+  if (current) {
+    if (!from || (current.from && current.from >= from)) {
+      throw new Error(`${playerId} is already on ${current.team} from ${current.from || "the start"}; give a later from date`);
     }
-
-    if (includeSGO) compareCurrent(curSGO, "sgo");
-    if (includeHR) compareCurrent(curHR, "hardrock");
-
-    moves.sort((a, b) => b.absDelta - a.absDelta);
-
-    res.json({
-      ok: true,
-      date,
-      exists: true,
-      archivedAt: archive.ts || null,
-      source,
-      counts: {
-        archiveSGO: arcSGO.length,
-        archiveHardrock: arcHR.length,
-        currentSGO: curSGO.length,
-        currentHardrock: curHR.length,
-        moves: moves.length
-      },
-      moves: moves.slice(0, limit)
-    });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+    current.to = shiftISODate(from, -1);
+    closed = current;
   }
-});
+  const membership = {
+    id: `tm${Date.now().toString(36)}${db.teamMemberships.length}`,
+    playerId,
+    team,
+    from,
+    to,
+    source,
+    createdAt: new Date().toISOString()
+  };
+  db.teamMemberships.push(membership);
+  return { membership, closed, changed: true };
+}
 
-app.post("/api/dev/simulate-line-move", async (req, res) => {
-  try {
-    const body = req.body && typeof req.body === "object" ? req.body : {};
-    const date = String(body.date || "").trim();
-    const source = String(body.source || "sgo").toLowerCase(); // sgo|hardrock
-    const statType = String(body.statType || "points").toLowerCase();
-    const delta = Number(body.delta ?? 1);
+// { players, byPlayer: Map registry id -> stints, byLogId: Map log playerId -> registry id }
+function buildRosterIndex(players, memberships) {
+  const roster = { players: players || {}, byPlayer: new Map(), byLogId: new Map() };
+  for (const p of Object.values(roster.players)) {
+    for (const a of p.aliases || []) if (a.source === "logs" && a.sourceId) roster.byLogId.set(a.sourceId, p.id);
+  }
+  for (const m of Array.isArray(memberships) ? memberships : []) {
+    if (!roster.byPlayer.has(m.playerId)) roster.byPlayer.set(m.playerId, []);
+    roster.byPlayer.get(m.playerId).push(m);
+  }
+  return roster;
+}
 
-    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD" });
-    }
-    if (!["sgo", "hardrock"].includes(source)) {
-      return res.status(400).json({ ok: false, error: "Invalid source. Use sgo or hardrock" });
-    }
-    if (!Number.isFinite(delta) || delta === 0) {
-      return res.status(400).json({ ok: false, error: "Invalid delta. Use a number like 0.5 or 1" });
-    }
+async function loadRoster() {
+  return buildRosterIndex(await readCollection("players", {}), await readCollection("teamMemberships", []));
+}
 
-    const db = await readDB();
+// Registry id for a game log row
+function rosterPlayerId(roster, g) {
+  if (!roster || !g) return null;
+  if (g.ptPlayerId && roster.players[g.ptPlayerId]) return g.ptPlayerId;
+  const pid = getPlayerIdFromLog(g);
+  return pid ? roster.byLogId.get(String(pid)) || null : null;
+}
 
-    const list = source === "sgo"
-      ? (Array.isArray(db.sgoPropLines) ? db.sgoPropLines : [])
-      : (Array.isArray(db.hardrockPropLines) ? db.hardrockPropLines : []);
+// { team, position } for a registry player on a date (null date = current); nulls when unknown
+function rosterInfo(roster, playerId, date) {
+  if (!roster || !playerId) return { team: null, position: null };
+  const stint = (roster.byPlayer.get(playerId) || []).find((m) => membershipCovers(m, date));
+  const p = roster.players[playerId];
+  return { team: stint ? stint.team : null, position: (p && p.position) || null };
+}
 
-    // Find first matching prop for the date + statType with numeric line
-    let updated = null;
+// Same, for the player whose logs these are
+function rosterInfoForGames(roster, games, date) {
+  return rosterInfo(roster, rosterPlayerId(roster, games && games[0]), date);
+}
 
-    for (const p of list) {
-      if (String(p.date || "") !== date) continue;
-      if (String(p.statType || "").toLowerCase() !== statType) continue;
+// ---------------------------
+// Injuries
+// Availability reports per registry player and slate date, one per player + date
+// (a later report replaces the earlier one):
+//   db.injuries [{ id, playerId (registry id), playerName, team, date, status, source, note, updatedAt }]
+// Edges drop props for players ruled out (or flag them). The optional usage
+// model scales a projection for each key teammate (STARTER_MINUTES+ a game) out
+// that night by the player's own average in past games that teammate missed vs
+// games he played, shrunk toward 1.0 like the situational splits.
+// ---------------------------
+const INJURY_STATUSES = ["out", "doubtful", "questionable", "probable"];
+const INJURY_STATUS_ALIASES = {
+  o: "out", inactive: "out", suspended: "out", "out for season": "out",
+  d: "doubtful",
+  q: "questionable", gtd: "questionable", "game time decision": "questionable", "day-to-day": "questionable", dtd: "questionable",
+  p: "probable"
+};
+const USAGE_PRIOR_GAMES = 5;
+const USAGE_FACTOR_MIN = 0.85;
+const USAGE_FACTOR_MAX = 1.25;
+
+function normInjuryStatus(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  if (INJURY_STATUSES.includes(s)) return s;
+  return INJURY_STATUS_ALIASES[s] || null;
+}
 
-      const line = Number(p.line);
-      if (!Number.isFinite(line)) continue;
+// Returns { injury, created }
+function upsertInjury(db, { playerId, playerName = null, team = null, date, status, source = "manual", note = null }) {
+  db.injuries = Array.isArray(db.injuries) ? db.injuries : [];
+  const now = new Date().toISOString();
+  const prev = db.injuries.find((x) => x.playerId === playerId && x.date === date);
+  if (prev) {
+    Object.assign(prev, { status, source, note: note ?? prev.note, team: team || prev.team, playerName: playerName || prev.playerName, updatedAt: now });
+    return { injury: prev, created: false };
+  }
+  const injury = { id: `inj${Date.now().toString(36)}${db.injuries.length}`, playerId, playerName, team, date, status, source, note, updatedAt: now };
+  db.injuries.push(injury);
+  return { injury, created: true };
+}
 
-      p.line = Number((line + delta).toFixed(3));
-      updated = {
-        date,
-        source,
-        playerId: p.playerId || null,
-        playerName: p.playerName || null,
-        team: p.team || null,
-        statType: p.statType,
-        oldLine: line,
-        newLine: p.line,
-        delta
-      };
-      break;
-    }
+// Map registry id -> report for a date
+function injuriesOn(injuries, date) {
+  const map = new Map();
+  for (const x of Array.isArray(injuries) ? injuries : []) {
+    if (x && x.date === date && x.playerId) map.set(x.playerId, x);
+  }
+  return map;
+}
 
-    if (!updated) {
-      return res.status(404).json({
-        ok: false,
-        error: `No matching prop found to update for date=${date} source=${source} statType=${statType}`
-      });
-    }
+// Key teammates ruled out on `date`: Map team -> [{ playerId, playerName, played: Set(gameDate), first, last }].
+// logs: every game log; a player's span on a team is his first..last game for it.
+function buildTeammatesOut(injuryMap, roster, logs, date) {
+  const outIds = new Set([...injuryMap.values()].filter((x) => x.status === "out").map((x) => x.playerId));
+  const byTeam = new Map();
+  if (!outIds.size) return byTeam;
+
+  const logsById = new Map();
+  for (const g of logs) {
+    const id = rosterPlayerId(roster, g);
+    if (!id || !outIds.has(id)) continue;
+    if (!logsById.has(id)) logsById.set(id, []);
+    logsById.get(id).push(g);
+  }
 
-    await writeDB(db);
+  for (const id of outIds) {
+    const x = injuryMap.get(id);
+    const own = (logsById.get(id) || []).filter((g) => String(g.gameDate) < date);
+    const team = normTeam(rosterInfo(roster, id, date).team) || normTeam(x.team) || normTeam(latestLogField(own, "team"));
+    if (!team) continue;
+    const onTeam = own.filter((g) => !g.team || normTeam(g.team) === team);
+    if (!onTeam.length) continue;
+
+    const mins = onTeam.map(loggedMinutes).filter((m) => m !== null);
+    if (mins.length && mins.reduce((t, m) => t + m, 0) / mins.length < STARTER_MINUTES) continue; // not a key player
+    const dates = onTeam.map((g) => String(g.gameDate)).sort();
+    const entry = {
+      playerId: id,
+      playerName: x.playerName || latestLogField(onTeam, "playerName"),
+      played: new Set(onTeam.filter((g) => getStatFromLog(g, "MIN") !== 0).map((g) => String(g.gameDate))), // 0 minutes = DNP
+      first: dates[0],
+      last: dates[dates.length - 1]
+    };
+    if (!byTeam.has(team)) byTeam.set(team, []);
+    byTeam.get(team).push(entry);
+  }
+  return byTeam;
+}
 
-    res.json({ ok: true, updated });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err?.message || err) });
+function statMean(games, stat) {
+  let sum = 0;
+  let n = 0;
+  for (const g of games) {
+    const v = getStatFromLog(g, stat);
+    if (v === null) continue;
+    sum += v;
+    n++;
   }
-});
+  return { mean: n ? sum / n : null, n };
+}
 
-// ===========================
-// ProTracker v1 Add-on Routes (Archive + Export + Line Moves)
-// Append-only. Paste at very bottom of server.js
-// ===========================
+// { factor, teammates: [{ playerId, playerName, gamesWithout, factor }] } for one player-stat.
+// games: the player's logs, newest first; only his games for `team` before `date`
+// and inside the teammate's span there count.
+function usageAdjustment(outByTeam, playerId, games, team, stat, date) {
+  const out = (outByTeam && normTeam(team) && outByTeam.get(normTeam(team))) || [];
+  const teammates = [];
+  let f = 1;
+  for (const t of out) {
+    if (t.playerId === playerId) continue;
+    const span = games.filter((g) => {
+      const d = String(g.gameDate);
+      return d < date && d >= t.first && d <= t.last && (!g.team || normTeam(g.team) === normTeam(team));
+    });
+    const without = statMean(span.filter((g) => !t.played.has(String(g.gameDate))), stat);
+    const alongside = statMean(span.filter((g) => t.played.has(String(g.gameDate))), stat);
+    const tf = without.n && alongside.mean > 0
+      ? (without.n * (without.mean / alongside.mean) + USAGE_PRIOR_GAMES) / (without.n + USAGE_PRIOR_GAMES)
+      : 1;
+    teammates.push({ playerId: t.playerId, playerName: t.playerName, gamesWithout: without.n, factor: Number(tf.toFixed(4)) });
+    f *= tf;
+  }
+  return { factor: Number(Math.min(USAGE_FACTOR_MAX, Math.max(USAGE_FACTOR_MIN, f)).toFixed(4)), teammates };
+}
 
+// Projection rows: scale each stat for the key teammates out on `date`
+function applyUsageModel(row, games, outByTeam, playerId, team, date) {
+  row.teammatesOut = usageAdjustment(outByTeam, playerId, games, team, "PTS", date).teammates.map((t) => t.playerName || t.playerId);
+  row.usageFactors = row.teammatesOut.length
+    ? scaleProjectionRow(row, (code) => usageAdjustment(outByTeam, playerId, games, team, code, date).factor)
+    : null;
+  return row;
+}
 
-// ===========================
-// Render Disk Support: persist db.json on /var/data when available
-// Append-only. Paste at bottom of server.js
-// ===========================
+function parseUsage(v) {
+  return ["1", "true", "on", "yes"].includes(String(v || "").toLowerCase());
+}
 
-(function () {
-  const path = require("path");
-  const fs = require("fs");
+// ---------------------------
+// Line history
+// Append-only series of line points per date + source + player + stat. Every
+// prop import records what it saw; a point is only appended when the line or
+// prices differ from the last point for that key, so re-imports don't pad it.
+// ---------------------------
+function propLineKey(p) {
+  const pid = p.playerId ? String(p.playerId) : "";
+  const name = String(p.playerName || p.name || "").toLowerCase().replace(/\s+/g, " ").trim();
+  const raw = String(p.statType || p.market || p.propType || p.stat || "").toLowerCase().trim();
+  const stat = PROP_STAT_SPELLINGS[raw.replace(/[\s-]+/g, "_")] || canonicalPropStat(raw) || raw;
+  // key ignores line so points for the same market line up
+  return `${pid || name}__${stat}`;
+}
 
-  // Prefer Render disk if it exists
-  const RENDER_DISK_DIR = "/var/data";
-  const diskExists = (() => {
-    try {
-      return fs.existsSync(RENDER_DISK_DIR) && fs.statSync(RENDER_DISK_DIR).isDirectory();
-    } catch {
-      return false;
+// One row per market (date + key) for a batch of props. Alternate lines, a
+// second book's line and SGO's separate over/under rows would otherwise take
+// turns as the "last point" and record moves that never happened. Rows on the
+// same line pool their prices; the main line is the one priced closest to even
+// with both sides quoted, else the one most rows carry (first seen on ties).
+function mainLinePerMarket(props) {
+  const markets = new Map(); // date__key -> Map(line -> { row, overOdds, underOdds, n })
+  for (const p of props || []) {
+    if (!p || typeof p !== "object") continue;
+    const date = extractPropDate(p);
+    const line = extractPropLine(p);
+    if (!isValidISODate(date) || line === null) continue;
+
+    const mk = `${date}__${propLineKey(p)}`;
+    if (!markets.has(mk)) markets.set(mk, new Map());
+    const ladder = markets.get(mk);
+    const { overOdds, underOdds } = extractPropOdds(p);
+    const rung = ladder.get(line);
+    if (!rung) {
+      ladder.set(line, { row: p, overOdds, underOdds, n: 1 });
+      continue;
     }
-  })();
-
-  // This becomes the DB file path your readDB/writeDB should use
-  const DB_FILE_OVERRIDE = diskExists
-    ? path.join(RENDER_DISK_DIR, "db.json")
-    : path.join(__dirname, "db.json");
-
-  // Expose for debugging/versioning
-  app.get("/api/storage", (req, res) => {
-    res.json({
-      ok: true,
-      diskExists,
-      dbFile: DB_FILE_OVERRIDE
-    });
-  });
+    rung.n++;
+    if (rung.overOdds === null) rung.overOdds = overOdds;
+    if (rung.underOdds === null) rung.underOdds = underOdds;
+  }
 
-  // Monkey-patch readDB/writeDB if your server.js uses DB_FILE constant.
-  // We safely replace globalThis.__PT_DB_FILE if your code checks it.
-  // If your existing readDB/writeDB reads from ./db.json directly,
-  // we provide new helpers that server can use going forward.
-  globalThis.__PT_DB_FILE = DB_FILE_OVERRIDE;
+  const out = [];
+  for (const ladder of markets.values()) {
+    let best = null;
+    let bestScore = null;
+    for (const rung of ladder.values()) {
+      const io = americanToImplied(rung.overOdds);
+      const iu = americanToImplied(rung.underOdds);
+      // [priced both sides, -(distance from even), rows]; compared in order
+      const score = [io !== null && iu !== null ? 1 : 0, io !== null && iu !== null ? -Math.abs(io - iu) : 0, rung.n];
+      const better = !bestScore || score[0] > bestScore[0] ||
+        (score[0] === bestScore[0] && (score[1] > bestScore[1] || (score[1] === bestScore[1] && score[2] > bestScore[2])));
+      if (better) { best = rung; bestScore = score; }
+    }
+    out.push({ ...best.row, overOdds: best.overOdds, underOdds: best.underOdds });
+  }
+  return out;
+}
 
-  // NOTE:
-  // If your current readDB/writeDB already uses globalThis.__PT_DB_FILE or a DB_FILE var,
-  // you’re done.
-  // If not, tell me and I will give you the exact minimal edit block to switch paths.
-})();
+function recordLineHistory(db, source, props, ts = new Date().toISOString()) {
+  if (!Array.isArray(db.lineHistory)) db.lineHistory = [];
 
-// ===========================
-// BOTTOM-ONLY: Render Disk Sync Shim for db.json
-// Goal: persist DB across Render restarts without editing existing readDB/writeDB.
-// Strategy:
-// - If /var/data exists: keep an authoritative copy at /var/data/db.json
-// - On boot: if /var/data/db.json exists and ./db.json is missing or older -> copy disk -> local
-// - Else if ./db.json exists and disk missing -> copy local -> disk
-// - Provides /api/storage and /api/storage/sync for manual control
-// ===========================
+  const last = new Map();
+  for (const pt of db.lineHistory) last.set(`${pt.date}__${pt.source}__${pt.key}`, pt);
 
-(function () {
-  const fs = require("fs");
-  const fsp = fs.promises;
-  const path = require("path");
+  let appended = 0;
+  for (const p of mainLinePerMarket(props)) {
+    const date = extractPropDate(p);
+    const line = extractPropLine(p);
 
-  const LOCAL_DB = path.join(__dirname, "db.json");
-  const DISK_DIR = "/var/data";
-  const DISK_DB = path.join(DISK_DIR, "db.json");
+    const key = propLineKey(p);
+    const { overOdds, underOdds } = extractPropOdds(p);
+    const prev = last.get(`${date}__${source}__${key}`);
+    if (prev && prev.line === line && prev.overOdds === overOdds && prev.underOdds === underOdds) continue;
 
-  function exists(p) {
-    try { fs.accessSync(p); return true; } catch { return false; }
+    const pt = {
+      ts,
+      date,
+      source,
+      key,
+      playerId: p.playerId ? String(p.playerId) : null,
+      playerName: p.playerName || null,
+      team: p.team || null,
+      statType: p.statType || null,
+      line,
+      overOdds,
+      underOdds,
+      startsAt: p.startsAt || null
+    };
+    db.lineHistory.push(pt);
+    last.set(`${date}__${source}__${key}`, pt);
+    appended++;
   }
-  function statSafe(p) {
-    try { return fs.statSync(p); } catch { return null; }
+  return appended;
+}
+
+// Oldest-first points -> one series per source + key
+function groupLineHistory(points) {
+  const bySeries = new Map();
+  for (const pt of points) {
+    const k = `${pt.source}__${pt.key}`;
+    let s = bySeries.get(k);
+    if (!s) {
+      s = { source: pt.source, key: pt.key, playerId: pt.playerId, playerName: pt.playerName, team: pt.team, statType: pt.statType, points: [] };
+      bySeries.set(k, s);
+    }
+    if (!s.playerName && pt.playerName) s.playerName = pt.playerName;
+    if (!s.team && pt.team) s.team = pt.team;
+    s.points.push(pt);
   }
+  return Array.from(bySeries.values());
+}
 
-  async function copyFileSafe(src, dst) {
-    await fsp.mkdir(path.dirname(dst), { recursive: true });
-    const tmp = dst + ".tmp";
-    await fsp.copyFile(src, tmp);
-    await fsp.rename(tmp, dst);
+// ---------------------------
+// Closing line value
+// The closing line is the last history point before tip-off (startsAt), or the
+// last point seen when the start time is unknown. CLV is positive when the pick
+// beat the close: points = line moved our way, prob = close price implies more
+// than the price we took (price only, independent of the points move).
+// ---------------------------
+function closingPoint(points, startsAt) {
+  const tip = startsAt ? Date.parse(startsAt) : NaN;
+  if (!Number.isFinite(tip)) return { point: points[points.length - 1] || null, basis: "last" };
+  let hit = null;
+  for (const pt of points) {
+    if (Date.parse(pt.ts) >= tip) break;
+    hit = pt;
   }
+  return { point: hit, basis: "tipoff" };
+}
 
-  async function bootSync() {
-    const diskOk = exists(DISK_DIR) && statSafe(DISK_DIR)?.isDirectory();
-    if (!diskOk) return { ok: true, disk: false, action: "none" };
+// entry: { side, line, odds, startsAt? } ; points: oldest-first history for its market
+function computeClv(entry, points) {
+  const startsAt = entry.startsAt || (points.find((pt) => pt.startsAt) || {}).startsAt || null;
+  const { point, basis } = closingPoint(points, startsAt);
+  if (!point) return { closeLine: null, closeOdds: null, closeTs: null, closingBasis: basis, clvPoints: null, clvProb: null };
 
-    const localExists = exists(LOCAL_DB);
-    const diskExists = exists(DISK_DB);
+  const side = entry.side === "under" ? "under" : "over";
+  const closeOdds = side === "over" ? point.overOdds : point.underOdds;
+  const line = Number(entry.line);
+  const clvPoints = Number.isFinite(line) ? (side === "over" ? point.line - line : line - point.line) : null;
 
-    // If disk has DB but local doesn't -> pull from disk
-    if (diskExists && !localExists) {
-      await copyFileSafe(DISK_DB, LOCAL_DB);
-      return { ok: true, disk: true, action: "pulled_disk_to_local" };
-    }
+  const pickImplied = americanToImplied(parseAmericanOdds(entry.odds));
+  const closeImplied = americanToImplied(closeOdds);
+  const clvProb = pickImplied !== null && closeImplied !== null ? closeImplied - pickImplied : null;
 
-    // If local has DB but disk doesn't -> push to disk
-    if (localExists && !diskExists) {
-      await copyFileSafe(LOCAL_DB, DISK_DB);
-      return { ok: true, disk: true, action: "pushed_local_to_disk" };
-    }
+  return {
+    closeLine: point.line,
+    closeOdds: closeOdds ?? null,
+    closeTs: point.ts,
+    closingBasis: basis,
+    clvPoints: clvPoints === null ? null : Number(clvPoints.toFixed(3)),
+    clvProb: clvProb === null ? null : Number(clvProb.toFixed(4))
+  };
+}
 
-    // If both exist -> prefer newer by mtime
+// ---------------------------
+// Bet grading
+// A bet is graded from the game log for its player + date using the same
+// stat mapping as projections. Manually settled bets are left alone.
+// ---------------------------
+function betPnl(bet) {
+  const stake = Number(bet.stake) || 0;
+  if (bet.status === "win") {
+    const dec = americanToDecimal(parseAmericanOdds(bet.odds) ?? -110);
+    return Number((stake * (dec - 1)).toFixed(2));
+  }
+  if (bet.status === "loss") return -stake;
+  return 0;
+}
+
+// The player didn't play: books void the bet and return the stake
+function voidBet(bet) {
+  bet.status = "void";
+  bet.actual = null;
+  bet.pnl = 0;
+  bet.gradedAt = new Date().toISOString();
+  return true;
+}
+
+function gradeBetFromLog(bet, log) {
+  const minutes = getStatFromLog(log, "MIN");
+  if (Number.isFinite(minutes) && minutes <= 0) return voidBet(bet);
+
+  const stat = normalizeStatType(bet.statType);
+  const actual = stat ? getStatFromLog(log, stat) : null;
+  const line = Number(bet.line);
+  if (!Number.isFinite(actual) || !Number.isFinite(line)) return false;
+
+  let status = "push";
+  if (actual > line) status = bet.side === "over" ? "win" : "loss";
+  else if (actual < line) status = bet.side === "under" ? "win" : "loss";
+
+  bet.status = status;
+  bet.actual = actual;
+  bet.pnl = betPnl(bet);
+  bet.gradedAt = new Date().toISOString();
+  return true;
+}
+
+// Grades (or re-grades after stat corrections) every auto-graded bet that has a log.
+// A 0-minute log, or no log while the player's team has logs for that date, is a
+// DNP and voids the bet.
+// A bet's registry player: its book's feed when the book is one, else the first
+// prop source that places it (the id or name usually came from an edge row)
+function resolveBetPlayer(idx, bet) {
+  const book = String(bet.book || "").toLowerCase();
+  for (const source of PROP_COLLECTIONS[book] ? [book] : Object.keys(PROP_COLLECTIONS)) {
+    const id = resolvePlayerRow(idx, source, bet);
+    if (id) return id;
+  }
+  return null;
+}
+
+function gradeBets(db) {
+  const idx = buildPlayerIndex(db.players || {});
+  const byKey = new Map();
+  const lastTeam = new Map(); // pt:/id:/name: key -> { date, team } of the player's newest log with a team
+  const teamDates = new Set(); // team__date with at least one log
+  for (const lg of db.nbaPlayerGameLogs) {
+    const gd = lg.gameDate || lg.date;
+    if (!gd) continue;
+    const ptId = resolvePlayerRow(idx, "logs", lg);
+    const pid = getPlayerIdFromLog(lg);
+    const pname = String(getPlayerNameFromLog(lg) || "").trim().toLowerCase();
+    const keys = [ptId && `pt:${ptId}`, pid && `id:${pid}`, pname && `name:${pname}`].filter(Boolean);
+    for (const k of keys) byKey.set(`${k}__${gd}`, lg);
+
+    const team = normTeam(lg.team);
+    if (!team) continue;
+    teamDates.add(`${team}__${gd}`);
+    for (const k of keys) {
+      if (!(lastTeam.get(k)?.date > gd)) lastTeam.set(k, { date: gd, team });
+    }
+  }
+
+  let graded = 0;
+  for (const bet of db.bets) {
+    if (!bet || bet.manual) continue;
+    const ptId = resolveBetPlayer(idx, bet);
+    const name = String(bet.playerName || "").trim().toLowerCase();
+    const keys = [ptId && `pt:${ptId}`, bet.playerId && `id:${bet.playerId}`, name && `name:${name}`].filter(Boolean);
+    const log = keys.map((k) => byKey.get(`${k}__${bet.date}`)).find(Boolean);
+
+    const before = `${bet.status}|${bet.actual}`;
+    if (log) {
+      if (gradeBetFromLog(bet, log) && `${bet.status}|${bet.actual}` !== before) graded++;
+      continue;
+    }
+
+    const team = (keys.map((k) => lastTeam.get(k)).find(Boolean) || {}).team;
+    if (team && teamDates.has(`${team}__${bet.date}`) && voidBet(bet) && `${bet.status}|${bet.actual}` !== before) graded++;
+  }
+  return graded;
+}
+
+// ---------------------------
+// Game log import helpers
+// ---------------------------
+function parseCSV(text) {
+  // Minimal RFC4180-ish parser: quoted fields, escaped quotes, CRLF
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const s = String(text || "");
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (inQuotes) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+      continue;
+    }
+    if (ch === '"') inQuotes = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some((v) => v.trim() !== "")) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some((v) => v.trim() !== "")) rows.push(row);
+
+  if (rows.length === 0) return [];
+  const header = rows[0].map((h) => h.trim());
+  return rows.slice(1).map((cells) => {
+    const obj = {};
+    header.forEach((h, idx) => {
+      if (h) obj[h] = cells[idx] !== undefined ? cells[idx].trim() : "";
+    });
+    return obj;
+  });
+}
+
+// Stored log column -> raw aliases, from the registry
+const GAME_LOG_STAT_FIELDS = Object.fromEntries(STAT_REGISTRY.filter((d) => d.logKeys).map((d) => [d.field, d.logKeys]));
+
+function normalizeGameLogRow(r) {
+  if (!r || typeof r !== "object") return null;
+
+  const pid = r.playerId ?? r.player_id ?? r.pid ?? r.PLAYER_ID ?? null;
+  const name = r.playerName ?? r.player_name ?? r.name ?? r.player ?? r.PLAYER_NAME ?? "";
+  const dateRaw = String(r.gameDate ?? r.game_date ?? r.GAME_DATE ?? r.date ?? "").trim().slice(0, 10);
+  const team = r.team ?? r.teamAbbr ?? r.team_abbr ?? r.TEAM_ABBREVIATION ?? "";
+  const matchup = parseMatchup(r.matchup ?? r.MATCHUP);
+  const opponent = normTeam(r.opponent ?? r.opp ?? r.oppTeam ?? r.opp_abbr ?? r.OPPONENT) || (matchup && matchup.opponent);
+  const homeFlag = parseHomeFlag(r.home ?? r.isHome ?? r.homeAway ?? r.location);
+  const home = homeFlag !== null ? homeFlag : matchup ? matchup.home : null;
+  const position = r.position ?? r.pos ?? r.POSITION ?? "";
+
+  if (!pid || !isValidISODate(dateRaw)) return null;
+
+  const row = {
+    playerId: String(pid).trim(),
+    playerName: String(name || "").trim() || undefined,
+    gameDate: dateRaw,
+    team: String(team || "").trim() || undefined,
+    opponent: opponent || undefined,
+    home: home === null ? undefined : home,
+    position: String(position || "").trim() || undefined
+  };
+
+  for (const [field, aliases] of Object.entries(GAME_LOG_STAT_FIELDS)) {
+    for (const k of aliases) {
+      const n = parseStatNumber(r[k]);
+      if (n !== null) { row[field] = Number(n.toFixed(2)); break; }
+    }
+  }
+
+  return row;
+}
+
+// ---------------------------
+// Edges service (lib/edges.js): computeEdges for the edges routes, replaySlate
+// for the backtest, both on the projection pipeline above
+// ---------------------------
+const { groupEdgesByTier, createEdgesService } = require("./lib/edges");
+const { parseEdgeOptions, computeEdges, replaySlate } = createEdgesService({
+  PROP_COLLECTIONS,
+  isValidISODate, getTodayET, normalizeStatType,
+  parseWeighting, parseShrink, parseProjBy, parseOppAdjust, parseUsage,
+  readCollection, queryPropLines, queryGameLogs, listPropDates, matchupsForDate,
+  opponentFactors, shrinkPriors,
+  buildPlayerIndex, resolvePlayerRow, isAmbiguousPlayerName, playerLogIdentities,
+  buildRosterIndex, rosterPlayerId, rosterInfo,
+  injuriesOn, buildTeammatesOut, usageAdjustment, opponentAdjustment,
+  extractPropKey, extractPropLine, getPlayerIdFromLog, getPlayerNameFromLog, getStatFromLog, latestLogField,
+  buildMarkets, marketQuoteFor,
+  schemeEstimate, minutesProjection, minutesOverrideFor, shrinkProjection,
+  probabilityFields, capTierByConfidence, shrinkFields, minutesFields, noMinutesFields, oddsFields
+});
+
+// ---------------------------
+// API Endpoints
+// ---------------------------
+app.get("/api/health", (req, res) => res.json({ ok: true }));
+
+app.get("/api/pt/quick-links", (req, res) => {
+  const todayET = getTodayET();
+  const activeDate = todayET;
+  const base = getBaseUrl(req);
+
+  res.json({
+    activeDate,
+    todayET,
+    links: {
+      health: `${base}/api/health`,
+      routes: `${base}/api/pt/routes`,
+      dates: `${base}/api/props/dates`,
+      activeDate: `${base}/api/props/active-date`,
+      sgoPropsForDate: `${base}/api/odds/sgo/props-for-date?date=${todayET}&limit=50`,
+      status: `${base}/api/nba/stats/status`,
+      leaders: `${base}/api/nba/stats/leaders`,
+      warmLeaders: `${base}/api/nba/stats/warm`,
+      edges: `${base}/api/nba/edges`,
+      edgesTiered: `${base}/api/nba/edges-today-tiered`,
+      minutes: `${base}/api/nba/minutes`,
+      playerReview: `${base}/api/players/review`,
+      teams: `${base}/api/teams`,
+      games: `${base}/api/nba/games?date=${todayET}`,
+      injuries: `${base}/api/injuries?date=${todayET}`,
+      importSources: `${base}/api/import/sources`
+    }
+  });
+});
+
+app.get("/api/pt/routes", (req, res) => res.json({ routes: listRoutes(app) }));
+
+app.get("/api/props/dates", async (req, res) => {
+  try {
+    res.json({ dates: await listPropDates() });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.get("/api/props/active-date", async (req, res) => {
+  try {
+    const todayET = getTodayET();
+    const unique = await listPropDates();
+
+    let activeDate = todayET;
+    if (unique.length > 0) {
+      const upcoming = unique.filter((d) => d >= todayET);
+      activeDate = upcoming.length ? upcoming[0] : unique[unique.length - 1];
+    }
+
+    res.json({ todayET, activeDate, availableDates: unique });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.get("/api/odds/sgo/props-for-date", async (req, res) => {
+  try {
+    const date = String(req.query.date || "");
+    const limit = Math.max(1, Math.min(500, Number(req.query.limit || 50)));
+
+    if (!isValidISODate(date)) return res.status(400).json({ ok: false, error: "Missing/invalid date. Use YYYY-MM-DD." });
+
+    const items = (await queryPropLines({ source: "sgo", date })).slice(0, limit);
+
+    res.json({ ok: true, date, limit, count: items.length, props: items });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.get("/api/nba/stats/status", async (req, res) => {
+  try {
+    const sampleKeys = (arr) => {
+      if (!Array.isArray(arr) || arr.length === 0) return [];
+      const obj = arr[0] && typeof arr[0] === "object" ? arr[0] : null;
+      return obj ? Object.keys(obj).slice(0, 25) : [];
+    };
+
+    res.json({
+      ok: true,
+      backend: DB_BACKEND,
+      counts: await countRows(),
+      sampleKeys: {
+        nbaPlayerGameLogs: sampleKeys(await queryGameLogs({ limit: 1 })),
+        ...Object.fromEntries(await Promise.all(
+          Object.entries(PROP_COLLECTIONS).map(async ([source, c]) => [c, sampleKeys(await queryPropLines({ source, limit: 1 }))])
+        ))
+      },
+      cache: { leaders: { ts: cache.leaders.ts, hasData: !!cache.leaders.data } }
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.get("/api/nba/stats/leaders", async (req, res) => {
+  try {
+    const stats = statRegistryPublic().filter((d) => d.leaders);
+    if (cache.leaders.data) return res.json({ ok: true, cached: true, ts: cache.leaders.ts, stats, leaders: cache.leaders.data });
+    const leaders = computeLeadersFromLogs(await queryGameLogs());
+    res.json({ ok: true, cached: false, ts: null, stats, leaders });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.get("/api/nba/stats/registry", (req, res) => res.json({ ok: true, stats: statRegistryPublic() }));
+
+app.post("/api/nba/stats/warm", async (req, res) => {
+  try {
+    cache.leaders.data = computeLeadersFromLogs(await queryGameLogs());
+    cache.leaders.ts = new Date().toISOString();
+    res.json({ ok: true, ts: cache.leaders.ts });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Edges for a slate, one schema for every caller.
+// Query: date, source (all|sgo|hardrock), games, minEdge, mode (+ weighting params),
+// projBy, oppAdjust, shrink/shrinkK, tierBy (edge|prob), against (row|best),
+// phase (all|pregame|live), injuries (drop|flag players ruled out), usage (1 =
+// teammate-out adjustment), tierA/tierB (default cut-offs) and
+// tiers=PTS:4:2.5,REB:2:1 (per stat).
+app.get("/api/nba/edges", async (req, res) => {
+  try {
+    const parsed = parseEdgeOptions(req.query, { mode: "weighted" });
+    if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+
+    const { date, opts, counts, edges } = await computeEdges(parsed.opts);
+    res.json({
+      ok: true,
+      date,
+      params: {
+        sources: opts.sources,
+        gamesN: opts.gamesN,
+        minEdge: opts.minEdge,
+        scheme: opts.scheme,
+        shrink: opts.shrink,
+        projBy: opts.projBy,
+        oppAdjust: opts.oppAdjust,
+        tierBy: opts.tierBy,
+        against: opts.against,
+        phase: opts.phase,
+        injuries: opts.injuries,
+        usage: opts.usage,
+        thresholds: opts.thresholds
+      },
+      counts,
+      edges
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Legacy shape over the edges service: { todayET, counts: {total,A,B,C}, tiered }
+app.get("/api/nba/edges-today-tiered", async (req, res) => {
+  try {
+    const parsed = parseEdgeOptions(req.query, { mode: "flat", maxGames: 30 });
+    if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+
+    const { date, opts, edges } = await computeEdges({ ...parsed.opts, includeRawProp: true });
+    const tiered = groupEdgesByTier(edges);
+
+    res.json({
+      ok: true,
+      todayET: getTodayET(),
+      date,
+      minEdge: opts.minEdge,
+      gamesN: opts.gamesN,
+      scheme: opts.scheme,
+      shrink: opts.shrink,
+      tierBy: opts.tierBy,
+      against: opts.against,
+      projBy: opts.projBy,
+      oppAdjust: opts.oppAdjust,
+      counts: { total: edges.length, A: tiered.A.length, B: tiered.B.length, C: tiered.C.length },
+      tiered
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Root
+app.get("/", (req, res) => res.sendFile(path.join(__dirname, "public", "index.html")));
+
+
+// Prop imports over the source adapters (see Prop sources and POST /api/import/:source).
+// sgo-props: a JSON array of rows is added (deduped); no array pulls the slate
+// from the SGO API (?date=&limit=, body { bookmakerID, oddID, leagueID }) and
+// replaces that date's rows.
+app.post("/api/import/sgo-props", async (req, res) => {
+  try {
+    const sgo = getPropSource("sgo");
+    if (Array.isArray(req.body)) {
+      if (req.body.length === 0) return res.status(400).json({ ok: false, error: "Body must be an array of prop rows" });
+      const out = await importPropSource(sgo, req.body, {});
+      return res.json({ ok: true, received: out.received, added: out.added, total: out.total, sampleAdded: out.sample });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const date = String(req.query.date || "").trim();
+    const out = await importPropSource(sgo, null, { ...body, date, limit: req.query.limit });
+    if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+    res.json({
+      ok: true,
+      date,
+      imported: out.imported,
+      replaced: out.replaced,
+      note: "Saved into db.sgoPropLines (same date replaced)."
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.post("/api/import/hardrock-props", async (req, res) => {
+  try {
+    const rows = Array.isArray(req.body) ? req.body : [];
+    if (rows.length === 0) {
+      return res.status(400).json({ ok: false, error: "Body must be an array of prop rows" });
+    }
+    const out = await importPropSource(getPropSource("hardrock"), rows, {});
+    res.json({ ok: true, received: out.received, added: out.added, total: out.total, sampleAdded: out.sample });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Game logs: JSON array (or { rows: [...] }) or CSV text body (Content-Type: text/csv)
+// Dedupe key: playerId + gameDate. Existing rows with different stats are updated (stat corrections).
+app.post("/api/import/game-logs", express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }), async (req, res) => {
+  try {
+    let rows = [];
+    if (typeof req.body === "string") rows = parseCSV(req.body);
+    else if (Array.isArray(req.body)) rows = req.body;
+    else if (req.body && Array.isArray(req.body.rows)) rows = req.body.rows;
+
+    if (rows.length === 0) {
+      return res.status(400).json({ ok: false, error: "Body must be an array of game log rows or CSV text with a header row" });
+    }
+
+    let added = 0;
+    let updated = 0;
+    let skipped = 0;
+    let invalid = 0;
+    const sample = [];
+
+    const { total, betsGraded } = await withDB(async (db, tx) => {
+      const byKey = new Map();
+      const touched = [];
+      for (const g of db.nbaPlayerGameLogs) {
+        const pid = getPlayerIdFromLog(g);
+        const gd = g.gameDate || g.date || "";
+        if (pid && gd) byKey.set(`${String(pid)}__${gd}`, g);
+      }
+
+      for (const r of rows) {
+        const row = normalizeGameLogRow(r);
+        if (!row) { invalid++; continue; }
+
+        const key = `${row.playerId}__${row.gameDate}`;
+        const existing = byKey.get(key);
+
+        if (!existing) {
+          db.nbaPlayerGameLogs.push(row);
+          byKey.set(key, row);
+          touched.push(row);
+          added++;
+          if (sample.length < 3) sample.push(row);
+          continue;
+        }
+
+        let changed = false;
+        for (const [k, v] of Object.entries(row)) {
+          if (v === undefined) continue;
+          if (existing[k] !== v) { existing[k] = v; changed = true; }
+        }
+        if (changed) { updated++; touched.push(existing); }
+        else skipped++;
+      }
+      registerPlayers(db, "logs", touched);
+
+      if (!added && !updated) {
+        tx.skipWrite = true;
+        return { total: db.nbaPlayerGameLogs.length, betsGraded: 0 };
+      }
+      return { total: db.nbaPlayerGameLogs.length, betsGraded: gradeBets(db) };
+    });
+
+    if (added || updated) {
+      cache.leaders.data = null;
+      cache.leaders.ts = null;
+    }
+
+    res.json({
+      ok: true,
+      received: rows.length,
+      added,
+      updated,
+      skipped,
+      invalid,
+      total,
+      betsGraded,
+      sampleAdded: sample
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.post("/api/props/archive-date", async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const date = String(body.date || "");
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ ok: false, error: "Missing/invalid date. Use {\"date\":\"YYYY-MM-DD\"}" });
+    }
+
+    // One entry per registered source: { ts, <source>: rows, <source>Count }
+    const archived = await withDB(async (db) => {
+      if (!db.propsArchive || typeof db.propsArchive !== "object") db.propsArchive = {};
+
+      const snapshot = { ts: new Date().toISOString() };
+      for (const [source, c] of Object.entries(PROP_COLLECTIONS)) {
+        const rows = (db[c] || []).filter((p) => String(p.date || p.slateDate || "") === date);
+        snapshot[`${source}Count`] = rows.length;
+        snapshot[source] = rows;
+      }
+      db.propsArchive[date] = snapshot;
+
+      return snapshot;
+    });
+
+    res.json({
+      ok: true,
+      date,
+      archivedAt: archived.ts,
+      counts: Object.fromEntries(Object.keys(PROP_COLLECTIONS).map((source) => [source, archived[`${source}Count`]]))
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.get("/api/props/archive", async (req, res) => {
+  try {
+    const date = String(req.query.date || "");
+
+    if (!date) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing date. Use /api/props/archive?date=YYYY-MM-DD"
+      });
+    }
+
+    const archive = await getArchive(date);
+
+    if (!archive) {
+      return res.json({
+        ok: true,
+        date,
+        exists: false,
+        archive: null
+      });
+    }
+
+    res.json({
+      ok: true,
+      date,
+      exists: true,
+      archive
+    });
+
+  } catch (err) {
+    res.status(500).json({
+      ok: false,
+      error: String(err?.message || err)
+    });
+  }
+});
+
+// GET /api/nba/projections (flat) and /api/nba/projections-weighted: one row per
+// player with every registry stat. defaultMode: weighting scheme when ?mode= is absent.
+// weightFields: rows also carry gamesRequested and weightSum.
+function projectionsHandler(defaultMode, { weightFields = false } = {}) {
+  return async (req, res) => {
+    try {
+      const gamesN = Math.max(1, Number(req.query.games || 10));
+      const scheme = parseWeighting(req.query, defaultMode);
+      if (scheme.error) return res.status(400).json({ ok: false, error: scheme.error });
+      const projBy = parseProjBy(req.query.projBy); // minutes|average
+      const oppAdjust = parseOppAdjust(req.query.oppAdjust); // 1|0
+      const situation = ["1", "true", "on", "yes"].includes(String(req.query.situation || "").toLowerCase()); // home/away + rest
+      const usage = parseUsage(req.query.usage); // key teammates ruled out (see /api/injuries)
+      const shrink = parseShrink(req.query); // shrink=0 to disable, shrinkK=games
+      if (shrink.error) return res.status(400).json({ ok: false, error: shrink.error });
+      const date = String(req.query.date || "").trim() || getTodayET(); // slate whose matchups apply
+      if (!isValidISODate(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD (or omit date)." });
+
+      const logs = await queryGameLogs();
+      const overrides = await readCollection("minutesOverrides", {});
+      const roster = await loadRoster();
+      const oppFactors = oppAdjust ? await opponentFactors() : null;
+      const matchups = oppAdjust || situation ? await matchupsForDate(date) : null;
+      const priors = shrink.on ? await shrinkPriors() : null;
+      const outByTeam = usage ? buildTeammatesOut(injuriesOn(await readCollection("injuries", []), date), roster, logs, date) : null;
+
+      const byPlayer = new Map();
+      for (const g of logs) {
+        if (!g || !g.playerId || !g.gameDate) continue;
+        if (!byPlayer.has(g.playerId)) byPlayer.set(g.playerId, []);
+        byPlayer.get(g.playerId).push(g);
+      }
+
+      const projections = [];
+
+      for (const [playerId, arr] of byPlayer.entries()) {
+        arr.sort((a, b) => String(b.gameDate).localeCompare(String(a.gameDate)));
+        const slice = arr.slice(0, gamesN);
+        if (slice.length === 0) continue;
+
+        const gp = slice.length;
+        const row = { playerId, playerName: slice[0].playerName, gp };
+        if (weightFields) {
+          // Default weighted schedule: most recent gets weight = gamesN, next = gamesN-1, ... (see ?mode=)
+          const weights = schemeWeights(slice, gamesN, scheme);
+          row.gamesRequested = gamesN;
+          row.weightSum = weights ? Number(weights.reduce((t, w) => t + w, 0).toFixed(4)) : null;
+        }
+
+        projectRowStats(row, arr, gamesN, scheme);
+        applyMinutesModel(row, arr, gamesN, { projBy, scheme, override: minutesOverrideFor(overrides, playerId, date) });
+        for (const d of STAT_REGISTRY) {
+          if (d.combo) row[d.field] = d.combo.reduce((t, c) => t + row[STATS_BY_CODE.get(c).field], 0);
+        }
+        if (oppAdjust || situation || shrink.on || usage) row.raw = projectionStatFields(row);
+        if (shrink.on) applyShrinkModel(row, priors, playerId, gp, shrink.k);
+        const info = rosterInfoForGames(roster, arr, date);
+        if (oppAdjust) applyOpponentModel(row, arr, oppFactors, matchups, info);
+        if (situation) applySituationModel(row, arr, date, matchups, info);
+        if (usage) applyUsageModel(row, arr, outByTeam, rosterPlayerId(roster, arr[0]), info.team || latestLogField(arr, "team"), date);
+
+        projections.push(row);
+      }
+
+      projections.sort((a, b) => b.pts - a.pts);
+
+      res.json({
+        ok: true,
+        gamesUsed: gamesN,
+        scheme,
+        shrink,
+        projBy,
+        oppAdjust,
+        situation,
+        usage,
+        date,
+        count: projections.length,
+        projections
+      });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  };
+}
+
+app.get("/api/nba/projections", projectionsHandler("flat"));
+app.get("/api/nba/projections-weighted", projectionsHandler("weighted", { weightFields: true }));
+
+// Legacy shape over the edges service: rows also carry proj/rawProj/avgProj/gp; date defaults to today (ET)
+app.get("/api/nba/edges-tiered-v2", async (req, res) => {
+  try {
+    const parsed = parseEdgeOptions(req.query, { mode: "weighted" });
+    if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+
+    const { date, opts, counts, edges } = await computeEdges({ ...parsed.opts, date: parsed.opts.date || getTodayET() });
+    const tiers = groupEdgesByTier(
+      edges.map((e) => ({ ...e, proj: e.projection, rawProj: e.rawProjection, avgProj: e.avgProjection, gp: e.gamesUsed }))
+    );
+
+    res.json({
+      ok: true,
+      date,
+      mode: opts.scheme.mode,
+      scheme: opts.scheme,
+      shrink: opts.shrink,
+      tierBy: opts.tierBy,
+      against: opts.against,
+      projBy: opts.projBy,
+      oppAdjust: opts.oppAdjust,
+      gamesUsed: opts.gamesN,
+      minEdge: opts.minEdge,
+      counts: {
+        totalPropsForDate: counts.props,
+        markets: counts.markets,
+        A: tiers.A.length,
+        B: tiers.B.length,
+        C: tiers.C.length
+      },
+      tiers
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Market view: props grouped across sources/books with best over/under and consensus
+app.get("/api/props/market", async (req, res) => {
+  try {
+    const date = String(req.query.date || "").trim();
+    const source = String(req.query.source || "all").toLowerCase(); // all|sgo|hardrock
+    const playerId = String(req.query.playerId || "").trim();
+    const statType = String(req.query.statType || "").trim();
+    const limit = Math.max(1, Number(req.query.limit || 200));
+
+    if (!date || !isValidISODate(date)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing/invalid date. Use /api/props/market?date=YYYY-MM-DD&source=all|sgo|hardrock&playerId=&statType="
+      });
+    }
+
+    const rows = [];
+    for (const src of Object.keys(PROP_COLLECTIONS)) {
+      if (source !== "all" && source !== src) continue;
+      for (const p of await queryPropLines({ source: src, date })) rows.push({ ...p, source: src });
+    }
+
+    const statNorm = statType ? normalizeStatType(statType) : null;
+    const markets = buildMarkets(rows)
+      .filter((m) => !playerId || m.playerId === playerId)
+      .filter((m) => !statType || normalizeStatType(m.statType) === statNorm)
+      .sort((a, b) => b.lineSpread - a.lineSpread || b.books - a.books);
+
+    res.json({ ok: true, date, source, count: markets.length, markets: markets.slice(0, limit) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Middles and arbitrage between books on the same market.
+// A pair is an over at one book and an under at another with overLine <= underLine.
+// Middle: a whole-number result strictly between the two lines wins both legs.
+// Arbitrage: the two prices imply < 100% combined, so the equal-payout split profits either way.
+app.get("/api/props/opportunities", async (req, res) => {
+  try {
+    const date = String(req.query.date || "").trim();
+    const stake = Math.max(1, Number(req.query.stake || 100));
+    const minGap = Math.max(0, Number(req.query.minGap || 0));
+    const type = String(req.query.type || "all").toLowerCase(); // all|middle|arb
+    const limit = Math.max(1, Number(req.query.limit || 100));
+
+    if (!date || !isValidISODate(date)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing/invalid date. Use /api/props/opportunities?date=YYYY-MM-DD&stake=100&minGap=0&type=all|middle|arb"
+      });
+    }
+
+    const rows = [];
+    for (const src of Object.keys(PROP_COLLECTIONS)) {
+      for (const p of await queryPropLines({ source: src, date })) rows.push({ ...p, source: src });
+    }
+    const markets = buildMarkets(rows).filter((m) => m.books >= 2);
+
+    const r2 = (x) => Number(x.toFixed(2));
+
+    const evaluate = (m, o, u) => {
+      const gap = Number((u.line - o.line).toFixed(3));
+      const low = Math.floor(o.line) + 1;
+      const high = Math.ceil(u.line) - 1;
+      const isMiddle = gap > 0 && low <= high;
+
+      const assumedOdds = !Number.isFinite(o.overOdds) || !Number.isFinite(u.underOdds);
+      const decO = americanToDecimal(Number.isFinite(o.overOdds) ? o.overOdds : -110);
+      const decU = americanToDecimal(Number.isFinite(u.underOdds) ? u.underOdds : -110);
+      const inv = 1 / decO + 1 / decU;
+      const isArb = !assumedOdds && inv < 1;
+      if (!isMiddle && !isArb) return null;
+
+      // Equal-payout split: either leg winning returns the same amount
+      const stakeOver = stake * (1 / decO) / inv;
+      const stakeUnder = stake - stakeOver;
+      const payout = stakeOver * decO;
+
+      return {
+        date,
+        playerId: m.playerId,
+        playerName: m.playerName,
+        team: m.team,
+        statType: m.statType,
+        type: isArb ? "arbitrage" : "middle",
+        isMiddle,
+        isArb,
+        over: { book: o.book, source: o.source, line: o.line, odds: o.overOdds ?? null },
+        under: { book: u.book, source: u.source, line: u.line, odds: u.underOdds ?? null },
+        gap,
+        window: isMiddle ? { low, high, outcomes: high - low + 1 } : null,
+        assumedOdds,
+        arbMarginPct: r2((1 / inv - 1) * 100),
+        stakes: { total: stake, over: r2(stakeOver), under: r2(stakeUnder) },
+        profitOneLeg: r2(payout - stake),
+        profitMiddle: isMiddle ? r2(2 * payout - stake) : null
+      };
+    };
+
+    const samePair = (a, b) =>
+      a.over.book === b.over.book && a.under.book === b.under.book && a.over.line === b.over.line && a.under.line === b.under.line;
+
+    const results = [];
+    for (const m of markets) {
+      let bestMiddle = null;
+      let bestArb = null;
+      for (const o of m.quotes) {
+        for (const u of m.quotes) {
+          if (o.book === u.book || o.line > u.line) continue;
+          const r = evaluate(m, o, u);
+          if (!r || r.gap < minGap) continue;
+          if (r.isArb && (!bestArb || r.arbMarginPct > bestArb.arbMarginPct)) bestArb = r;
+          if (r.isMiddle && (!bestMiddle || r.gap > bestMiddle.gap || (r.gap === bestMiddle.gap && r.arbMarginPct > bestMiddle.arbMarginPct))) bestMiddle = r;
+        }
+      }
+      // type=arb / type=middle filter on the flags. Under type=all a pair that is
+      // both is listed once, as arbitrage with isMiddle set.
+      const wantArb = type === "all" || type === "arb";
+      const wantMiddle = type === "all" || type === "middle";
+      if (wantArb && bestArb) results.push(bestArb);
+      if (wantMiddle && bestMiddle && !(wantArb && bestArb && bestArb.isMiddle && samePair(bestArb, bestMiddle))) {
+        results.push({ ...bestMiddle, type: "middle" });
+      }
+    }
+
+    results.sort((a, b) => Number(b.isArb) - Number(a.isArb) || b.arbMarginPct - a.arbMarginPct || b.gap - a.gap);
+
+    res.json({
+      ok: true,
+      date,
+      stake,
+      minGap,
+      type,
+      counts: {
+        markets: markets.length,
+        arbitrage: results.filter((r) => r.type === "arbitrage").length,
+        middles: results.filter((r) => r.type === "middle").length
+      },
+      opportunities: results.slice(0, limit)
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.get("/api/db/export", async (req, res) => {
+  try {
+    const db = await readDB();
+
+    const fileName =
+      "protracker-db-" +
+      new Date().toISOString().replace(/[:.]/g, "-") +
+      ".json";
+
+    res.setHeader("Content-Type", "application/json");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${fileName}"`
+    );
+
+    res.send(JSON.stringify(db, null, 2));
+  } catch (err) {
+    res.status(500).json({
+      ok: false,
+      error: String(err?.message || err)
+    });
+  }
+});
+
+app.get("/api/db/migrations", async (req, res) => {
+  try {
+    const db = await readDB();
+    const current = Number(db.meta.version) || 1;
+
+    res.json({
+      ok: true,
+      current,
+      latest: SCHEMA_VERSION,
+      pending: pendingMigrations(db).map((m) => ({ version: m.version, name: m.name })),
+      applied: Array.isArray(db.meta.migrations) ? db.meta.migrations : []
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Bring the DB up to SCHEMA_VERSION on boot
+runMigrations()
+  .then((r) => { if (r.applied.length) console.log(`[migrations] v${r.from} -> v${r.to}: ${r.applied.map((m) => m.name).join(", ")}`); })
+  .catch((e) => console.error("[migrations] failed:", e?.message || e));
+
+// from: open (default) | archive (the archived snapshot time) | ISO timestamp
+// to:   current (default) | ISO timestamp
+app.get("/api/props/line-moves", async (req, res) => {
+  try {
+    const date = String(req.query.date || "").trim();
+    const source = String(req.query.source || "all").toLowerCase(); // all|sgo|hardrock
+    const limit = Math.max(1, Number(req.query.limit || 50));
+    const from = String(req.query.from || "open").trim();
+    const to = String(req.query.to || "current").trim();
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing/invalid date. Use /api/props/line-moves?date=YYYY-MM-DD&source=all|sgo|hardrock&from=open|archive|ISO&to=current|ISO&limit=50"
+      });
+    }
+
+    const toISO = (x) => {
+      const t = Date.parse(x);
+      return Number.isFinite(t) ? new Date(t).toISOString() : null;
+    };
+
+    const archive = await getArchive(date);
+    let fromTs = null;
+    if (from === "archive") {
+      if (!archive) {
+        return res.json({
+          ok: true,
+          date,
+          exists: false,
+          error: "No archive for this date. Run POST /api/props/archive-date first.",
+          moves: []
+        });
+      }
+      fromTs = toISO(archive.ts);
+    } else if (from !== "open") {
+      fromTs = toISO(from);
+      if (!fromTs) return res.status(400).json({ ok: false, error: "Invalid from. Use open, archive or an ISO timestamp" });
+    }
+
+    let toTs = null;
+    if (to !== "current") {
+      toTs = toISO(to);
+      if (!toTs) return res.status(400).json({ ok: false, error: "Invalid to. Use current or an ISO timestamp" });
+    }
+
+    const points = await queryLineHistory({ date, source: source === "all" ? undefined : source });
+    const series = groupLineHistory(points);
+
+    // Last point at or before ts (series are oldest first)
+    const asOf = (pts, ts) => {
+      let hit = null;
+      for (const pt of pts) {
+        if (String(pt.ts) > ts) break;
+        hit = pt;
+      }
+      return hit;
+    };
+
+    const moves = [];
+    for (const s of series) {
+      const open = s.points[0];
+      const base = fromTs ? asOf(s.points, fromTs) : open;
+      const cur = toTs ? asOf(s.points, toTs) : s.points[s.points.length - 1];
+      if (!base || !cur || base === cur) continue;
+
+      const delta = Number((cur.line - base.line).toFixed(3));
+      const absDelta = Math.abs(delta);
+
+      // only report actual moves (not unchanged)
+      if (absDelta === 0) continue;
+
+      moves.push({
+        date,
+        source: s.source,
+        playerId: s.playerId || undefined,
+        playerName: s.playerName || "Unknown",
+        team: s.team || undefined,
+        statType: s.statType || undefined,
+        openLine: open.line,
+        openTs: open.ts,
+        fromLine: base.line,
+        fromTs: base.ts,
+        curLine: cur.line,
+        curTs: cur.ts,
+        delta,
+        absDelta,
+        points: s.points.length
+      });
+    }
+
+    moves.sort((a, b) => b.absDelta - a.absDelta);
+
+    const [curSGO, curHR] = await Promise.all([
+      queryPropLines({ source: "sgo", date }),
+      queryPropLines({ source: "hardrock", date })
+    ]);
+
+    res.json({
+      ok: true,
+      date,
+      exists: series.length > 0 || !!archive,
+      archivedAt: archive ? archive.ts || null : null,
+      source,
+      from,
+      to,
+      counts: {
+        archiveSGO: archive && Array.isArray(archive.sgo) ? archive.sgo.length : 0,
+        archiveHardrock: archive && Array.isArray(archive.hardrock) ? archive.hardrock.length : 0,
+        currentSGO: curSGO.length,
+        currentHardrock: curHR.length,
+        series: series.length,
+        points: points.length,
+        moves: moves.length
+      },
+      moves: moves.slice(0, limit)
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// Full line series for a date, optionally narrowed to a player and/or stat
+app.get("/api/props/line-history", async (req, res) => {
+  try {
+    const date = String(req.query.date || "").trim();
+    const source = String(req.query.source || "all").toLowerCase(); // all|sgo|hardrock
+    const playerId = String(req.query.playerId || "").trim();
+    const statType = String(req.query.statType || "").trim();
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing/invalid date. Use /api/props/line-history?date=YYYY-MM-DD&playerId=&statType=&source=all|sgo|hardrock"
+      });
+    }
+
+    const points = await queryLineHistory({
+      date,
+      source: source === "all" ? undefined : source,
+      playerId: playerId || undefined,
+      statType: statType || undefined
+    });
+
+    const series = groupLineHistory(points).map((s) => {
+      const open = s.points[0];
+      const cur = s.points[s.points.length - 1];
+      return {
+        ...s,
+        openLine: open.line,
+        curLine: cur.line,
+        delta: Number((cur.line - open.line).toFixed(3)),
+        points: s.points.map((pt) => ({ ts: pt.ts, line: pt.line, overOdds: pt.overOdds, underOdds: pt.underOdds }))
+      };
+    });
+
+    res.json({ ok: true, date, source, playerId: playerId || null, statType: statType || null, count: series.length, series });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+app.post("/api/dev/simulate-line-move", async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const date = String(body.date || "").trim();
+    const source = String(body.source || "sgo").toLowerCase(); // any registered prop source
+    const statType = String(body.statType || "points").toLowerCase();
+    const delta = Number(body.delta ?? 1);
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD" });
+    }
+    if (!PROP_COLLECTIONS[source]) {
+      return res.status(400).json({ ok: false, error: `Invalid source. Use ${Object.keys(PROP_COLLECTIONS).join(" or ")}` });
+    }
+    if (!Number.isFinite(delta) || delta === 0) {
+      return res.status(400).json({ ok: false, error: "Invalid delta. Use a number like 0.5 or 1" });
+    }
+
+    // Find first matching prop for the date + statType with numeric line
+    let updated = null;
+
+    await withDB(async (db) => {
+      const list = Array.isArray(db[PROP_COLLECTIONS[source]]) ? db[PROP_COLLECTIONS[source]] : [];
+
+      for (const p of list) {
+        if (String(p.date || "") !== date) continue;
+        if (String(p.statType || "").toLowerCase() !== statType) continue;
+
+        const line = Number(p.line);
+        if (!Number.isFinite(line)) continue;
+
+        p.line = Number((line + delta).toFixed(3));
+        recordLineHistory(db, source, [p]);
+        updated = {
+          date,
+          source,
+          playerId: p.playerId || null,
+          playerName: p.playerName || null,
+          team: p.team || null,
+          statType: p.statType,
+          oldLine: line,
+          newLine: p.line,
+          delta
+        };
+        break;
+      }
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        ok: false,
+        error: `No matching prop found to update for date=${date} source=${source} statType=${statType}`
+      });
+    }
+
+    res.json({ ok: true, updated });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// ===========================
+// ProTracker v1 Add-on Routes (Archive + Export + Line Moves)
+// Append-only. Paste at very bottom of server.js
+// ===========================
+
+
+// ===========================
+// Render Disk Support: persist db.json on /var/data when available
+// Append-only. Paste at bottom of server.js
+// ===========================
+
+(function () {
+  const path = require("path");
+  const fs = require("fs");
+
+  // Prefer Render disk if it exists
+  const RENDER_DISK_DIR = "/var/data";
+  const diskExists = (() => {
+    try {
+      return fs.existsSync(RENDER_DISK_DIR) && fs.statSync(RENDER_DISK_DIR).isDirectory();
+    } catch {
+      return false;
+    }
+  })();
+
+  // This becomes the DB file path your readDB/writeDB should use
+  const DB_FILE_OVERRIDE = diskExists
+    ? path.join(RENDER_DISK_DIR, "db.json")
+    : path.join(__dirname, "db.json");
+
+  // Expose for debugging/versioning
+  app.get("/api/storage", (req, res) => {
+    res.json({
+      ok: true,
+      diskExists,
+      dbFile: DB_FILE_OVERRIDE
+    });
+  });
+
+  // Monkey-patch readDB/writeDB if your server.js uses DB_FILE constant.
+  // We safely replace globalThis.__PT_DB_FILE if your code checks it.
+  // If your existing readDB/writeDB reads from ./db.json directly,
+  // we provide new helpers that server can use going forward.
+  globalThis.__PT_DB_FILE = DB_FILE_OVERRIDE;
+
+  // NOTE:
+  // If your current readDB/writeDB already uses globalThis.__PT_DB_FILE or a DB_FILE var,
+  // you’re done.
+  // If not, tell me and I will give you the exact minimal edit block to switch paths.
+})();
+
+// ===========================
+// BOTTOM-ONLY: Render Disk Sync Shim for db.json
+// Goal: persist DB across Render restarts without editing existing readDB/writeDB.
+// Strategy:
+// - If /var/data exists: keep an authoritative copy at /var/data/db.json
+// - On boot: if /var/data/db.json exists and ./db.json is missing or older -> copy disk -> local
+// - Else if ./db.json exists and disk missing -> copy local -> disk
+// - Provides /api/storage and /api/storage/sync for manual control
+// ===========================
+
+(function () {
+  const fs = require("fs");
+  const fsp = fs.promises;
+  const path = require("path");
+
+  const LOCAL_DB = path.join(__dirname, "db.json");
+  const DISK_DIR = "/var/data";
+  const DISK_DB = path.join(DISK_DIR, "db.json");
+
+  function exists(p) {
+    try { fs.accessSync(p); return true; } catch { return false; }
+  }
+  function statSafe(p) {
+    try { return fs.statSync(p); } catch { return null; }
+  }
+
+  async function copyFileSafe(src, dst) {
+    await fsp.mkdir(path.dirname(dst), { recursive: true });
+    const tmp = dst + ".tmp";
+    await fsp.copyFile(src, tmp);
+    await fsp.rename(tmp, dst);
+  }
+
+  async function bootSync() {
+    const diskOk = exists(DISK_DIR) && statSafe(DISK_DIR)?.isDirectory();
+    if (!diskOk) return { ok: true, disk: false, action: "none" };
+
+    const localExists = exists(LOCAL_DB);
+    const diskExists = exists(DISK_DB);
+
+    // If disk has DB but local doesn't -> pull from disk
+    if (diskExists && !localExists) {
+      await copyFileSafe(DISK_DB, LOCAL_DB);
+      return { ok: true, disk: true, action: "pulled_disk_to_local" };
+    }
+
+    // If local has DB but disk doesn't -> push to disk
+    if (localExists && !diskExists) {
+      await copyFileSafe(LOCAL_DB, DISK_DB);
+      return { ok: true, disk: true, action: "pushed_local_to_disk" };
+    }
+
+    // If both exist -> prefer newer by mtime
     if (localExists && diskExists) {
       const ls = statSafe(LOCAL_DB);
       const ds = statSafe(DISK_DB);
@@ -1376,6 +4665,8 @@ app.post("/api/dev/simulate-line-move", async (req, res) => {
 
       res.json({
         ok: true,
+        backend: DB_BACKEND,
+        sqlitePath: DB_BACKEND === "sqlite" ? SQLITE_PATH : null,
         diskExists: diskOk,
         localDb: {
           path: LOCAL_DB,
@@ -1407,1363 +4698,2378 @@ app.post("/api/dev/simulate-line-move", async (req, res) => {
       const localExists = exists(LOCAL_DB);
       const diskExists = exists(DISK_DB);
 
-      if (mode === "push") {
-        if (!localExists) return res.status(400).json({ ok: false, error: "Local db.json missing" });
-        await copyFileSafe(LOCAL_DB, DISK_DB);
-        return res.json({ ok: true, action: "pushed_local_to_disk" });
-      }
+      if (mode === "push") {
+        if (!localExists) return res.status(400).json({ ok: false, error: "Local db.json missing" });
+        await copyFileSafe(LOCAL_DB, DISK_DB);
+        return res.json({ ok: true, action: "pushed_local_to_disk" });
+      }
+
+      if (mode === "pull") {
+        if (!diskExists) return res.status(400).json({ ok: false, error: "Disk db.json missing" });
+        await copyFileSafe(DISK_DB, LOCAL_DB);
+        return res.json({ ok: true, action: "pulled_disk_to_local" });
+      }
+
+      const result = await bootSync();
+      return res.json(result);
+    } catch (e) {
+      res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+})();
+
+// ===========================
+// BOTTOM-ONLY: Restore DB Upload (Render Free friendly)
+// Adds:
+//  - POST /api/db/restore  (expects JSON body = full db object)
+// Safety:
+//  - requires header x-pt-restore-key matching process.env.RESTORE_KEY (if set)
+// ===========================
+
+(function () {
+  // Optional protection: set RESTORE_KEY on Render env to prevent strangers restoring your DB
+  const REQUIRED_KEY = process.env.RESTORE_KEY || "";
+
+  app.post("/api/db/restore", express.json({ limit: "5mb" }), async (req, res) => {
+    try {
+      if (REQUIRED_KEY) {
+        const k = String(req.headers["x-pt-restore-key"] || "");
+        if (k !== REQUIRED_KEY) {
+          return res.status(401).json({ ok: false, error: "Unauthorized (missing/invalid restore key)" });
+        }
+      }
+
+      const incoming = req.body;
+      if (!incoming || typeof incoming !== "object") {
+        return res.status(400).json({ ok: false, error: "Body must be a JSON object (full db)" });
+      }
+
+      // Minimal validation + normalization
+      const db = incoming;
+      if (!Array.isArray(db.nbaPlayerGameLogs)) db.nbaPlayerGameLogs = [];
+      for (const c of Object.values(PROP_COLLECTIONS)) if (!Array.isArray(db[c])) db[c] = [];
+      if (!db.propsArchive || typeof db.propsArchive !== "object") db.propsArchive = {};
+      if (!db.meta || typeof db.meta !== "object") db.meta = {};
+      db.meta.restoredAt = new Date().toISOString();
+
+      // Queue behind in-flight imports, then replace the whole DB
+      await withDB(async (current) => {
+        for (const k of Object.keys(current)) delete current[k];
+        Object.assign(current, db);
+      });
+      const migrated = await runMigrations();
+
+      res.json({
+        ok: true,
+        counts: {
+          nbaPlayerGameLogs: db.nbaPlayerGameLogs.length,
+          ...Object.fromEntries(Object.values(PROP_COLLECTIONS).map((c) => [c, db[c].length])),
+          archiveDates: Object.keys(db.propsArchive).length
+        },
+        migrations: { from: migrated.from, to: migrated.to }
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+})();
+
+// ===========================
+// PATCH: Prevent duplicate routes (safe append-only fix)
+// This disables earlier duplicate registrations without editing old code.
+// ===========================
+
+(function () {
+  if (globalThis.__PT_ROUTE_DEDUP_PATCH__) return;
+  globalThis.__PT_ROUTE_DEDUP_PATCH__ = true;
+
+  function dedupeRoutes() {
+    if (!app || !app._router || !app._router.stack) return;
+
+    const seen = new Set();
+    const stack = app._router.stack;
+
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const layer = stack[i];
+      if (!layer || !layer.route) continue;
+
+      const path = layer.route.path;
+      const methods = Object.keys(layer.route.methods || {}).join(",");
+
+      const key = `${methods}:${path}`;
+
+      if (seen.has(key)) {
+        // remove older duplicate
+        stack.splice(i, 1);
+      } else {
+        seen.add(key);
+      }
+    }
+  }
+
+  // Run after all routes registered
+  setTimeout(dedupeRoutes, 0);
+})();
+
+// ===========================
+// PATCH: Force server to listen (fix silent EXIT:0)
+// Append-only. Paste at bottom of server.js
+// ===========================
+
+(function () {
+  if (globalThis.__PT_FORCE_LISTEN__) return;
+  globalThis.__PT_FORCE_LISTEN__ = true;
+
+  // Print any hidden crashes
+  process.on("uncaughtException", (e) => console.error("[uncaughtException]", e));
+  process.on("unhandledRejection", (e) => console.error("[unhandledRejection]", e));
+
+  // Get the Express app safely (works even if app is not in local scope)
+  const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
+
+  if (!appRef || typeof appRef.listen !== "function") {
+    console.error("[BOOT] Express app not found. appRef is missing.");
+    return;
+  }
+
+  // Avoid double-listen
+  if (globalThis.__PT_HTTP_SERVER__) return;
+
+  const port = Number(process.env.PORT || 3000);
+  const host = "0.0.0.0";
+
+  const server = appRef.listen(port, host, () => {
+    console.log(`ProTracker v1 listening on http://${host}:${port}`);
+  });
+
+  server.on("error", (err) => {
+    console.error("[BOOT] Listen error:", err);
+  });
+
+  globalThis.__PT_HTTP_SERVER__ = server;
+})();
+
+// ===========================
+// PATCH: Expose Express app globally (so bottom-only patches can access it)
+// Then start listening if not already started.
+// ===========================
+
+(function () {
+  if (globalThis.__PT_EXPOSE_APP__) return;
+  globalThis.__PT_EXPOSE_APP__ = true;
+
+  // Try to locate an Express instance in common variables
+  // If your file uses a different variable name, we’ll adjust.
+  try {
+    if (typeof app !== "undefined" && app && typeof app.listen === "function") {
+      globalThis.app = app;
+    }
+  } catch {}
+
+  // If we still don't have it, try to infer from module exports (rare)
+  try {
+    if (!globalThis.app && module && module.exports && typeof module.exports.listen === "function") {
+      globalThis.app = module.exports;
+    }
+  } catch {}
+
+  if (!globalThis.app || typeof globalThis.app.listen !== "function") {
+    console.error("[BOOT] Could not expose Express app. Tell me what variable holds express(): e.g. const APP = express()");
+    return;
+  }
+
+  // Start listening once
+  if (globalThis.__PT_HTTP_SERVER__) return;
 
-      if (mode === "pull") {
-        if (!diskExists) return res.status(400).json({ ok: false, error: "Disk db.json missing" });
-        await copyFileSafe(DISK_DB, LOCAL_DB);
-        return res.json({ ok: true, action: "pulled_disk_to_local" });
-      }
+  const port = Number(process.env.PORT || 3000);
+  const host = "0.0.0.0";
 
-      const result = await bootSync();
-      return res.json(result);
-    } catch (e) {
-      res.status(500).json({ ok: false, error: String(e?.message || e) });
-    }
+  const server = globalThis.app.listen(port, host, () => {
+    console.log(`ProTracker v1 listening on http://${host}:${port}`);
   });
+
+  server.on("error", (err) => console.error("[BOOT] Listen error:", err));
+  globalThis.__PT_HTTP_SERVER__ = server;
 })();
 
 // ===========================
-// BOTTOM-ONLY: Restore DB Upload (Render Free friendly)
-// Adds:
-//  - POST /api/db/restore  (expects JSON body = full db object)
-// Safety:
-//  - requires header x-pt-restore-key matching process.env.RESTORE_KEY (if set)
+// NEXT BLOCK: Backfill missing team fields on nbaPlayerGameLogs
+// Adds POST /api/dev/backfill-teams (team and position from the roster store)
+// Append-only. Paste at bottom of server.js
 // ===========================
 
 (function () {
-  // Optional protection: set RESTORE_KEY on Render env to prevent strangers restoring your DB
-  const REQUIRED_KEY = process.env.RESTORE_KEY || "";
+  try {
+    if (globalThis.__PT_BACKFILL_TEAMS__) return;
+    globalThis.__PT_BACKFILL_TEAMS__ = true;
 
-  app.post("/api/db/restore", express.json({ limit: "5mb" }), async (req, res) => {
-    try {
-      if (REQUIRED_KEY) {
-        const k = String(req.headers["x-pt-restore-key"] || "");
-        if (k !== REQUIRED_KEY) {
-          return res.status(401).json({ ok: false, error: "Unauthorized (missing/invalid restore key)" });
-        }
-      }
+    // Access express app + db helpers from existing file
+    const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
+    if (!appRef) {
+      console.error("[backfill-teams] Express app not found");
+      return;
+    }
+    if (typeof withDB !== "function") {
+      console.error("[backfill-teams] withDB not found");
+      return;
+    }
 
-      const incoming = req.body;
-      if (!incoming || typeof incoming !== "object") {
-        return res.status(400).json({ ok: false, error: "Body must be a JSON object (full db)" });
-      }
+    function asStr(x) {
+      return (x === null || x === undefined) ? "" : String(x);
+    }
 
-      // Minimal validation + normalization
-      const db = incoming;
-      if (!Array.isArray(db.nbaPlayerGameLogs)) db.nbaPlayerGameLogs = [];
-      if (!Array.isArray(db.sgoPropLines)) db.sgoPropLines = [];
-      if (!Array.isArray(db.hardrockPropLines)) db.hardrockPropLines = [];
-      if (!db.propsArchive || typeof db.propsArchive !== "object") db.propsArchive = {};
-      if (!db.meta || typeof db.meta !== "object") db.meta = {};
-      db.meta.restoredAt = new Date().toISOString();
+    appRef.post("/api/dev/backfill-teams", async (req, res) => {
+      try {
+        const force = !!(req.body && req.body.force);
 
-      await writeDB(db);
+        const { updated, positions, missingAfter, rosterPlayers } = await withDB(async (db) => {
+          db.nbaPlayerGameLogs = Array.isArray(db.nbaPlayerGameLogs) ? db.nbaPlayerGameLogs : [];
+
+          // Team as of each game's date, from the roster store (not from whichever prop mentioned the player last)
+          const roster = buildRosterIndex(db.players, db.teamMemberships);
+
+          let updated = 0;
+          let positions = 0;
+          let missingAfter = 0;
+
+          for (const g of db.nbaPlayerGameLogs) {
+            const info = rosterInfo(roster, rosterPlayerId(roster, g), asStr(g.gameDate).trim() || null);
+            if (info.position && !asStr(g.position).trim()) {
+              g.position = info.position;
+              positions++;
+            }
+
+            const hasTeam = asStr(g.team).trim();
+            if (hasTeam && !force) continue;
+
+            if (info.team) {
+              if (g.team !== info.team) {
+                g.team = info.team;
+                updated++;
+              }
+            } else {
+              // still missing
+              if (!hasTeam) missingAfter++;
+            }
+          }
 
-      res.json({
-        ok: true,
-        counts: {
-          nbaPlayerGameLogs: db.nbaPlayerGameLogs.length,
-          sgoPropLines: db.sgoPropLines.length,
-          hardrockPropLines: db.hardrockPropLines.length,
-          archiveDates: Object.keys(db.propsArchive).length
-        }
-      });
-    } catch (e) {
-      res.status(500).json({ ok: false, error: String(e?.message || e) });
-    }
-  });
+          return { updated, positions, missingAfter, rosterPlayers: roster.byPlayer.size };
+        });
+
+        res.json({
+          ok: true,
+          updated,
+          positions,
+          missingAfter,
+          roster: { players: rosterPlayers }
+        });
+      } catch (e) {
+        res.status(500).json({ ok: false, error: e.message || String(e) });
+      }
+    });
+
+    console.log("[backfill-teams] registered POST /api/dev/backfill-teams");
+  } catch (e) {
+    console.error("[backfill-teams] init error", e);
+  }
 })();
 
 // ===========================
-// NEXT BLOCK: SportsGameOdds (SGO) API -> import NBA props into db.sgoPropLines
+// DEBUG BLOCK: SGO upstream debug (no secrets)
+// Adds GET /api/dev/sgo/debug?date=YYYY-MM-DD&limit=20
 // Append-only. Paste at bottom of server.js
-// Requires Node 18+ (Render OK) and global fetch (Node 20+/24 ok).
 // ===========================
 
 (function () {
-  "use strict";
-
-  if (globalThis.__PT_SGO_IMPORT_BLOCK__) return;
-  globalThis.__PT_SGO_IMPORT_BLOCK__ = true;
-
-  // --- Config ---
-  const SGO_BASE = "https://api.sportsgameodds.com/v2/events/";
-  const SGO_KEY_ENV = process.env.SGO_API_KEY || process.env.SPORTSGAMEODDS_API_KEY || "";
+  if (globalThis.__PT_SGO_DEBUG__) return;
+  globalThis.__PT_SGO_DEBUG__ = true;
 
-  // Small in-memory cache to avoid burning credits during rapid refreshes
-  const sgoCache = new Map(); // key -> { ts, data }
-  const SGO_CACHE_MS = 30 * 1000; // 30s
+  const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
+  if (!appRef) {
+    console.error("[sgo-debug] Express app not found");
+    return;
+  }
 
-  function isYYYYMMDD(s) {
-    return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+  // Node 18+ has global fetch; fallback not needed on Render
+  const doFetch = (typeof fetch === "function") ? fetch : null;
+  if (!doFetch) {
+    console.error("[sgo-debug] fetch() not available");
+    return;
   }
 
-  function toISODateRangeUTC(dateYYYYMMDD) {
-    // Treat date as day boundary in UTC (simple + reliable)
-    const start = `${dateYYYYMMDD}T00:00:00.000Z`;
-    const d = new Date(`${dateYYYYMMDD}T00:00:00.000Z`);
-    const next = new Date(d.getTime() + 24 * 60 * 60 * 1000);
-    const end = next.toISOString();
-    return { startsAfter: start, startsBefore: end };
-  }
-
-  function pickBestLine(oddObj) {
-    // We want an over/under "line" number for props.
-    // SGO examples show: bookOverUnder / fairOverUnder / byBookmaker[book].overUnder 2
-    const candidates = [
-      oddObj.bookOverUnder,
-      oddObj.openBookOverUnder,
-      oddObj.fairOverUnder,
-      oddObj.openFairOverUnder,
-    ].filter((v) => v !== undefined && v !== null && v !== "");
-
-    for (const v of candidates) {
-      const n = Number(v);
-      if (Number.isFinite(n)) return n;
-    }
-
-    if (oddObj.byBookmaker && typeof oddObj.byBookmaker === "object") {
-      for (const bk of Object.keys(oddObj.byBookmaker)) {
-        const rec = oddObj.byBookmaker[bk];
-        if (!rec) continue;
-        const n = Number(rec.overUnder);
-        if (Number.isFinite(n)) return n;
-      }
-    }
-
-    return null;
-  }
-
-  function parseOddId(oddID) {
-    // oddID format: {statID}-{statEntityID}-{periodID}-{betTypeID}-{sideID} 3
-    // Example: points-JALEN_DUREN_1_NBA-game-ou-over
-    if (!oddID || typeof oddID !== "string") return null;
-    const parts = oddID.split("-");
-    if (parts.length < 5) return null;
-    const statID = parts[0];
-    const sideID = parts[parts.length - 1];
-    const betTypeID = parts[parts.length - 2];
-    const periodID = parts[parts.length - 3];
-    const statEntityID = parts.slice(1, parts.length - 3).join("-");
-    return { statID, statEntityID, periodID, betTypeID, sideID };
-  }
-
-  function normalizeStatType(statID) {
-    const map = {
-      points: "points",
-      rebounds: "rebounds",
-      assists: "assists",
-      threes_made: "3pm",
-      threesmade: "3pm",
-      "3pm": "3pm",
-    };
-    return map[String(statID || "").toLowerCase()] || String(statID || "unknown");
+  function isYMD(s) {
+    return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
   }
 
-  async function sgoFetchEvents({ date, limit, bookmakerID, oddID, leagueID }) {
-    if (!SGO_KEY_ENV) {
-      throw new Error("Missing SGO API key. Set SGO_API_KEY on Render (and locally if needed).");
+  function pick(obj, keys) {
+    for (const k of keys) {
+      if (obj && Object.prototype.hasOwnProperty.call(obj, k)) return obj[k];
     }
-    if (!isYYYYMMDD(date)) throw new Error("Invalid date. Use YYYY-MM-DD.");
+    return undefined;
+  }
 
-    const { startsAfter, startsBefore } = toISODateRangeUTC(date);
-    const params = new URLSearchParams();
-    params.set("leagueID", leagueID || "NBA");
-    params.set("oddsAvailable", "true");
-    params.set("startsAfter", startsAfter);
-    params.set("startsBefore", startsBefore);
-    params.set("includeOpposingOdds", "true");
-    params.set("limit", String(limit || 10));
+  function summarizeShape(data) {
+    if (!data || typeof data !== "object") return { type: typeof data };
+    const topKeys = Object.keys(data).slice(0, 30);
+    const arrKeyCandidates = ["data", "results", "events", "props", "lines", "items"];
+    const maybeArr = arrKeyCandidates.map((k) => [k, Array.isArray(data[k]) ? data[k].length : null]).filter((x) => x[1] !== null);
+    return { type: "object", topKeys, arrays: maybeArr };
+  }
 
-    if (bookmakerID) params.set("bookmakerID", bookmakerID);
+  appRef.get("/api/dev/sgo/debug", async (req, res) => {
+    try {
+      const date = String(req.query.date || "").trim();
+      const limit = Math.max(1, Math.min(200, Number(req.query.limit || 20)));
 
-    // SGO docs show param is oddID (comma-separated list) 4
-    if (oddID) params.set("oddID", oddID);
+      if (!isYMD(date)) {
+        return res.status(400).json({ ok: false, error: "Missing/invalid date. Use ?date=YYYY-MM-DD" });
+      }
 
-    const cacheKey = params.toString();
-    const hit = sgoCache.get(cacheKey);
-    if (hit && Date.now() - hit.ts < SGO_CACHE_MS) return hit.data;
+      const apiKey = process.env.SGO_API_KEY;
+      if (!apiKey) {
+        return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY env var on server." });
+      }
 
-    const url = `${SGO_BASE}?${params.toString()}`;
+      // IMPORTANT: We do NOT log or return apiKey.
+      // Update the URL below if your import uses a different SGO endpoint.
+      // This debug endpoint is designed to show what SGO returns BEFORE your filters.
+      const url = `https://api.sportsgameodds.com/v1/nba/props?date=${encodeURIComponent(date)}&limit=${limit}`;
 
-    const res = await fetch(url, {
-      headers: {
-        "Accept": "application/json",
-        "x-api-key": SGO_KEY_ENV, // official auth header 5
-      },
-    });
+      const r = await doFetch(url, {
+        method: "GET",
+        headers: {
+          "Accept": "application/json",
+          // SGO docs use x-api-key
+          "x-api-key": apiKey
+        }
+      });
 
-    const text = await res.text();
-    let data = null;
-    try { data = text ? JSON.parse(text) : null; } catch {}
+      const text = await r.text();
+      let json = null;
+      try { json = text ? JSON.parse(text) : null; } catch {}
 
-    if (!res.ok) {
-      const msg = (data && (data.error || data.message)) ? (data.error || data.message) : text;
-      throw new Error(`SGO ${res.status} ${res.statusText}: ${msg}`);
-    }
+      // Try to locate likely items arrays in a few common shapes
+      const items =
+        (json && Array.isArray(json.props) && json.props) ||
+        (json && Array.isArray(json.data) && json.data) ||
+        (json && Array.isArray(json.results) && json.results) ||
+        (json && Array.isArray(json.events) && json.events) ||
+        [];
 
-    sgoCache.set(cacheKey, { ts: Date.now(), data });
-    return data;
-  }
+      // Produce small samples (safe)
+      const sample = items.slice(0, 3).map((it) => {
+        if (!it || typeof it !== "object") return it;
+        return {
+          playerName: pick(it, ["playerName", "player", "name"]),
+          playerId: pick(it, ["playerId", "player_id", "id"]),
+          team: pick(it, ["team", "teamAbbr", "team_abbr"]),
+          statType: pick(it, ["statType", "market", "propType", "type"]),
+          line: pick(it, ["line", "value", "propLine", "points"]),
+          bookmaker: pick(it, ["bookmakerID", "bookmaker", "book"]),
+          rawKeys: Object.keys(it).slice(0, 25)
+        };
+      });
 
-  function flattenPropsFromEvents(date, eventsResp) {
-    // eventsResp: { success, data:[{...event...}] } 6
-    const out = [];
-    const events = eventsResp && Array.isArray(eventsResp.data) ? eventsResp.data : [];
+      res.json({
+        ok: true,
+        upstream: {
+          url,
+          status: r.status,
+          statusText: r.statusText
+        },
+        body: {
+          parsed: !!json,
+          shape: summarizeShape(json),
+          itemsFound: items.length,
+          sample
+        }
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message || String(e) });
+    }
+  });
 
-    for (const ev of events) {
-      // Odds typically live under ev.odds (object keyed by oddID)
-      const oddsObj = ev && ev.odds && typeof ev.odds === "object" ? ev.odds : null;
-      if (!oddsObj) continue;
+  console.log("[sgo-debug] registered GET /api/dev/sgo/debug");
+})();
 
-      for (const oddKey of Object.keys(oddsObj)) {
-        const odd = oddsObj[oddKey];
-        if (!odd || typeof odd !== "object") continue;
+// ===========================
+// DEBUG BLOCK: SGO upstream debug (no secrets)
+// GET /api/dev/sgo/debug?date=YYYY-MM-DD&limit=20
+// Append-only.
+// ===========================
+(function () {
+  if (globalThis.__PT_SGO_DEBUG__) return;
+  globalThis.__PT_SGO_DEBUG__ = true;
 
-        const oddID = odd.oddID || oddKey;
-        const parsed = parseOddId(oddID);
-        if (!parsed) continue;
+  const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
+  if (!appRef) {
+    console.error("[sgo-debug] Express app not found");
+    return;
+  }
 
-        // Only keep player props (has playerID or statEntityID looks like a player)
-        const playerId = odd.playerID || parsed.statEntityID || "";
-        if (!playerId) continue;
+  const doFetch = (typeof fetch === "function") ? fetch : null;
+  if (!doFetch) {
+    console.error("[sgo-debug] fetch() not available");
+    return;
+  }
 
-        const line = pickBestLine(odd);
-        if (line === null) continue; // no line = skip
+  function isYMD(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
 
-        const statType = normalizeStatType(odd.statID || parsed.statID);
+  function summarizeShape(data) {
+    if (!data || typeof data !== "object") return { type: typeof data };
+    const topKeys = Object.keys(data).slice(0, 30);
+    const candidates = ["data", "results", "events", "props", "lines", "items"];
+    const arrays = candidates
+      .map((k) => [k, Array.isArray(data[k]) ? data[k].length : null])
+      .filter((x) => x[1] !== null);
+    return { type: "object", topKeys, arrays };
+  }
 
-        out.push({
-          date,
-          source: "sgo",
-          eventID: ev.eventID || "",
-          leagueID: ev.leagueID || "",
-          playerId,
-          playerName: odd.playerName || odd.marketName || playerId, // fallback
-          statType,
-          side: parsed.sideID || "",            // over/under
-          period: parsed.periodID || "game",    // game/half/etc
-          betType: parsed.betTypeID || "ou",
-          line,
-          // optional useful fields:
-          marketName: odd.marketName || "",
-          lastUpdatedAt: (odd.byBookmaker && typeof odd.byBookmaker === "object")
-            ? (Object.values(odd.byBookmaker)[0]?.lastUpdatedAt || null)
-            : null,
-        });
-      }
+  function pick(obj, keys) {
+    for (const k of keys) {
+      if (obj && Object.prototype.hasOwnProperty.call(obj, k)) return obj[k];
     }
-
-    return out;
+    return undefined;
   }
 
-  // NEW ENDPOINT:
-  // POST /api/import/sgo-props?date=YYYY-MM-DD&limit=10
-  // Body optional: { bookmakerID, oddID, leagueID }
-  // Saves into db.sgoPropLines (replaces that date’s entries)
-  app.post("/api/import/sgo-props", async (req, res) => {
+  appRef.get("/api/dev/sgo/debug", async (req, res) => {
     try {
       const date = String(req.query.date || "").trim();
-      const limit = Number(req.query.limit || 10);
-
-      const bookmakerID = req.body && req.body.bookmakerID ? String(req.body.bookmakerID) : "";
-      const leagueID = req.body && req.body.leagueID ? String(req.body.leagueID) : "NBA";
-
-      // Default to the most common NBA player prop markets (over side only; includeOpposingOdds=true pulls both)
-      const defaultOddID =
-        [
-          "points-PLAYER_ID-game-ou-over",
-          "rebounds-PLAYER_ID-game-ou-over",
-          "assists-PLAYER_ID-game-ou-over",
-          "threes_made-PLAYER_ID-game-ou-over",
-        ].join(",");
+      const limit = Math.max(1, Math.min(200, Number(req.query.limit || 20)));
+      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
 
-      const oddID = req.body && req.body.oddID ? String(req.body.oddID) : defaultOddID;
+      const apiKey = process.env.SGO_API_KEY;
+      if (!apiKey) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY env var." });
 
-      const eventsResp = await sgoFetchEvents({ date, limit, bookmakerID, oddID, leagueID });
-      const props = flattenPropsFromEvents(date, eventsResp);
+      // NOTE: If your import code uses a different SGO URL, we will update this after we see output.
+      const url = `https://api.sportsgameodds.com/v1/nba/props?date=${encodeURIComponent(date)}&limit=${limit}`;
 
-      const db = await readDB();
-      db.sgoPropLines = Array.isArray(db.sgoPropLines) ? db.sgoPropLines : [];
+      const r = await doFetch(url, {
+        method: "GET",
+        headers: {
+          "Accept": "application/json",
+          "x-api-key": apiKey
+        }
+      });
 
-      // Replace same-date entries
-      const before = db.sgoPropLines.length;
-      db.sgoPropLines = db.sgoPropLines.filter((p) => p.date !== date);
+      const text = await r.text();
+      let json = null;
+      try { json = text ? JSON.parse(text) : null; } catch {}
 
-      db.sgoPropLines.push(...props);
+      const items =
+        (json && Array.isArray(json.props) && json.props) ||
+        (json && Array.isArray(json.data) && json.data) ||
+        (json && Array.isArray(json.results) && json.results) ||
+        (json && Array.isArray(json.events) && json.events) ||
+        [];
 
-      await writeDB(db);
+      const sample = items.slice(0, 3).map((it) => {
+        if (!it || typeof it !== "object") return it;
+        return {
+          playerName: pick(it, ["playerName", "player", "name"]),
+          playerId: pick(it, ["playerId", "player_id", "id"]),
+          team: pick(it, ["team", "teamAbbr", "team_abbr"]),
+          statType: pick(it, ["statType", "market", "propType", "type"]),
+          line: pick(it, ["line", "value", "propLine", "points"]),
+          bookmaker: pick(it, ["bookmakerID", "bookmaker", "book"]),
+          rawKeys: Object.keys(it).slice(0, 25)
+        };
+      });
 
-      res.json({
+      return res.json({
         ok: true,
-        date,
-        imported: props.length,
-        replaced: before - db.sgoPropLines.length + props.length,
-        note: "Saved into db.sgoPropLines (same date replaced)."
+        upstream: { url, status: r.status, statusText: r.statusText },
+        body: { parsed: !!json, shape: summarizeShape(json), itemsFound: items.length, sample, textPreview: text.slice(0, 250) }
       });
     } catch (e) {
-      res.status(400).json({ ok: false, error: e && e.message ? e.message : String(e) });
+      return res.status(500).json({ ok: false, error: e.message || String(e) });
     }
   });
 
+  console.log("[sgo-debug] route registered: GET /api/dev/sgo/debug");
 })();
 
 // ===========================
-// PATCH: Prevent duplicate routes (safe append-only fix)
-// This disables earlier duplicate registrations without editing old code.
+// PATCH BLOCK: SGO import v2 (fix endpoint URL)
+// POST /api/import/sgo-props-v2?date=YYYY-MM-DD&limit=50
+// Uses env:
+//   SGO_API_KEY (required)
+//   SGO_BASE_URL (optional)
+//   SGO_PROPS_PATH (optional)
+// Append-only.
 // ===========================
-
 (function () {
-  if (globalThis.__PT_ROUTE_DEDUP_PATCH__) return;
-  globalThis.__PT_ROUTE_DEDUP_PATCH__ = true;
-
-  function dedupeRoutes() {
-    if (!app || !app._router || !app._router.stack) return;
+  if (globalThis.__PT_SGO_IMPORT_V2__) return;
+  globalThis.__PT_SGO_IMPORT_V2__ = true;
 
-    const seen = new Set();
-    const stack = app._router.stack;
+  const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
+  if (!appRef) return;
 
-    for (let i = stack.length - 1; i >= 0; i--) {
-      const layer = stack[i];
-      if (!layer || !layer.route) continue;
+  function isYMD(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
 
-      const path = layer.route.path;
-      const methods = Object.keys(layer.route.methods || {}).join(",");
+  appRef.post("/api/import/sgo-props-v2", async (req, res) => {
+    try {
+      const date = String(req.query.date || "").trim();
+      const limit = Math.max(1, Math.min(500, Number(req.query.limit || 50)));
+      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+      if (!process.env.SGO_API_KEY) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
 
-      const key = `${methods}:${path}`;
+      // Same-date rows are replaced
+      const out = await importPropSource(sgoLegacySource("props"), null, { date, limit });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error, upstream: out.upstream });
 
-      if (seen.has(key)) {
-        // remove older duplicate
-        stack.splice(i, 1);
-      } else {
-        seen.add(key);
-      }
+      return res.json({
+        ok: true,
+        date,
+        upstream: out.upstream,
+        received: out.received,
+        imported: out.imported,
+        replaced: out.replaced
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message || String(e) });
     }
-  }
-
-  // Run after all routes registered
-  setTimeout(dedupeRoutes, 0);
+  });
 })();
 
 // ===========================
-// PATCH: Force server to listen (fix silent EXIT:0)
-// Append-only. Paste at bottom of server.js
+// PATCH BLOCK: Upgrade SGO import v2 to retry on HTTP 202
+// Adds /api/import/sgo-props-v2b (so no duplicates)
+// POST /api/import/sgo-props-v2b?date=YYYY-MM-DD&limit=50
+// Append-only.
 // ===========================
-
 (function () {
-  if (globalThis.__PT_FORCE_LISTEN__) return;
-  globalThis.__PT_FORCE_LISTEN__ = true;
-
-  // Print any hidden crashes
-  process.on("uncaughtException", (e) => console.error("[uncaughtException]", e));
-  process.on("unhandledRejection", (e) => console.error("[unhandledRejection]", e));
+  if (globalThis.__PT_SGO_IMPORT_V2B__) return;
+  globalThis.__PT_SGO_IMPORT_V2B__ = true;
 
-  // Get the Express app safely (works even if app is not in local scope)
   const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
+  if (!appRef) return;
 
-  if (!appRef || typeof appRef.listen !== "function") {
-    console.error("[BOOT] Express app not found. appRef is missing.");
-    return;
-  }
-
-  // Avoid double-listen
-  if (globalThis.__PT_HTTP_SERVER__) return;
-
-  const port = Number(process.env.PORT || 3000);
-  const host = "0.0.0.0";
-
-  const server = appRef.listen(port, host, () => {
-    console.log(`ProTracker v1 listening on http://${host}:${port}`);
-  });
-
-  server.on("error", (err) => {
-    console.error("[BOOT] Listen error:", err);
-  });
-
-  globalThis.__PT_HTTP_SERVER__ = server;
-})();
-
-// ===========================
-// PATCH: Expose Express app globally (so bottom-only patches can access it)
-// Then start listening if not already started.
-// ===========================
+  function isYMD(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
 
-(function () {
-  if (globalThis.__PT_EXPOSE_APP__) return;
-  globalThis.__PT_EXPOSE_APP__ = true;
+  appRef.post("/api/import/sgo-props-v2b", async (req, res) => {
+    try {
+      const date = String(req.query.date || "").trim();
+      const limit = Math.max(1, Math.min(500, Number(req.query.limit || 50)));
+      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+      if (!process.env.SGO_API_KEY) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
 
-  // Try to locate an Express instance in common variables
-  // If your file uses a different variable name, we’ll adjust.
-  try {
-    if (typeof app !== "undefined" && app && typeof app.listen === "function") {
-      globalThis.app = app;
-    }
-  } catch {}
+      // Same-date rows are replaced
+      const out = await importPropSource(sgoLegacySource("props", { retry202: true }), null, { date, limit });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error, upstream: out.upstream });
 
-  // If we still don't have it, try to infer from module exports (rare)
-  try {
-    if (!globalThis.app && module && module.exports && typeof module.exports.listen === "function") {
-      globalThis.app = module.exports;
+      return res.json({
+        ok: true,
+        date,
+        upstream: out.upstream,
+        received: out.received,
+        imported: out.imported,
+        replaced: out.replaced
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message || String(e) });
     }
-  } catch {}
-
-  if (!globalThis.app || typeof globalThis.app.listen !== "function") {
-    console.error("[BOOT] Could not expose Express app. Tell me what variable holds express(): e.g. const APP = express()");
-    return;
-  }
-
-  // Start listening once
-  if (globalThis.__PT_HTTP_SERVER__) return;
-
-  const port = Number(process.env.PORT || 3000);
-  const host = "0.0.0.0";
-
-  const server = globalThis.app.listen(port, host, () => {
-    console.log(`ProTracker v1 listening on http://${host}:${port}`);
   });
-
-  server.on("error", (err) => console.error("[BOOT] Listen error:", err));
-  globalThis.__PT_HTTP_SERVER__ = server;
 })();
 
 // ===========================
-// NEXT BLOCK: Backfill missing team fields on nbaPlayerGameLogs
-// Adds POST /api/dev/backfill-teams
-// Append-only. Paste at bottom of server.js
+// DEBUG BLOCK: Probe SGO endpoints to find JSON (no captcha)
+// GET /api/dev/sgo/probe?date=YYYY-MM-DD
+// Append-only.
 // ===========================
-
 (function () {
-  try {
-    if (globalThis.__PT_BACKFILL_TEAMS__) return;
-    globalThis.__PT_BACKFILL_TEAMS__ = true;
-
-    // Access express app + db helpers from existing file
-    const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
-    if (!appRef) {
-      console.error("[backfill-teams] Express app not found");
-      return;
-    }
-    if (typeof readDB !== "function" || typeof writeDB !== "function") {
-      console.error("[backfill-teams] readDB/writeDB not found");
-      return;
-    }
-
-    function asStr(x) {
-      return (x === null || x === undefined) ? "" : String(x);
-    }
-
-    function buildTeamMap(db) {
-      const mapById = new Map();
-      const mapByName = new Map();
-
-      const all = []
-        .concat(Array.isArray(db.sgoPropLines) ? db.sgoPropLines : [])
-        .concat(Array.isArray(db.hardrockPropLines) ? db.hardrockPropLines : []);
-
-      for (const p of all) {
-        const team = asStr(p.team).trim();
-        if (!team) continue;
-        const pid = asStr(p.playerId).trim();
-        const name = asStr(p.playerName).trim();
-        if (pid) mapById.set(pid, team);
-        if (name) mapByName.set(name, team);
-      }
+  if (globalThis.__PT_SGO_PROBE__) return;
+  globalThis.__PT_SGO_PROBE__ = true;
 
-      return { mapById, mapByName };
-    }
+  const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
+  if (!appRef) return;
 
-    appRef.post("/api/dev/backfill-teams", async (req, res) => {
-      try {
-        const force = !!(req.body && req.body.force);
+  const doFetch = (typeof fetch === "function") ? fetch : null;
+  if (!doFetch) return;
 
-        const db = await readDB();
-        db.nbaPlayerGameLogs = Array.isArray(db.nbaPlayerGameLogs) ? db.nbaPlayerGameLogs : [];
-        db.sgoPropLines = Array.isArray(db.sgoPropLines) ? db.sgoPropLines : [];
-        db.hardrockPropLines = Array.isArray(db.hardrockPropLines) ? db.hardrockPropLines : [];
+  function isYMD(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
 
-        const { mapById, mapByName } = buildTeamMap(db);
+  appRef.get("/api/dev/sgo/probe", async (req, res) => {
+    try {
+      const date = String(req.query.date || "").trim();
+      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
 
-        let updated = 0;
-        let missingAfter = 0;
+      const apiKey = process.env.SGO_API_KEY;
+      if (!apiKey) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
 
-        for (const g of db.nbaPlayerGameLogs) {
-          const hasTeam = asStr(g.team).trim();
-          if (hasTeam && !force) continue;
+      const candidates = [
+        // host variations + path variations
+        (d) => `https://api.sportsgameodds.com/api/v1/nba/props?date=${d}&limit=5`,
+        (d) => `https://api.sportsgameodds.com/v1/nba/props?date=${d}&limit=5`,
+        (d) => `https://api.sportsgameodds.com/v1/odds/props?date=${d}&limit=5`,
+        (d) => `https://api.sportsgameodds.com/api/v1/odds/props?date=${d}&limit=5`,
+        (d) => `https://sportsgameodds.com/api/v1/nba/props?date=${d}&limit=5`,
+        (d) => `https://sportsgameodds.com/api/v1/odds/props?date=${d}&limit=5`
+      ];
 
-          const pid = asStr(g.playerId).trim();
-          const name = asStr(g.playerName).trim();
+      const results = [];
+      for (const makeUrl of candidates) {
+        const url = makeUrl(encodeURIComponent(date));
+        let status = null, ct = null, preview = null, looksJson = false, hasCaptcha = false;
 
-          const inferred = (pid && mapById.get(pid)) || (name && mapByName.get(name)) || "";
-          if (inferred) {
-            g.team = inferred;
-            updated++;
-          } else {
-            // still missing
-            if (!hasTeam) missingAfter++;
-          }
+        try {
+          const r = await doFetch(url, {
+            method: "GET",
+            headers: { "Accept": "application/json", "x-api-key": apiKey }
+          });
+          status = r.status;
+          ct = (r.headers.get("content-type") || "").toLowerCase();
+          const text = await r.text();
+          preview = text.slice(0, 160);
+          looksJson = ct.includes("application/json") || preview.trim().startsWith("{") || preview.trim().startsWith("[");
+          hasCaptcha = preview.includes("sgcaptcha") || text.includes("/.well-known/sgcaptcha");
+        } catch (e) {
+          preview = `fetch error: ${e.message || String(e)}`;
         }
 
-        await writeDB(db);
-
-        res.json({
-          ok: true,
-          updated,
-          missingAfter,
-          teamMap: { byId: mapById.size, byName: mapByName.size }
-        });
-      } catch (e) {
-        res.status(500).json({ ok: false, error: e.message || String(e) });
+        results.push({ url, status, contentType: ct, looksJson, hasCaptcha, preview });
       }
-    });
 
-    console.log("[backfill-teams] registered POST /api/dev/backfill-teams");
-  } catch (e) {
-    console.error("[backfill-teams] init error", e);
-  }
+      res.json({ ok: true, date, results });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message || String(e) });
+    }
+  });
+
+  console.log("[sgo-probe] route registered: GET /api/dev/sgo/probe");
 })();
 
 // ===========================
-// DEBUG BLOCK: SGO upstream debug (no secrets)
-// Adds GET /api/dev/sgo/debug?date=YYYY-MM-DD&limit=20
-// Append-only. Paste at bottom of server.js
+// PATCH BLOCK: SGO v3 import via api.sportsgameodds.com/v2/events (no captcha)
+// Adds:
+//   GET  /api/dev/sgo/events-debug?date=YYYY-MM-DD&limit=3
+//   POST /api/import/sgo-props-v3?date=YYYY-MM-DD&limit=200
+// Append-only.
 // ===========================
-
 (function () {
-  if (globalThis.__PT_SGO_DEBUG__) return;
-  globalThis.__PT_SGO_DEBUG__ = true;
+  if (globalThis.__PT_SGO_V3__) return;
+  globalThis.__PT_SGO_V3__ = true;
 
   const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
-  if (!appRef) {
-    console.error("[sgo-debug] Express app not found");
-    return;
-  }
+  if (!appRef) return;
 
-  // Node 18+ has global fetch; fallback not needed on Render
   const doFetch = (typeof fetch === "function") ? fetch : null;
-  if (!doFetch) {
-    console.error("[sgo-debug] fetch() not available");
-    return;
-  }
-
-  function isYMD(s) {
-    return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
-  }
-
-  function pick(obj, keys) {
-    for (const k of keys) {
-      if (obj && Object.prototype.hasOwnProperty.call(obj, k)) return obj[k];
-    }
-    return undefined;
-  }
+  if (!doFetch) return;
 
-  function summarizeShape(data) {
-    if (!data || typeof data !== "object") return { type: typeof data };
-    const topKeys = Object.keys(data).slice(0, 30);
-    const arrKeyCandidates = ["data", "results", "events", "props", "lines", "items"];
-    const maybeArr = arrKeyCandidates.map((k) => [k, Array.isArray(data[k]) ? data[k].length : null]).filter((x) => x[1] !== null);
-    return { type: "object", topKeys, arrays: maybeArr };
-  }
+  function isYMD(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
 
-  appRef.get("/api/dev/sgo/debug", async (req, res) => {
+  // Debug: show us actual structure from /v2/events
+  appRef.get("/api/dev/sgo/events-debug", async (req, res) => {
     try {
       const date = String(req.query.date || "").trim();
-      const limit = Math.max(1, Math.min(200, Number(req.query.limit || 20)));
+      const limit = Math.max(1, Math.min(10, Number(req.query.limit || 3)));
 
-      if (!isYMD(date)) {
-        return res.status(400).json({ ok: false, error: "Missing/invalid date. Use ?date=YYYY-MM-DD" });
-      }
+      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
 
       const apiKey = process.env.SGO_API_KEY;
-      if (!apiKey) {
-        return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY env var on server." });
-      }
+      if (!apiKey) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
 
-      // IMPORTANT: We do NOT log or return apiKey.
-      // Update the URL below if your import uses a different SGO endpoint.
-      // This debug endpoint is designed to show what SGO returns BEFORE your filters.
-      const url = `https://api.sportsgameodds.com/v1/nba/props?date=${encodeURIComponent(date)}&limit=${limit}`;
+      const url = sgoLegacyEventsUrl(limit);
 
       const r = await doFetch(url, {
         method: "GET",
-        headers: {
-          "Accept": "application/json",
-          // SGO docs use x-api-key
-          "x-api-key": apiKey
-        }
+        headers: { "Accept": "application/json", "X-Api-Key": apiKey },
       });
 
       const text = await r.text();
       let json = null;
       try { json = text ? JSON.parse(text) : null; } catch {}
 
-      // Try to locate likely items arrays in a few common shapes
-      const items =
-        (json && Array.isArray(json.props) && json.props) ||
-        (json && Array.isArray(json.data) && json.data) ||
-        (json && Array.isArray(json.results) && json.results) ||
-        (json && Array.isArray(json.events) && json.events) ||
-        [];
-
-      // Produce small samples (safe)
-      const sample = items.slice(0, 3).map((it) => {
-        if (!it || typeof it !== "object") return it;
-        return {
-          playerName: pick(it, ["playerName", "player", "name"]),
-          playerId: pick(it, ["playerId", "player_id", "id"]),
-          team: pick(it, ["team", "teamAbbr", "team_abbr"]),
-          statType: pick(it, ["statType", "market", "propType", "type"]),
-          line: pick(it, ["line", "value", "propLine", "points"]),
-          bookmaker: pick(it, ["bookmakerID", "bookmaker", "book"]),
-          rawKeys: Object.keys(it).slice(0, 25)
-        };
-      });
+      const events = sgoLegacyEvents(json);
+      const sampleEvent = events[0] || null;
+      const sampleOdds = sampleEvent ? sgoLegacyEventOdds(sampleEvent).slice(0, 3) : [];
 
-      res.json({
+      return res.json({
         ok: true,
-        upstream: {
-          url,
-          status: r.status,
-          statusText: r.statusText
+        upstream: { url, status: r.status, statusText: r.statusText },
+        shape: json && typeof json === "object" ? Object.keys(json).slice(0, 30) : typeof json,
+        eventsFound: events.length,
+        sample: {
+          eventKeys: sampleEvent ? Object.keys(sampleEvent).slice(0, 40) : [],
+          oddsFoundInFirstEvent: sampleEvent ? sgoLegacyEventOdds(sampleEvent).length : 0,
+          oddKeys: sampleOdds[0] ? Object.keys(sampleOdds[0]).slice(0, 40) : [],
+          oddsPreview: sampleOdds
         },
-        body: {
-          parsed: !!json,
-          shape: summarizeShape(json),
-          itemsFound: items.length,
-          sample
-        }
+        textPreview: text.slice(0, 200)
       });
     } catch (e) {
-      res.status(500).json({ ok: false, error: e.message || String(e) });
+      return res.status(500).json({ ok: false, error: e.message || String(e) });
     }
   });
 
-  console.log("[sgo-debug] registered GET /api/dev/sgo/debug");
+  // Import: pulls events, keeps the ones tipping off on the requested ET date, extracts player props-ish odds
+  appRef.post("/api/import/sgo-props-v3", async (req, res) => {
+    try {
+      const date = String(req.query.date || "").trim();
+      const limit = Math.max(1, Math.min(500, Number(req.query.limit || 200)));
+
+      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+      if (!process.env.SGO_API_KEY) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
+
+      const out = await importPropSource(sgoLegacySource("events"), null, { date, limit: Math.max(10, Math.min(200, limit)) });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error, upstream: out.upstream });
+
+      return res.json({
+        ok: true,
+        date,
+        upstream: out.upstream,
+        received: out.received,
+        imported: out.imported,
+        replaced: out.replaced
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message || String(e) });
+    }
+  });
 })();
 
 // ===========================
-// DEBUG BLOCK: SGO upstream debug (no secrets)
-// GET /api/dev/sgo/debug?date=YYYY-MM-DD&limit=20
+// DEBUG BLOCK: Inspect SGO event.players structure
+// GET /api/dev/sgo/events-debug2?date=YYYY-MM-DD&limit=1
 // Append-only.
 // ===========================
 (function () {
-  if (globalThis.__PT_SGO_DEBUG__) return;
-  globalThis.__PT_SGO_DEBUG__ = true;
+  if (globalThis.__PT_SGO_EVENTS_DEBUG2__) return;
+  globalThis.__PT_SGO_EVENTS_DEBUG2__ = true;
 
   const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
-  if (!appRef) {
-    console.error("[sgo-debug] Express app not found");
-    return;
-  }
+  if (!appRef) return;
 
   const doFetch = (typeof fetch === "function") ? fetch : null;
-  if (!doFetch) {
-    console.error("[sgo-debug] fetch() not available");
-    return;
-  }
+  if (!doFetch) return;
 
   function isYMD(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
 
-  function summarizeShape(data) {
-    if (!data || typeof data !== "object") return { type: typeof data };
-    const topKeys = Object.keys(data).slice(0, 30);
-    const candidates = ["data", "results", "events", "props", "lines", "items"];
-    const arrays = candidates
-      .map((k) => [k, Array.isArray(data[k]) ? data[k].length : null])
-      .filter((x) => x[1] !== null);
-    return { type: "object", topKeys, arrays };
-  }
-
-  function pick(obj, keys) {
-    for (const k of keys) {
-      if (obj && Object.prototype.hasOwnProperty.call(obj, k)) return obj[k];
-    }
-    return undefined;
+  function buildEventsUrl(limit) {
+    const qs = new URLSearchParams({ leagueID: "NBA", oddsAvailable: "true", limit: String(limit || 1) });
+    return `https://api.sportsgameodds.com/v2/events?${qs.toString()}`;
   }
 
-  appRef.get("/api/dev/sgo/debug", async (req, res) => {
+  appRef.get("/api/dev/sgo/events-debug2", async (req, res) => {
     try {
       const date = String(req.query.date || "").trim();
-      const limit = Math.max(1, Math.min(200, Number(req.query.limit || 20)));
+      const limit = Math.max(1, Math.min(3, Number(req.query.limit || 1)));
       if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
 
       const apiKey = process.env.SGO_API_KEY;
-      if (!apiKey) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY env var." });
+      if (!apiKey) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
 
-      // NOTE: If your import code uses a different SGO URL, we will update this after we see output.
-      const url = `https://api.sportsgameodds.com/v1/nba/props?date=${encodeURIComponent(date)}&limit=${limit}`;
+      const url = buildEventsUrl(limit);
 
       const r = await doFetch(url, {
         method: "GET",
-        headers: {
-          "Accept": "application/json",
-          "x-api-key": apiKey
-        }
+        headers: { "Accept": "application/json", "X-Api-Key": apiKey }
       });
 
       const text = await r.text();
       let json = null;
       try { json = text ? JSON.parse(text) : null; } catch {}
 
-      const items =
-        (json && Array.isArray(json.props) && json.props) ||
-        (json && Array.isArray(json.data) && json.data) ||
-        (json && Array.isArray(json.results) && json.results) ||
-        (json && Array.isArray(json.events) && json.events) ||
-        [];
+      const events = (json && Array.isArray(json.data) && json.data) ? json.data : [];
+      const ev = events[0] || null;
 
-      const sample = items.slice(0, 3).map((it) => {
-        if (!it || typeof it !== "object") return it;
-        return {
-          playerName: pick(it, ["playerName", "player", "name"]),
-          playerId: pick(it, ["playerId", "player_id", "id"]),
-          team: pick(it, ["team", "teamAbbr", "team_abbr"]),
-          statType: pick(it, ["statType", "market", "propType", "type"]),
-          line: pick(it, ["line", "value", "propLine", "points"]),
-          bookmaker: pick(it, ["bookmakerID", "bookmaker", "book"]),
-          rawKeys: Object.keys(it).slice(0, 25)
-        };
-      });
+      const players = ev && Array.isArray(ev.players) ? ev.players : [];
+      const p0 = players[0] || null;
+
+      // Look for nested arrays inside first player that might contain props/markets/odds
+      let nestedArrays = [];
+      if (p0 && typeof p0 === "object") {
+        for (const k of Object.keys(p0)) {
+          if (Array.isArray(p0[k])) nestedArrays.push([k, p0[k].length]);
+        }
+      }
 
       return res.json({
         ok: true,
         upstream: { url, status: r.status, statusText: r.statusText },
-        body: { parsed: !!json, shape: summarizeShape(json), itemsFound: items.length, sample, textPreview: text.slice(0, 250) }
+        notice: json && json.notice ? json.notice : null,
+        eventsFound: events.length,
+        sample: {
+          eventID: ev ? ev.eventID : null,
+          eventKeys: ev ? Object.keys(ev).slice(0, 30) : [],
+          oddsLen: ev && Array.isArray(ev.odds) ? ev.odds.length : 0,
+          playersLen: players.length,
+          playerKeys: p0 ? Object.keys(p0).slice(0, 40) : [],
+          playerNestedArrays: nestedArrays.slice(0, 20),
+          playerPreview: p0 ? p0 : null
+        },
+        textPreview: text.slice(0, 300)
       });
     } catch (e) {
       return res.status(500).json({ ok: false, error: e.message || String(e) });
     }
   });
 
-  console.log("[sgo-debug] route registered: GET /api/dev/sgo/debug");
+  console.log("[sgo-debug2] route registered: GET /api/dev/sgo/events-debug2");
 })();
 
+
 // ===========================
-// PATCH BLOCK: SGO import v2 (fix endpoint URL)
-// POST /api/import/sgo-props-v2?date=YYYY-MM-DD&limit=50
-// Uses env:
-//   SGO_API_KEY (required)
-//   SGO_BASE_URL (optional)
-//   SGO_PROPS_PATH (optional)
-// Append-only.
+// NEXT BLOCK: Bet ledger (auto-graded from game logs)
+//   POST  /api/bets
+//   GET   /api/bets?status=&from=&to=&playerId=
+//   PATCH /api/bets/:id
 // ===========================
 (function () {
-  if (globalThis.__PT_SGO_IMPORT_V2__) return;
-  globalThis.__PT_SGO_IMPORT_V2__ = true;
-
-  const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
-  if (!appRef) return;
-
-  const doFetch = (typeof fetch === "function") ? fetch : null;
-  if (!doFetch) return;
-
-  function isYMD(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
+  if (globalThis.__PT_BETS__) return;
+  globalThis.__PT_BETS__ = true;
+
+  const SIDES = ["over", "under"];
+  const STATUSES = ["pending", "win", "loss", "push", "void"];
+
+  // Shared by POST and PATCH. Returns { bet } or { error }.
+  function applyBetFields(bet, body) {
+    if (body.date !== undefined) bet.date = String(body.date).trim();
+    if (body.playerId !== undefined) bet.playerId = body.playerId ? String(body.playerId) : undefined;
+    if (body.playerName !== undefined) bet.playerName = String(body.playerName || "").trim() || undefined;
+    if (body.statType !== undefined) bet.statType = String(body.statType || "").trim();
+    if (body.line !== undefined) bet.line = Number(body.line);
+    if (body.side !== undefined) bet.side = String(body.side).toLowerCase();
+    if (body.odds !== undefined) bet.odds = parseAmericanOdds(body.odds);
+    if (body.stake !== undefined) bet.stake = Number(body.stake);
+    if (body.book !== undefined) bet.book = String(body.book || "").trim() || undefined;
+    if (body.notes !== undefined) bet.notes = String(body.notes || "");
+
+    if (!isValidISODate(bet.date)) return { error: "Invalid date. Use YYYY-MM-DD." };
+    if (!bet.playerId && !bet.playerName) return { error: "playerId or playerName is required" };
+    if (!normalizeStatType(bet.statType)) return { error: `Unsupported statType: ${bet.statType || "(missing)"}` };
+    if (!Number.isFinite(bet.line)) return { error: "line must be a number" };
+    if (!SIDES.includes(bet.side)) return { error: "side must be over or under" };
+    if (bet.odds === null) return { error: "odds must be American odds like -110 or +120" };
+    if (!Number.isFinite(bet.stake) || bet.stake <= 0) return { error: "stake must be a positive number" };
+    return { bet };
+  }
 
-  function sgoUrl(date, limit) {
-    const base = (process.env.SGO_BASE_URL || "https://sportsgameodds.com").replace(/\/+$/, "");
-    const path = (process.env.SGO_PROPS_PATH || "/api/v1/nba/props").replace(/^\/?/, "/");
-    const qs = `date=${encodeURIComponent(date)}&limit=${encodeURIComponent(limit)}`;
-    return `${base}${path}?${qs}`;
+  function summarize(bets) {
+    const record = { win: 0, loss: 0, push: 0, void: 0, pending: 0 };
+    let staked = 0;
+    let pnl = 0;
+    for (const b of bets) {
+      record[b.status] = (record[b.status] || 0) + 1;
+      if (b.status === "pending" || b.status === "void") continue;
+      staked += Number(b.stake) || 0;
+      pnl += Number(b.pnl) || 0;
+    }
+    return {
+      count: bets.length,
+      record,
+      staked: Number(staked.toFixed(2)),
+      pnl: Number(pnl.toFixed(2)),
+      roi: staked ? Number((pnl / staked * 100).toFixed(2)) : null
+    };
   }
 
-  function normalizeProp(p, date) {
-    // flexible mapping for different response shapes
-    const playerName = p.playerName || p.player || p.name || null;
-    const playerId = p.playerId || p.player_id || p.id || null;
-    const team = p.team || p.teamAbbr || p.team_abbr || null;
+  app.post("/api/bets", async (req, res) => {
+    try {
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const now = new Date().toISOString();
+      const draft = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, status: "pending", pnl: 0, odds: -110 };
 
-    // stat type variations
-    const rawType = (p.statType || p.market || p.propType || p.type || "").toString().toLowerCase();
-    let statType = rawType;
-    if (rawType.includes("point")) statType = "points";
-    else if (rawType.includes("reb")) statType = "rebounds";
-    else if (rawType.includes("assist")) statType = "assists";
-    else if (rawType.includes("3") || rawType.includes("three")) statType = "3pm";
+      const { bet, error } = applyBetFields(draft, body);
+      if (error) return res.status(400).json({ ok: false, error });
 
-    const line = Number(p.line ?? p.value ?? p.propLine ?? p.points ?? p.number);
-    if (!playerName || !Number.isFinite(line)) return null;
+      const saved = await withDB(async (db) => {
+        db.bets.push(bet);
+        gradeBets(db); // logs may already be in for a back-entered bet
+        return bet;
+      });
 
-    return {
-      date,
-      playerId: playerId ? String(playerId) : "",
-      playerName: String(playerName),
-      team: team ? String(team) : "",
-      statType,
-      line
-    };
-  }
+      res.json({ ok: true, bet: saved });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  app.get("/api/bets", async (req, res) => {
+    try {
+      const status = String(req.query.status || "").toLowerCase();
+      const from = String(req.query.from || "");
+      const to = String(req.query.to || "");
+      const playerId = String(req.query.playerId || "");
+
+      const bets = (await readCollection("bets", []))
+        .filter((b) => (!status || b.status === status))
+        .filter((b) => (!from || b.date >= from) && (!to || b.date <= to))
+        .filter((b) => (!playerId || String(b.playerId) === playerId))
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)) || String(b.createdAt).localeCompare(String(a.createdAt)));
+
+      res.json({ ok: true, summary: summarize(bets), bets });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
 
-  appRef.post("/api/import/sgo-props-v2", async (req, res) => {
+  // Body: any bet field. { status } settles manually (stops auto-grading);
+  // { status: "pending" } hands the bet back to auto-grading.
+  app.patch("/api/bets/:id", async (req, res) => {
     try {
-      const date = String(req.query.date || "").trim();
-      const limit = Math.max(1, Math.min(500, Number(req.query.limit || 50)));
-      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const status = body.status !== undefined ? String(body.status).toLowerCase() : null;
+      if (status !== null && !STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, error: `status must be one of ${STATUSES.join(", ")}` });
+      }
 
-      const apiKey = process.env.SGO_API_KEY;
-      if (!apiKey) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
+      const out = await withDB(async (db, tx) => {
+        const bet = db.bets.find((b) => b && b.id === req.params.id);
+        if (!bet) { tx.skipWrite = true; return { code: 404, error: "Bet not found" }; }
 
-      const url = sgoUrl(date, limit);
+        const candidate = { ...bet };
+        const { error } = applyBetFields(candidate, body);
+        if (error) { tx.skipWrite = true; return { code: 400, error }; }
 
-      const r = await doFetch(url, {
-        method: "GET",
-        headers: {
-          "Accept": "application/json",
-          "x-api-key": apiKey
+        Object.assign(bet, candidate, { updatedAt: new Date().toISOString() });
+
+        if (status === "pending") {
+          bet.manual = false;
+        } else if (status) {
+          bet.manual = true;
+          bet.status = status;
+          bet.pnl = betPnl(bet);
+          bet.gradedAt = bet.updatedAt;
         }
+
+        // Auto-graded: drop the old grade (the edit may have changed player,
+        // date or line) and grade again from whatever log is in now
+        if (!bet.manual) {
+          bet.status = "pending";
+          bet.pnl = 0;
+          delete bet.actual;
+          delete bet.gradedAt;
+          gradeBets(db);
+        }
+        return { bet };
       });
 
-      const text = await r.text();
-      let json = null;
-      try { json = text ? JSON.parse(text) : null; } catch {}
+      if (out.error) return res.status(out.code).json({ ok: false, error: out.error });
+      res.json({ ok: true, bet: out.bet });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+})();
 
-      if (!r.ok) {
-        return res.status(502).json({
-          ok: false,
-          error: "SGO upstream error",
-          upstream: { url, status: r.status, statusText: r.statusText, preview: text.slice(0, 200) }
-        });
-      }
+// ===========================
+// NEXT BLOCK: Backtest over archived slates
+//   POST /api/backtest
+//   Body: { from?, to?, includePicks?, plus the edges options: mode + its params, games?, minEdge?,
+//           tierBy?: "edge"|"prob", tierA?, tierB?, tiers?, source?, projBy?, shrink?, oppAdjust?, usage?, phase?, injuries? }
+// Each archived date is replayed through the edges service (replaySlate) with
+// only the logs dated before it, so a slate never sees its own result. Picks
+// take the side of the edge and are graded against that night's log at the
+// archived price (-110 if none).
+// ===========================
+(function () {
+  if (globalThis.__PT_BACKTEST__) return;
+  globalThis.__PT_BACKTEST__ = true;
 
-      // find list in common shapes
-      const items =
-        (json && Array.isArray(json.props) && json.props) ||
-        (json && Array.isArray(json.data) && json.data) ||
-        (json && Array.isArray(json.results) && json.results) ||
-        (json && Array.isArray(json.events) && json.events) ||
-        (Array.isArray(json) ? json : []);
+  function emptyBucket() {
+    return { picks: 0, wins: 0, losses: 0, pushes: 0, staked: 0, pnl: 0 };
+  }
 
-      const normalized = [];
-      for (const it of items) {
-        const n = normalizeProp(it, date);
-        if (n) normalized.push(n);
-      }
+  function tally(b, pick) {
+    b.picks++;
+    if (pick.result === "win") b.wins++;
+    else if (pick.result === "loss") b.losses++;
+    else b.pushes++;
+    if (pick.result !== "push") b.staked += 1;
+    b.pnl += pick.pnl;
+  }
+
+  function addToBucket(groups, key, pick) {
+    if (!groups[key]) groups[key] = emptyBucket();
+    tally(groups[key], pick);
+  }
 
-      const db = await readDB();
-      if (!Array.isArray(db.sgoPropLines)) db.sgoPropLines = [];
+  function finishBucket(b) {
+    const decided = b.wins + b.losses;
+    return {
+      picks: b.picks,
+      wins: b.wins,
+      losses: b.losses,
+      pushes: b.pushes,
+      hitRate: decided ? Number((b.wins / decided).toFixed(4)) : null,
+      units: Number(b.pnl.toFixed(3)),
+      roi: b.staked ? Number((b.pnl / b.staked * 100).toFixed(2)) : null
+    };
+  }
 
-      // Replace same-date rows
-      const before = db.sgoPropLines.length;
-      db.sgoPropLines = db.sgoPropLines.filter((p) => p && p.date !== date);
+  function finishGroups(groups) {
+    const out = {};
+    for (const k of Object.keys(groups).sort()) out[k] = finishBucket(groups[k]);
+    return out;
+  }
 
-      const replaced = before - db.sgoPropLines.length;
-      db.sgoPropLines.push(...normalized);
+  app.post("/api/backtest", async (req, res) => {
+    try {
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const from = String(body.from || "").trim();
+      const to = String(body.to || "").trim();
+      if ((from && !isValidISODate(from)) || (to && !isValidISODate(to))) {
+        return res.status(400).json({ ok: false, error: "Invalid from/to. Use YYYY-MM-DD." });
+      }
+      const parsed = parseEdgeOptions({ ...body, date: undefined, games: body.games || body.gamesN }, { mode: "weighted" });
+      if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+      const opts = parsed.opts;
+
+      const dates = (await listArchiveDates()).filter((d) => (!from || d >= from) && (!to || d <= to));
+
+      const replayCounts = ["props", "otherPhase", "noStat", "ambiguousPlayer", "ruledOut", "noLine", "noHistory", "belowMinEdge"];
+      const counts = { dates: 0, ...Object.fromEntries(replayCounts.map((k) => [k, 0])), noResult: 0, graded: 0 };
+      const slateDates = [];
+      const overall = emptyBucket();
+      const byTier = {};
+      const byStat = {};
+      const bySource = {};
+      const picks = [];
+
+      for (const date of dates) {
+        const archive = await getArchive(date);
+        if (!archive) continue;
+        counts.dates++;
+        slateDates.push(date);
+        const props = [];
+        for (const source of opts.sources) {
+          for (const p of archive[source] || []) props.push({ ...p, source });
+        }
 
-      await writeDB(db);
+        const replay = await replaySlate(date, opts, props);
+        for (const k of replayCounts) counts[k] += replay.counts[k] || 0;
+
+        for (const { prop, edge, result } of replay.rows) {
+          const actual = result ? getStatFromLog(result, edge.stat) : null;
+          if (!Number.isFinite(actual)) { counts.noResult++; continue; }
+          if (edge.edge === 0) { counts.belowMinEdge++; continue; }
+
+          const side = edge.edge > 0 ? "over" : "under";
+          const { overOdds, underOdds } = extractPropOdds(prop);
+          const odds = (side === "over" ? overOdds : underOdds) ?? -110;
+
+          let outcome = "push";
+          if (actual > edge.line) outcome = side === "over" ? "win" : "loss";
+          else if (actual < edge.line) outcome = side === "under" ? "win" : "loss";
+          const pnl = outcome === "win" ? americanToDecimal(odds) - 1 : outcome === "loss" ? -1 : 0;
+
+          // The pick follows the edge, which can disagree with the model's lean
+          const pSide = side === "over" ? edge.pOver : edge.pUnder;
+          const tier = opts.tierBy === "prob"
+            ? capTierByConfidence(pSide === null ? "C" : tierForProb(pSide), opts.shrink.on ? edge.confidence : null)
+            : edge.tier;
+          const pick = {
+            date,
+            source: prop.source,
+            playerId: edge.playerId,
+            playerName: edge.playerName || getPlayerNameFromLog(result) || "Unknown",
+            statType: edge.stat,
+            line: edge.line,
+            proj: edge.projection,
+            edge: edge.edge,
+            gp: edge.gamesUsed,
+            side,
+            odds,
+            pSide,
+            tier,
+            actual,
+            result: outcome,
+            pnl: Number(pnl.toFixed(4))
+          };
+
+          counts.graded++;
+          tally(overall, pick);
+          addToBucket(byTier, tier, pick);
+          addToBucket(byStat, edge.stat, pick);
+          addToBucket(bySource, prop.source, pick);
+          if (body.includePicks) picks.push(pick);
+        }
+      }
 
-      return res.json({
+      res.json({
         ok: true,
-        date,
-        upstream: { url, status: r.status },
-        received: items.length,
-        imported: normalized.length,
-        replaced
+        params: {
+          from: from || null,
+          to: to || null,
+          mode: opts.scheme.mode,
+          scheme: opts.scheme,
+          gamesUsed: opts.gamesN,
+          minEdge: opts.minEdge,
+          tierBy: opts.tierBy,
+          thresholds: opts.thresholds,
+          source: opts.sources.length === 1 ? opts.sources[0] : null,
+          projBy: opts.projBy,
+          oppAdjust: opts.oppAdjust,
+          shrink: opts.shrink,
+          usage: opts.usage,
+          phase: opts.phase,
+          injuries: opts.injuries
+        },
+        dates: slateDates,
+        counts,
+        overall: finishBucket(overall),
+        byTier: finishGroups(byTier),
+        byStat: finishGroups(byStat),
+        bySource: finishGroups(bySource),
+        ...(body.includePicks ? { picks } : {})
       });
-    } catch (e) {
-      return res.status(500).json({ ok: false, error: e.message || String(e) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
     }
   });
 })();
 
 // ===========================
-// PATCH BLOCK: Upgrade SGO import v2 to retry on HTTP 202
-// Adds /api/import/sgo-props-v2b (so no duplicates)
-// POST /api/import/sgo-props-v2b?date=YYYY-MM-DD&limit=50
-// Append-only.
+// NEXT BLOCK: Model picks + closing line value report
+//   POST /api/picks          flag edge rows as picks (line/price captured now)
+//   GET  /api/picks?date=
+//   GET  /api/reports/clv?from=&to=&kind=all|bets|picks
 // ===========================
 (function () {
-  if (globalThis.__PT_SGO_IMPORT_V2B__) return;
-  globalThis.__PT_SGO_IMPORT_V2B__ = true;
-
-  const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
-  if (!appRef) return;
+  if (globalThis.__PT_CLV__) return;
+  globalThis.__PT_CLV__ = true;
+
+  // Bets carry a book; line history is kept per source. Other books have no
+  // history of their own, so they get no closing line rather than another feed's.
+  function sourceForBook(book) {
+    const b = String(book || "").toLowerCase();
+    return PROP_COLLECTIONS[b] ? b : null;
+  }
 
-  const doFetch = (typeof fetch === "function") ? fetch : null;
-  if (!doFetch) return;
+  app.post("/api/picks", async (req, res) => {
+    try {
+      const body = req.body;
+      const rows = Array.isArray(body) ? body : Array.isArray(body?.picks) ? body.picks : body && typeof body === "object" ? [body] : [];
+      if (rows.length === 0) {
+        return res.status(400).json({ ok: false, error: "Body must be an edge row, an array of them, or { picks: [...] }" });
+      }
 
-  function isYMD(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
-  function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+      const out = await withDB(async (db) => {
+        const last = new Map();
+        for (const pt of db.lineHistory) last.set(`${pt.date}__${pt.source}__${pt.key}`, pt);
+        const seen = new Set(db.picks.map((p) => `${p.date}__${p.source}__${p.key}__${p.side}__${p.line}`));
+
+        const added = [];
+        const invalid = [];
+        let skipped = 0;
+        const now = new Date().toISOString();
+
+        for (const r of rows) {
+          if (!r || typeof r !== "object") continue;
+          const date = String(extractPropDate(r) || "");
+          const source = String(r.source || "sgo").toLowerCase();
+          const key = propLineKey(r);
+          const market = last.get(`${date}__${source}__${key}`) || null;
+
+          const line = extractPropLine(r) ?? market?.line ?? null;
+          const edge = Number(r.edge);
+          const side = ["over", "under"].includes(String(r.side || "").toLowerCase())
+            ? String(r.side).toLowerCase()
+            : r.lean || (Number.isFinite(edge) && edge !== 0 ? (edge > 0 ? "over" : "under") : null);
+
+          if (!isValidISODate(date) || !PROP_COLLECTIONS[source] || !normalizeStatType(r.statType) || line === null || !side) {
+            invalid.push(r);
+            continue;
+          }
 
-  function sgoUrl(date, limit) {
-    const base = (process.env.SGO_BASE_URL || "https://sportsgameodds.com").replace(/\/+$/, "");
-    const path = (process.env.SGO_PROPS_PATH || "/api/v1/nba/props").replace(/^\/?/, "/");
-    const qs = `date=${encodeURIComponent(date)}&limit=${encodeURIComponent(limit)}`;
-    return `${base}${path}?${qs}`;
-  }
+          const k = `${date}__${source}__${key}__${side}__${line}`;
+          if (seen.has(k)) { skipped++; continue; }
+          seen.add(k);
+
+          const rowOdds = extractPropOdds(r);
+          const odds = (side === "over" ? rowOdds.overOdds : rowOdds.underOdds) ??
+            (market && market.line === line ? (side === "over" ? market.overOdds : market.underOdds) : null);
+
+          const pick = {
+            id: crypto.randomUUID(),
+            pickedAt: now,
+            date,
+            source,
+            key,
+            playerId: r.playerId ? String(r.playerId) : null,
+            playerName: r.playerName || null,
+            team: r.team || null,
+            statType: r.statType,
+            side,
+            line,
+            odds: odds ?? null,
+            tier: r.tier || r.probTier || null,
+            proj: Number.isFinite(Number(r.proj)) ? Number(r.proj) : null,
+            edge: Number.isFinite(edge) ? edge : null,
+            startsAt: r.startsAt || market?.startsAt || null
+          };
+          db.picks.push(pick);
+          added.push(pick);
+        }
 
-  function normalizeProp(p, date) {
-    const playerName = p.playerName || p.player || p.name || null;
-    const playerId = p.playerId || p.player_id || p.id || null;
-    const team = p.team || p.teamAbbr || p.team_abbr || null;
+        return { added, invalid: invalid.length, skipped, total: db.picks.length };
+      });
 
-    const rawType = (p.statType || p.market || p.propType || p.type || "").toString().toLowerCase();
-    let statType = rawType;
-    if (rawType.includes("point")) statType = "points";
-    else if (rawType.includes("reb")) statType = "rebounds";
-    else if (rawType.includes("assist")) statType = "assists";
-    else if (rawType.includes("3") || rawType.includes("three")) statType = "3pm";
+      res.json({ ok: true, received: rows.length, added: out.added.length, skipped: out.skipped, invalid: out.invalid, total: out.total, picks: out.added });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-    const line = Number(p.line ?? p.value ?? p.propLine ?? p.points ?? p.number);
-    if (!playerName || !Number.isFinite(line)) return null;
+  app.get("/api/picks", async (req, res) => {
+    try {
+      const date = String(req.query.date || "").trim();
+      const picks = (await readCollection("picks", [])).filter((p) => !date || p.date === date);
+      res.json({ ok: true, date: date || null, count: picks.length, picks });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-    return { date, playerId: playerId ? String(playerId) : "", playerName: String(playerName), team: team ? String(team) : "", statType, line };
+  function emptyBucket() {
+    return { count: 0, withClose: 0, beat: 0, clvPointsSum: 0, clvPointsN: 0, clvProbSum: 0, clvProbN: 0 };
   }
 
-  function extractItems(json) {
-    return (
-      (json && Array.isArray(json.props) && json.props) ||
-      (json && Array.isArray(json.data) && json.data) ||
-      (json && Array.isArray(json.results) && json.results) ||
-      (json && Array.isArray(json.events) && json.events) ||
-      (Array.isArray(json) ? json : [])
-    );
+  function addToBucket(groups, key, row) {
+    if (!groups[key]) groups[key] = emptyBucket();
+    const b = groups[key];
+    b.count++;
+    if (row.closeLine === null) return;
+    b.withClose++;
+    if (row.clvPoints > 0 || (row.clvPoints === 0 && row.clvProb > 0)) b.beat++;
+    if (row.clvPoints !== null) { b.clvPointsSum += row.clvPoints; b.clvPointsN++; }
+    if (row.clvProb !== null) { b.clvProbSum += row.clvProb; b.clvProbN++; }
   }
 
-  async function fetchWithRetry(url, apiKey) {
-    // retry schedule: ~0.6s, 1s, 1.6s, 2.6s, 4.2s (total ~10s)
-    const waits = [600, 1000, 1600, 2600, 4200];
+  function finishGroups(groups) {
+    const out = {};
+    for (const k of Object.keys(groups).sort()) {
+      const b = groups[k];
+      out[k] = {
+        count: b.count,
+        withClose: b.withClose,
+        beatRate: b.withClose ? Number((b.beat / b.withClose).toFixed(4)) : null,
+        avgClvPoints: b.clvPointsN ? Number((b.clvPointsSum / b.clvPointsN).toFixed(3)) : null,
+        avgClvProb: b.clvProbN ? Number((b.clvProbSum / b.clvProbN).toFixed(4)) : null
+      };
+    }
+    return out;
+  }
 
-    for (let attempt = 0; attempt <= waits.length; attempt++) {
-      const r = await doFetch(url, {
-        method: "GET",
-        headers: { "Accept": "application/json", "x-api-key": apiKey }
-      });
+  app.get("/api/reports/clv", async (req, res) => {
+    try {
+      const from = String(req.query.from || "").trim();
+      const to = String(req.query.to || "").trim();
+      const kind = ["bets", "picks"].includes(String(req.query.kind || "").toLowerCase()) ? String(req.query.kind).toLowerCase() : "all";
+      const limit = Math.max(1, Number(req.query.limit || 200));
 
-      const text = await r.text();
-      let json = null;
-      try { json = text ? JSON.parse(text) : null; } catch {}
+      if ((from && !isValidISODate(from)) || (to && !isValidISODate(to))) {
+        return res.status(400).json({ ok: false, error: "Invalid from/to. Use YYYY-MM-DD." });
+      }
 
-      // If 202, wait and retry
-      if (r.status === 202 && attempt < waits.length) {
-        await sleep(waits[attempt]);
-        continue;
+      const db = { bets: await readCollection("bets", []), picks: await readCollection("picks", []) };
+      const inRange = (d) => (!from || d >= from) && (!to || d <= to);
+
+      const entries = [];
+      if (kind !== "picks") {
+        for (const b of db.bets) {
+          if (!b || !inRange(b.date) || b.status === "void") continue;
+          const source = sourceForBook(b.book);
+          entries.push({
+            kind: "bet", id: b.id, date: b.date, source, key: propLineKey(b), book: b.book || source,
+            playerId: b.playerId || null, playerName: b.playerName || null, statType: b.statType,
+            side: b.side, line: b.line, odds: b.odds, tier: b.tier || null, pickedAt: b.createdAt, startsAt: b.startsAt || null
+          });
+        }
+      }
+      if (kind !== "bets") {
+        for (const p of db.picks) {
+          if (!p || !inRange(p.date)) continue;
+          entries.push({
+            kind: "pick", id: p.id, date: p.date, source: p.source, key: p.key, book: p.source,
+            playerId: p.playerId, playerName: p.playerName, statType: p.statType,
+            side: p.side, line: p.line, odds: p.odds, tier: p.tier, pickedAt: p.pickedAt, startsAt: p.startsAt
+          });
+        }
       }
 
-      return { r, text, json };
-    }
+      // One history read per slate date
+      const seriesByDate = new Map();
+      for (const date of new Set(entries.map((e) => e.date))) {
+        const bySeries = new Map();
+        for (const s of groupLineHistory(await queryLineHistory({ date }))) bySeries.set(`${s.source}__${s.key}`, s.points);
+        seriesByDate.set(date, bySeries);
+      }
 
-    // should never reach
-    return null;
-  }
+      const byTier = {};
+      const byStat = {};
+      const byBook = {};
+      const overall = { all: emptyBucket() };
+      const rows = [];
+
+      for (const e of entries) {
+        const points = e.source ? seriesByDate.get(e.date).get(`${e.source}__${e.key}`) || [] : [];
+        const row = { ...e, ...computeClv(e, points), ...(e.source ? {} : { closingBasis: "unknown-book" }) };
+        rows.push(row);
+        addToBucket(overall, "all", row);
+        addToBucket(byTier, row.tier || "untiered", row);
+        addToBucket(byStat, normalizeStatType(row.statType) || String(row.statType || "unknown"), row);
+        addToBucket(byBook, row.book || "unknown", row);
+      }
 
-  appRef.post("/api/import/sgo-props-v2b", async (req, res) => {
-    try {
-      const date = String(req.query.date || "").trim();
-      const limit = Math.max(1, Math.min(500, Number(req.query.limit || 50)));
-      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+      rows.sort((a, b) => String(b.date).localeCompare(String(a.date)) || (b.clvPoints ?? -Infinity) - (a.clvPoints ?? -Infinity));
 
-      const apiKey = process.env.SGO_API_KEY;
-      if (!apiKey) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
+      res.json({
+        ok: true,
+        from: from || null,
+        to: to || null,
+        kind,
+        overall: finishGroups(overall).all,
+        byTier: finishGroups(byTier),
+        byStat: finishGroups(byStat),
+        byBook: finishGroups(byBook),
+        count: rows.length,
+        rows: rows.slice(0, limit)
+      });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+})();
 
-      const url = sgoUrl(date, limit);
-      const out = await fetchWithRetry(url, apiKey);
-      const r = out.r;
+// ===========================
+// NEXT BLOCK: Minutes model (projected minutes + manual overrides)
+//   GET    /api/nba/minutes?games=&playerId=&date=
+//   PUT    /api/nba/minutes/:playerId   { minutes, note, date?, until? }
+//   DELETE /api/nba/minutes/:playerId
+// ===========================
+(function () {
+  if (globalThis.__PT_MINUTES__) return;
+  globalThis.__PT_MINUTES__ = true;
 
-      if (!r.ok && r.status !== 202) {
-        return res.status(502).json({
-          ok: false,
-          error: "SGO upstream error",
-          upstream: { url, status: r.status, statusText: r.statusText, preview: (out.text || "").slice(0, 200) }
-        });
+  app.get("/api/nba/minutes", async (req, res) => {
+    try {
+      const gamesN = Math.max(1, Number(req.query.games || 10));
+      const playerId = String(req.query.playerId || "").trim();
+      const date = String(req.query.date || "").trim() || getTodayET(); // overrides in force on this slate
+      if (!isValidISODate(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD (or omit date)." });
+
+      const logs = await queryGameLogs(playerId ? { playerIds: [playerId] } : {});
+      const overrides = await readCollection("minutesOverrides", {});
+
+      const byPlayer = new Map();
+      for (const g of logs) {
+        if (!g || !g.playerId) continue;
+        if (!byPlayer.has(g.playerId)) byPlayer.set(g.playerId, []);
+        byPlayer.get(g.playerId).push(g); // already newest first
       }
 
-      // If still 202 after retries
-      if (r.status === 202) {
-        return res.status(202).json({
-          ok: false,
-          error: "SGO is still processing this request. Try again in 10–30 seconds.",
-          upstream: { url, status: r.status, statusText: r.statusText, preview: (out.text || "").slice(0, 200) }
+      const players = [];
+      for (const [pid, arr] of byPlayer.entries()) {
+        const override = minutesOverrideFor(overrides, pid, date);
+        const m = projectMinutes(arr, gamesN, override);
+        players.push({
+          playerId: pid,
+          playerName: arr[0].playerName || null,
+          minutesProj: m ? Number(m.minutes.toFixed(2)) : null,
+          minutesBasis: m ? m.basis : null,
+          recentMinutes: m && m.recentMinutes !== null ? Number(m.recentMinutes.toFixed(2)) : null,
+          gamesWithMinutes: m ? m.gp : 0,
+          lastMinutes: arr.slice(0, gamesN).map((g) => loggedMinutes(g)),
+          override
         });
       }
+      players.sort((a, b) => (b.minutesProj ?? -1) - (a.minutesProj ?? -1));
 
-      const items = extractItems(out.json);
-      const normalized = [];
-      for (const it of items) {
-        const n = normalizeProp(it, date);
-        if (n) normalized.push(n);
-      }
+      res.json({ ok: true, date, gamesUsed: gamesN, count: players.length, players });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      const db = await readDB();
-      if (!Array.isArray(db.sgoPropLines)) db.sgoPropLines = [];
+  // Override replaces projected minutes in every projection and edge endpoint: for
+  // one slate with `date`, through `until`, otherwise until deleted
+  app.put("/api/nba/minutes/:playerId", async (req, res) => {
+    try {
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const minutes = Number(body.minutes);
+      if (body.minutes === null || body.minutes === "" || !Number.isFinite(minutes) || minutes < 0 || minutes > 60) {
+        return res.status(400).json({ ok: false, error: "minutes must be a number between 0 and 60" });
+      }
+      const date = body.date ? String(body.date).trim() : undefined;
+      const until = body.until ? String(body.until).trim() : undefined;
+      if ((date && !isValidISODate(date)) || (until && !isValidISODate(until))) {
+        return res.status(400).json({ ok: false, error: "Invalid date/until. Use YYYY-MM-DD." });
+      }
+      if (date && until) return res.status(400).json({ ok: false, error: "Use date (one slate) or until (through a slate), not both" });
 
-      const before = db.sgoPropLines.length;
-      db.sgoPropLines = db.sgoPropLines.filter((p) => p && p.date !== date);
-      const replaced = before - db.sgoPropLines.length;
+      const override = await withDB(async (db) => {
+        const playerId = String(req.params.playerId);
+        db.minutesOverrides[playerId] = {
+          playerId,
+          playerName: body.playerName ? String(body.playerName).trim() : undefined,
+          minutes,
+          date,
+          until,
+          note: body.note ? String(body.note) : undefined,
+          setAt: new Date().toISOString()
+        };
+        return db.minutesOverrides[playerId];
+      });
 
-      db.sgoPropLines.push(...normalized);
-      await writeDB(db);
+      res.json({ ok: true, override });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      return res.json({
-        ok: true,
-        date,
-        upstream: { url, status: r.status },
-        received: items.length,
-        imported: normalized.length,
-        replaced
+  app.delete("/api/nba/minutes/:playerId", async (req, res) => {
+    try {
+      const removed = await withDB(async (db, tx) => {
+        const playerId = String(req.params.playerId);
+        if (!db.minutesOverrides[playerId]) { tx.skipWrite = true; return false; }
+        delete db.minutesOverrides[playerId];
+        return true;
       });
-    } catch (e) {
-      return res.status(500).json({ ok: false, error: e.message || String(e) });
+      if (!removed) return res.status(404).json({ ok: false, error: "No override for that player" });
+      res.json({ ok: true, removed: req.params.playerId });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
     }
   });
 })();
 
 // ===========================
-// DEBUG BLOCK: Probe SGO endpoints to find JSON (no captcha)
-// GET /api/dev/sgo/probe?date=YYYY-MM-DD
-// Append-only.
+// NEXT BLOCK: Opponent adjustment (matchups + opponent factors)
+//   GET  /api/nba/matchups?date=YYYY-MM-DD
+//   POST /api/nba/matchups   { date, games: [{ homeTeam, awayTeam, startsAt? }] }  (stored as games)
+//   GET  /api/nba/opponent-factors?team=&stat=&position=
 // ===========================
 (function () {
-  if (globalThis.__PT_SGO_PROBE__) return;
-  globalThis.__PT_SGO_PROBE__ = true;
+  if (globalThis.__PT_OPPONENT__) return;
+  globalThis.__PT_OPPONENT__ = true;
 
-  const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
-  if (!appRef) return;
-
-  const doFetch = (typeof fetch === "function") ? fetch : null;
-  if (!doFetch) return;
+  app.get("/api/nba/matchups", async (req, res) => {
+    try {
+      const date = String(req.query.date || "").trim() || getTodayET();
+      if (!isValidISODate(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+
+      const map = await matchupsForDate(date);
+      const teams = [...map.entries()]
+        .map(([team, m]) => ({ team, opponent: m.opponent, home: m.home, startsAt: m.startsAt, gameId: m.gameId || null }))
+        .sort((a, b) => a.team.localeCompare(b.team));
+      res.json({ ok: true, date, count: teams.length, teams });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-  function isYMD(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
+  app.post("/api/nba/matchups", async (req, res) => {
+    try {
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const date = String(body.date || "").trim();
+      const games = Array.isArray(body.games) ? body.games : [];
+      if (!isValidISODate(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+      if (games.length === 0) return res.status(400).json({ ok: false, error: "games must be a non-empty array of { homeTeam, awayTeam }" });
+
+      const { added, total, linked } = await withDB(async (db) => {
+        const added = upsertGames(db, games.map((g) => ({ ...g, date })), "manual", date).upserted;
+        const linked = linkAllPropsToGames(db);
+        return { added, total: Object.values(db.games).filter((g) => g.date === date).length, linked };
+      });
+      res.json({ ok: true, date, received: games.length, added, total, linked });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-  appRef.get("/api/dev/sgo/probe", async (req, res) => {
+  app.get("/api/nba/opponent-factors", async (req, res) => {
     try {
-      const date = String(req.query.date || "").trim();
-      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+      const team = normTeam(req.query.team);
+      const stat = req.query.stat ? normalizeStatType(req.query.stat) : null;
+      const position = req.query.position ? positionGroup(req.query.position) : null;
+      if (req.query.stat && !stat) return res.status(400).json({ ok: false, error: `Unsupported stat: ${req.query.stat}` });
+
+      const all = await opponentFactors();
+      const teams = Object.entries(all)
+        .filter(([opp]) => !team || opp === team)
+        .map(([opp, f]) => {
+          const pick = (obj) => (stat ? { [stat]: obj[stat] ?? 1 } : obj);
+          return {
+            team: opp,
+            games: f.games,
+            factors: pick(f.factors),
+            ...(position ? { position, positionFactors: pick(f.byPosition[position] || {}) } : { byPosition: Object.fromEntries(Object.entries(f.byPosition).map(([pos, obj]) => [pos, pick(obj)])) })
+          };
+        })
+        .sort((a, b) => a.team.localeCompare(b.team));
 
-      const apiKey = process.env.SGO_API_KEY;
-      if (!apiKey) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
+      res.json({
+        ok: true,
+        priorGames: OPP_FACTOR_PRIOR_GAMES,
+        bounds: [OPP_FACTOR_MIN, OPP_FACTOR_MAX],
+        count: teams.length,
+        teams
+      });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+})();
 
-      const candidates = [
-        // host variations + path variations
-        (d) => `https://api.sportsgameodds.com/api/v1/nba/props?date=${d}&limit=5`,
-        (d) => `https://api.sportsgameodds.com/v1/nba/props?date=${d}&limit=5`,
-        (d) => `https://api.sportsgameodds.com/v1/odds/props?date=${d}&limit=5`,
-        (d) => `https://api.sportsgameodds.com/api/v1/odds/props?date=${d}&limit=5`,
-        (d) => `https://sportsgameodds.com/api/v1/nba/props?date=${d}&limit=5`,
-        (d) => `https://sportsgameodds.com/api/v1/odds/props?date=${d}&limit=5`
-      ];
+// ===========================
+// NEXT BLOCK: Player splits
+//   GET /api/nba/players/:playerId/splits?lastN=10&from=&to=&date=
+//   date (optional): also return the situation of that day's game and its factors
+// ===========================
+(function () {
+  if (globalThis.__PT_SPLITS__) return;
+  globalThis.__PT_SPLITS__ = true;
 
-      const results = [];
-      for (const makeUrl of candidates) {
-        const url = makeUrl(encodeURIComponent(date));
-        let status = null, ct = null, preview = null, looksJson = false, hasCaptcha = false;
+  app.get("/api/nba/players/:playerId/splits", async (req, res) => {
+    try {
+      const playerId = String(req.params.playerId);
+      const lastN = Math.max(1, Number(req.query.lastN || 10));
+      const from = String(req.query.from || "").trim();
+      const to = String(req.query.to || "").trim();
+      const date = String(req.query.date || "").trim();
+      for (const [name, v] of [["from", from], ["to", to], ["date", date]]) {
+        if (v && !isValidISODate(v)) return res.status(400).json({ ok: false, error: `Invalid ${name}. Use YYYY-MM-DD.` });
+      }
 
-        try {
-          const r = await doFetch(url, {
-            method: "GET",
-            headers: { "Accept": "application/json", "x-api-key": apiKey }
-          });
-          status = r.status;
-          ct = (r.headers.get("content-type") || "").toLowerCase();
-          const text = await r.text();
-          preview = text.slice(0, 160);
-          looksJson = ct.includes("application/json") || preview.trim().startsWith("{") || preview.trim().startsWith("[");
-          hasCaptcha = preview.includes("sgcaptcha") || text.includes("/.well-known/sgcaptcha");
-        } catch (e) {
-          preview = `fetch error: ${e.message || String(e)}`;
+      const games = await queryGameLogs({ playerIds: [playerId], from: from || undefined, to: to || undefined });
+      if (games.length === 0) return res.status(404).json({ ok: false, error: "No game logs for that player" });
+
+      let upcoming = null;
+      if (date) {
+        const past = games.filter((g) => String(g.gameDate) < date);
+        const info = rosterInfoForGames(await loadRoster(), games, date);
+        const situation = upcomingSituation(past, date, await matchupsForDate(date), info);
+        const factors = {};
+        for (const d of STAT_REGISTRY) {
+          if (!d.combo && !d.binary) factors[d.field] = situationFactorFor(past, situation, d.code);
         }
-
-        results.push({ url, status, contentType: ct, looksJson, hasCaptcha, preview });
+        upcoming = { date, ...situation, factors };
       }
 
-      res.json({ ok: true, date, results });
-    } catch (e) {
-      res.status(500).json({ ok: false, error: e.message || String(e) });
+      res.json({
+        ok: true,
+        playerId,
+        playerName: latestLogField(games, "playerName"),
+        from: from || null,
+        to: to || null,
+        splits: computeSplits(games, lastN),
+        upcoming
+      });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
     }
   });
-
-  console.log("[sgo-probe] route registered: GET /api/dev/sgo/probe");
 })();
 
 // ===========================
-// PATCH BLOCK: SGO v3 import via api.sportsgameodds.com/v2/events (no captcha)
-// Adds:
-//   GET  /api/dev/sgo/events-debug?date=YYYY-MM-DD&limit=3
-//   POST /api/import/sgo-props-v3?date=YYYY-MM-DD&limit=200
-// Append-only.
+// NEXT BLOCK: Player registry (canonical ids + per-source aliases)
+//   GET  /api/players?q=&source=&limit=
+//   GET  /api/players/resolve?source=&playerId=&name=&team=
+//   GET  /api/players/review?status=open|resolved|dismissed|all
+//   POST /api/players/review/:reviewId  { playerId } | { create: true } | { dismiss: true }
+//   POST /api/players/rebuild           re-register every stored row
+//   GET  /api/players/:id
+//   POST /api/players/:id/aliases       { source, sourceId?, name? }
 // ===========================
 (function () {
-  if (globalThis.__PT_SGO_V3__) return;
-  globalThis.__PT_SGO_V3__ = true;
+  if (globalThis.__PT_PLAYERS__) return;
+  globalThis.__PT_PLAYERS__ = true;
 
-  const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
-  if (!appRef) return;
+  function parseSource(v) {
+    const source = String(v || "").trim().toLowerCase();
+    return playerSources().includes(source) ? source : null;
+  }
 
-  const doFetch = (typeof fetch === "function") ? fetch : null;
-  if (!doFetch) return;
+  app.get("/api/players", async (req, res) => {
+    try {
+      const q = normPlayerName(req.query.q);
+      const source = req.query.source ? parseSource(req.query.source) : null;
+      if (req.query.source && !source) return res.status(400).json({ ok: false, error: `source must be one of ${playerSources().join(", ")}` });
+      const limit = Math.max(1, Number(req.query.limit || 200));
+
+      const players = Object.values(await readCollection("players", {}))
+        .filter((p) => !q || p.normName.includes(q) || p.aliases.some((a) => normPlayerName(a.name).includes(q)))
+        .filter((p) => !source || p.aliases.some((a) => a.source === source))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+      res.json({ ok: true, count: players.length, players: players.slice(0, limit) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-  function isYMD(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
+  app.get("/api/players/resolve", async (req, res) => {
+    try {
+      const source = parseSource(req.query.source || "hardrock");
+      if (!source) return res.status(400).json({ ok: false, error: `source must be one of ${playerSources().join(", ")}` });
+      const row = { playerId: req.query.playerId, playerName: req.query.name, team: req.query.team };
+      if (!row.playerId && !row.playerName) return res.status(400).json({ ok: false, error: "playerId or name is required" });
+
+      const idx = buildPlayerIndex(await readCollection("players", {}));
+      const ref = playerRef(source, row);
+      const id = resolvePlayerRef(idx, ref);
+      const candidates = id ? [] : playerCandidates(idx, ref);
+      res.json({
+        ok: true,
+        ref,
+        ptPlayerId: id,
+        player: id ? idx.players[id] : null,
+        ambiguous: candidates.length > 1,
+        candidates: candidates.map((c) => idx.players[c])
+      });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-  // Minimal ET date filter (best-effort) using UTC midnight boundaries.
-  // Good enough to group props by requested date.
-  function toDateKeyUTC(isoLike) {
-    const d = new Date(isoLike);
-    if (Number.isNaN(d.getTime())) return null;
-    return d.toISOString().slice(0, 10);
-  }
+  app.get("/api/players/review", async (req, res) => {
+    try {
+      const status = String(req.query.status || "open").toLowerCase();
+      const players = await readCollection("players", {});
+      const items = (await readCollection("playerReview", []))
+        .filter((r) => status === "all" || r.status === status)
+        .map((r) => ({ ...r, candidates: r.candidates.map((id) => players[id] || { id, missing: true }) }));
+      res.json({ ok: true, status, count: items.length, items });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+
+  app.post("/api/players/review/:reviewId", async (req, res) => {
+    try {
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const out = await withDB(async (db, tx) => {
+        const item = db.playerReview.find((r) => r.id === req.params.reviewId);
+        if (!item) { tx.skipWrite = true; return { status: 404, error: "Review item not found" }; }
+        if (item.status !== "open") { tx.skipWrite = true; return { status: 409, error: `Review item already ${item.status}` }; }
+
+        const ref = { source: item.source, sourceId: item.sourceId, name: item.name, normName: item.normName, team: item.team };
+        if (body.dismiss) {
+          item.status = "dismissed";
+        } else if (body.create) {
+          item.resolvedTo = createPlayer(db, ref).id;
+          item.status = "resolved";
+        } else {
+          const target = db.players[String(body.playerId || "")];
+          if (!target) { tx.skipWrite = true; return { status: 400, error: "Body needs { playerId } of an existing player, { create: true } or { dismiss: true }" }; }
+          addPlayerAlias(target, ref);
+          item.resolvedTo = target.id;
+          item.status = "resolved";
+        }
+        item.resolvedAt = new Date().toISOString();
+
+        // Stamp the rows that were waiting on this decision
+        const restamped = registerAllPlayers(db);
+        return { item, restamped };
+      });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      res.json({ ok: true, ...out });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+
+  app.post("/api/players/rebuild", async (req, res) => {
+    try {
+      const result = await withDB(async (db) => {
+        const r = registerAllPlayers(db);
+        return { ...r, players: Object.keys(db.players).length, openReview: db.playerReview.filter((x) => x.status === "open").length };
+      });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+
+  app.get("/api/players/:id", async (req, res) => {
+    try {
+      const player = (await readCollection("players", {}))[req.params.id];
+      if (!player) return res.status(404).json({ ok: false, error: "Player not found" });
+      res.json({ ok: true, player });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-  function pick(obj, keys) {
-    for (const k of keys) {
-      if (obj && Object.prototype.hasOwnProperty.call(obj, k)) return obj[k];
+  app.post("/api/players/:id/aliases", async (req, res) => {
+    try {
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const source = parseSource(body.source);
+      if (!source) return res.status(400).json({ ok: false, error: `source must be one of ${playerSources().join(", ")}` });
+      const ref = playerRef(source, { playerId: body.sourceId, playerName: body.name });
+      if (!ref.sourceId && !ref.normName) return res.status(400).json({ ok: false, error: "sourceId or name is required" });
+
+      const out = await withDB(async (db, tx) => {
+        const player = db.players[req.params.id];
+        if (!player) { tx.skipWrite = true; return { status: 404, error: "Player not found" }; }
+        const owner = buildPlayerIndex(db.players).byAlias.get(playerAliasKey(ref.source, ref.sourceId, ref.normName));
+        if (owner && owner !== player.id) { tx.skipWrite = true; return { status: 409, error: `Alias already belongs to ${owner}` }; }
+
+        addPlayerAlias(player, ref);
+        const restamped = registerAllPlayers(db);
+        return { player, restamped };
+      });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      res.json({ ok: true, ...out });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
     }
-    return undefined;
-  }
+  });
+})();
 
-  function buildEventsUrl(limit) {
-    // Per SGO docs/examples, use /v2/events with leagueID + oddsAvailable. 1
-    const base = "https://api.sportsgameodds.com";
-    const qs = new URLSearchParams({
-      leagueID: "NBA",
-      oddsAvailable: "true",
-      limit: String(limit || 10),
-    });
-    return `${base}/v2/events?${qs.toString()}`;
-  }
+// ===========================
+// NEXT BLOCK: Teams + rosters (reference data, effective-dated memberships)
+//   GET    /api/teams?date=
+//   PUT    /api/teams/:abbr                  { name?, city?, conference?, division? }
+//   DELETE /api/teams/:abbr
+//   GET    /api/teams/:abbr/roster?date=
+//   GET    /api/roster?date=&team=           everyone on a roster on date (default today ET)
+//   POST   /api/roster/import                JSON rows / { rows, source?, from? } / CSV:
+//                                            playerId?, playerName, team, position?, from?
+//   GET    /api/roster/memberships?playerId=
+//   POST   /api/roster/memberships           { playerId, team, from?, to? } (a trade closes the old stint)
+//   PUT    /api/roster/memberships/:id       { team?, from?, to? }
+//   DELETE /api/roster/memberships/:id
+//   PUT    /api/players/:id/position         { position }
+// ===========================
+(function () {
+  if (globalThis.__PT_ROSTER__) return;
+  globalThis.__PT_ROSTER__ = true;
 
-  function extractEvents(json) {
-    return (
-      (json && Array.isArray(json.data) && json.data) ||
-      (json && Array.isArray(json.events) && json.events) ||
-      (Array.isArray(json) ? json : [])
-    );
+  function parseDateParam(v) {
+    const d = String(v ?? "").trim();
+    if (!d) return { date: null };
+    return isValidISODate(d) ? { date: d } : { error: "Invalid date. Use YYYY-MM-DD." };
   }
 
-  function extractOddsFromEvent(ev) {
-    return (
-      (ev && Array.isArray(ev.odds) && ev.odds) ||
-      (ev && Array.isArray(ev.lines) && ev.lines) ||
-      (ev && Array.isArray(ev.markets) && ev.markets) ||
-      []
-    );
+  function normalizeRosterRow(r) {
+    if (!r || typeof r !== "object") return null;
+    const playerId = r.playerId ?? r.player_id ?? r.PLAYER_ID ?? r.PERSON_ID ?? null;
+    const playerName = r.playerName ?? r.player_name ?? r.PLAYER ?? r.PLAYER_NAME ?? r.name ?? "";
+    const team = normTeam(r.team ?? r.teamAbbr ?? r.TEAM_ABBREVIATION ?? r.TEAM ?? "");
+    const position = String(r.position ?? r.pos ?? r.POSITION ?? "").trim().toUpperCase();
+    const from = String(r.from ?? r.since ?? r.effectiveFrom ?? "").trim();
+    if (!team || (!playerId && !String(playerName).trim())) return null;
+    if (from && !isValidISODate(from)) return null;
+    return {
+      playerId: playerId ? String(playerId) : undefined,
+      playerName: String(playerName || "").trim() || undefined,
+      team,
+      position: position || undefined,
+      from: from || undefined
+    };
   }
 
-  // Normalize odds → our sgoPropLines schema
-  function normalizeOddToProp(odd, dateKey) {
-    // We only keep entries that look like player props:
-    const playerName = pick(odd, ["playerName", "player", "player_name", "name"]);
-    const playerId = pick(odd, ["playerID", "playerId", "player_id"]);
-    const team = pick(odd, ["team", "teamAbbr", "team_abbr"]);
-    const lineRaw = pick(odd, ["line", "value", "propLine", "points", "number"]);
-    const statRaw = String(pick(odd, ["statType", "market", "oddID", "type", "propType"]) || "").toLowerCase();
-
-    const line = Number(lineRaw);
-    if (!playerName || !Number.isFinite(line)) return null;
+  // Everyone on a roster on `date`: [{ playerId, playerName, team, position, from, to, logIds }]
+  function rosterOn(players, memberships, date, team) {
+    const out = [];
+    for (const m of memberships) {
+      if (team && m.team !== team) continue;
+      if (!membershipCovers(m, date)) continue;
+      const p = players[m.playerId] || {};
+      out.push({
+        playerId: m.playerId,
+        playerName: p.name || null,
+        team: m.team,
+        position: p.position || null,
+        from: m.from,
+        to: m.to,
+        logIds: (p.aliases || []).filter((a) => a.source === "logs" && a.sourceId).map((a) => a.sourceId)
+      });
+    }
+    return out.sort((a, b) => a.team.localeCompare(b.team) || String(a.playerName).localeCompare(String(b.playerName)));
+  }
 
-    // Stat type mapping (best-effort)
-    let statType = statRaw;
-    if (statRaw.includes("point")) statType = "points";
-    else if (statRaw.includes("reb")) statType = "rebounds";
-    else if (statRaw.includes("assist")) statType = "assists";
-    else if (statRaw.includes("3") || statRaw.includes("three")) statType = "3pm";
+  app.get("/api/teams", async (req, res) => {
+    try {
+      const { date, error } = parseDateParam(req.query.date);
+      if (error) return res.status(400).json({ ok: false, error });
+      const on = date || getTodayET();
+
+      const teams = await readCollection("teams", {});
+      const members = rosterOn(await readCollection("players", {}), await readCollection("teamMemberships", []), on, null);
+      const counts = new Map();
+      for (const m of members) counts.set(m.team, (counts.get(m.team) || 0) + 1);
+
+      const abbrs = new Set([...Object.keys(teams), ...counts.keys()]);
+      const list = Array.from(abbrs)
+        .sort()
+        .map((abbr) => ({ abbr, name: null, city: null, conference: null, division: null, ...(teams[abbr] || {}), players: counts.get(abbr) || 0 }));
+      res.json({ ok: true, date: on, count: list.length, teams: list });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-    return {
-      date: dateKey,
-      playerId: playerId ? String(playerId) : "",
-      playerName: String(playerName),
-      statType,
-      line,
-      team: team ? String(team) : ""
-    };
-  }
+  app.put("/api/teams/:abbr", async (req, res) => {
+    try {
+      const abbr = normTeam(req.params.abbr);
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const team = await withDB(async (db) => {
+        const prev = db.teams[abbr] || { abbr };
+        const next = { ...prev };
+        for (const k of ["name", "city", "conference", "division"]) {
+          if (body[k] !== undefined) next[k] = body[k] === null ? null : String(body[k]).trim();
+        }
+        next.updatedAt = new Date().toISOString();
+        db.teams[abbr] = next;
+        return next;
+      });
+      res.json({ ok: true, team });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-  // Debug: show us actual structure from /v2/events
-  appRef.get("/api/dev/sgo/events-debug", async (req, res) => {
+  app.delete("/api/teams/:abbr", async (req, res) => {
     try {
-      const date = String(req.query.date || "").trim();
-      const limit = Math.max(1, Math.min(10, Number(req.query.limit || 3)));
+      const abbr = normTeam(req.params.abbr);
+      const out = await withDB(async (db, tx) => {
+        if (db.teamMemberships.some((m) => m.team === abbr && !m.to)) {
+          tx.skipWrite = true;
+          return { status: 409, error: `${abbr} still has players on its roster` };
+        }
+        if (!db.teams[abbr]) { tx.skipWrite = true; return { status: 404, error: "Team not found" }; }
+        delete db.teams[abbr];
+        return {};
+      });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      res.json({ ok: true, deleted: abbr });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+  app.get("/api/teams/:abbr/roster", async (req, res) => {
+    try {
+      const abbr = normTeam(req.params.abbr);
+      const { date, error } = parseDateParam(req.query.date);
+      if (error) return res.status(400).json({ ok: false, error });
+      const on = date || getTodayET();
+      const team = (await readCollection("teams", {}))[abbr] || null;
+      const players = rosterOn(await readCollection("players", {}), await readCollection("teamMemberships", []), on, abbr);
+      res.json({ ok: true, team: team || { abbr }, date: on, count: players.length, players });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      const apiKey = process.env.SGO_API_KEY;
-      if (!apiKey) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
+  app.get("/api/roster", async (req, res) => {
+    try {
+      const { date, error } = parseDateParam(req.query.date);
+      if (error) return res.status(400).json({ ok: false, error });
+      const on = date || getTodayET();
+      const team = req.query.team ? normTeam(req.query.team) : null;
+      const players = rosterOn(await readCollection("players", {}), await readCollection("teamMemberships", []), on, team);
+      res.json({ ok: true, date: on, team, count: players.length, players });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      const url = buildEventsUrl(limit);
+  app.post("/api/roster/import", express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }), async (req, res) => {
+    try {
+      let rows = [];
+      if (typeof req.body === "string") rows = parseCSV(req.body);
+      else if (Array.isArray(req.body)) rows = req.body;
+      else if (req.body && Array.isArray(req.body.rows)) rows = req.body.rows;
+      const opts = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+      const source = String(opts.source || req.query.source || "logs").toLowerCase(); // whose ids the rows carry
+      if (!playerSources().includes(source)) return res.status(400).json({ ok: false, error: `source must be one of ${playerSources().join(", ")}` });
+      const defaultFrom = String(opts.from || req.query.from || "").trim();
+      if (defaultFrom && !isValidISODate(defaultFrom)) return res.status(400).json({ ok: false, error: "Invalid from. Use YYYY-MM-DD." });
+
+      if (rows.length === 0) {
+        return res.status(400).json({ ok: false, error: "Body must be an array of roster rows or CSV text with a header row" });
+      }
 
-      const r = await doFetch(url, {
-        method: "GET",
-        headers: { "Accept": "application/json", "X-Api-Key": apiKey },
+      // Same rule as injuries: rows attach to existing registry players, never create them
+      const result = await withDB(async (db) => {
+        const out = { added: 0, moved: 0, unchanged: 0, positions: 0, invalid: 0, unresolved: [], errors: [] };
+        const idx = buildPlayerIndex(db.players);
+        for (const r of rows) {
+          const row = normalizeRosterRow(r);
+          if (!row) { out.invalid++; continue; }
+
+          const id = (row.playerId && db.players[row.playerId] && row.playerId) || resolvePlayerRow(idx, source, row);
+          const player = id ? db.players[id] : null;
+          if (!player) {
+            out.unresolved.push({ playerId: row.playerId || null, playerName: row.playerName || null, reason: unresolvedPlayerReason(idx, source, row) });
+            continue;
+          }
+          if (row.position && player.position !== row.position) {
+            player.position = row.position;
+            out.positions++;
+          }
+          try {
+            const m = addMembership(db, { playerId: player.id, team: row.team, from: row.from || defaultFrom || null, source: "import" });
+            if (!m.changed) out.unchanged++;
+            else if (m.closed) out.moved++;
+            else out.added++;
+          } catch (e) {
+            out.errors.push({ playerId: player.id, error: e.message });
+          }
+        }
+        return out;
       });
 
-      const text = await r.text();
-      let json = null;
-      try { json = text ? JSON.parse(text) : null; } catch {}
+      res.json({ ok: true, received: rows.length, ...result });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      const events = extractEvents(json);
-      const sampleEvent = events[0] || null;
-      const sampleOdds = sampleEvent ? extractOddsFromEvent(sampleEvent).slice(0, 3) : [];
+  app.get("/api/roster/memberships", async (req, res) => {
+    try {
+      const playerId = String(req.query.playerId || "").trim();
+      const memberships = (await readCollection("teamMemberships", []))
+        .filter((m) => !playerId || m.playerId === playerId)
+        .sort((a, b) => a.playerId.localeCompare(b.playerId) || String(a.from || "").localeCompare(String(b.from || "")));
+      res.json({ ok: true, count: memberships.length, memberships });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      return res.json({
-        ok: true,
-        upstream: { url, status: r.status, statusText: r.statusText },
-        shape: json && typeof json === "object" ? Object.keys(json).slice(0, 30) : typeof json,
-        eventsFound: events.length,
-        sample: {
-          eventKeys: sampleEvent ? Object.keys(sampleEvent).slice(0, 40) : [],
-          oddsFoundInFirstEvent: sampleEvent ? extractOddsFromEvent(sampleEvent).length : 0,
-          oddKeys: sampleOdds[0] ? Object.keys(sampleOdds[0]).slice(0, 40) : [],
-          oddsPreview: sampleOdds
-        },
-        textPreview: text.slice(0, 200)
+  app.post("/api/roster/memberships", async (req, res) => {
+    try {
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const playerId = String(body.playerId || "").trim();
+      const team = normTeam(body.team);
+      const from = String(body.from || "").trim() || null;
+      const to = String(body.to || "").trim() || null;
+      if (!playerId || !team) return res.status(400).json({ ok: false, error: "playerId (registry id) and team are required" });
+      if ((from && !isValidISODate(from)) || (to && !isValidISODate(to))) return res.status(400).json({ ok: false, error: "Invalid from/to. Use YYYY-MM-DD." });
+      if (from && to && to < from) return res.status(400).json({ ok: false, error: "to must be on or after from" });
+
+      const out = await withDB(async (db, tx) => {
+        if (!db.players[playerId]) { tx.skipWrite = true; return { status: 404, error: "Player not found" }; }
+        try {
+          const m = addMembership(db, { playerId, team, from, to, source: "manual" });
+          if (!m.changed) tx.skipWrite = true;
+          return m;
+        } catch (e) {
+          tx.skipWrite = true;
+          return { status: 409, error: e.message };
+        }
       });
-    } catch (e) {
-      return res.status(500).json({ ok: false, error: e.message || String(e) });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      res.json({ ok: true, ...out });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
     }
   });
 
-  // Import: pulls events, filters to requested dateKey (UTC key best-effort), extracts player props-ish odds
-  appRef.post("/api/import/sgo-props-v3", async (req, res) => {
+  app.put("/api/roster/memberships/:id", async (req, res) => {
     try {
-      const date = String(req.query.date || "").trim();
-      const limit = Math.max(1, Math.min(500, Number(req.query.limit || 200)));
-
-      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
-
-      const apiKey = process.env.SGO_API_KEY;
-      if (!apiKey) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      for (const k of ["from", "to"]) {
+        if (body[k] && !isValidISODate(String(body[k]))) return res.status(400).json({ ok: false, error: `Invalid ${k}. Use YYYY-MM-DD.` });
+      }
 
-      const url = buildEventsUrl(Math.max(10, Math.min(200, limit)));
+      const out = await withDB(async (db, tx) => {
+        const m = db.teamMemberships.find((x) => x.id === req.params.id);
+        if (!m) { tx.skipWrite = true; return { status: 404, error: "Membership not found" }; }
+        const next = { ...m };
+        if (body.team !== undefined) next.team = normTeam(body.team);
+        if (body.from !== undefined) next.from = body.from ? String(body.from) : null;
+        if (body.to !== undefined) next.to = body.to ? String(body.to) : null;
+        if (!next.team) { tx.skipWrite = true; return { status: 400, error: "team can't be empty" }; }
+        if (next.from && next.to && next.to < next.from) { tx.skipWrite = true; return { status: 400, error: "to must be on or after from" }; }
+
+        const overlaps = db.teamMemberships.some((x) =>
+          x.id !== m.id && x.playerId === m.playerId &&
+          (!x.to || !next.from || x.to >= next.from) && (!next.to || !x.from || next.to >= x.from));
+        if (overlaps) { tx.skipWrite = true; return { status: 409, error: "Dates overlap another stint for this player" }; }
+
+        Object.assign(m, next, { updatedAt: new Date().toISOString() });
+        return { membership: m };
+      });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      res.json({ ok: true, ...out });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      const r = await doFetch(url, {
-        method: "GET",
-        headers: { "Accept": "application/json", "X-Api-Key": apiKey },
+  app.delete("/api/roster/memberships/:id", async (req, res) => {
+    try {
+      const deleted = await withDB(async (db, tx) => {
+        const i = db.teamMemberships.findIndex((x) => x.id === req.params.id);
+        if (i < 0) { tx.skipWrite = true; return null; }
+        return db.teamMemberships.splice(i, 1)[0];
       });
+      if (!deleted) return res.status(404).json({ ok: false, error: "Membership not found" });
+      res.json({ ok: true, deleted });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      const text = await r.text();
-      let json = null;
-      try { json = text ? JSON.parse(text) : null; } catch {}
+  app.put("/api/players/:id/position", async (req, res) => {
+    try {
+      const position = String((req.body && req.body.position) || "").trim().toUpperCase();
+      if (!positionGroup(position)) return res.status(400).json({ ok: false, error: "position must be a guard/forward/center code (PG, SG, G, SF, PF, F, C, G-F, ...)" });
+
+      const player = await withDB(async (db, tx) => {
+        const p = db.players[req.params.id];
+        if (!p) { tx.skipWrite = true; return null; }
+        p.position = position;
+        return p;
+      });
+      if (!player) return res.status(404).json({ ok: false, error: "Player not found" });
+      res.json({ ok: true, player });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+})();
 
-      if (!r.ok) {
-        return res.status(502).json({
-          ok: false,
-          error: "SGO upstream error",
-          upstream: { url, status: r.status, statusText: r.statusText, preview: text.slice(0, 200) }
-        });
+// ===========================
+// NEXT BLOCK: Games (schedule: teams, tip-off, status; props link to these)
+//   GET    /api/nba/games?date=&team=&status=    (date defaults to today ET)
+//   GET    /api/nba/games/:id                    game + its linked prop counts
+//   POST   /api/nba/games                        { games: [{ eventID?, homeTeam, awayTeam, startsAt?, status?, date? }] } or one game
+//   PUT    /api/nba/games/:id                    { startsAt?, status?, homeTeam?, awayTeam? }
+//   DELETE /api/nba/games/:id
+//   POST   /api/nba/games/relink                 relink every stored prop row
+// ===========================
+(function () {
+  if (globalThis.__PT_GAMES__) return;
+  globalThis.__PT_GAMES__ = true;
+
+  // Drop links to games that no longer exist, then link again
+  function relinkAll(db) {
+    let unlinked = 0;
+    for (const key of Object.values(PROP_COLLECTIONS)) {
+      for (const p of db[key] || []) {
+        if (p && p.gameId && !db.games[p.gameId]) {
+          delete p.gameId;
+          unlinked++;
+        }
       }
+    }
+    return { unlinked, linked: linkAllPropsToGames(db) };
+  }
 
-      const events = extractEvents(json);
+  app.get("/api/nba/games", async (req, res) => {
+    try {
+      const date = String(req.query.date || "").trim() || getTodayET();
+      if (!isValidISODate(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+      const team = normTeam(req.query.team);
+      const status = String(req.query.status || "").trim().toLowerCase();
+      if (status && !GAME_STATUSES.includes(status)) return res.status(400).json({ ok: false, error: `status must be one of ${GAME_STATUSES.join(", ")}` });
+
+      const games = (await gamesForDate(date))
+        .filter((g) => !team || g.homeTeam === team || g.awayTeam === team)
+        .filter((g) => !status || g.status === status);
+      res.json({ ok: true, date, count: games.length, games });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      // Filter events by date (best-effort):
-      // we try common start time fields; if missing, we keep it (so we don’t drop everything)
-      const chosen = [];
-      for (const ev of events) {
-        const start = pick(ev, ["startTime", "start_time", "commenceTime", "commence_time", "eventTime", "time"]);
-        const key = start ? toDateKeyUTC(start) : null;
-        if (!start || key === date) chosen.push(ev);
-      }
+  app.get("/api/nba/games/:id", async (req, res) => {
+    try {
+      const game = (await readCollection("games", {}))[req.params.id];
+      if (!game) return res.status(404).json({ ok: false, error: "Game not found" });
 
-      const props = [];
-      for (const ev of chosen) {
-        const odds = extractOddsFromEvent(ev);
-        for (const odd of odds) {
-          const p = normalizeOddToProp(odd, date);
-          if (p) props.push(p);
-        }
+      const props = {};
+      for (const source of Object.keys(PROP_COLLECTIONS)) {
+        const rows = (await queryPropLines({ source, date: game.date })).filter((p) => p.gameId === game.id);
+        props[source] = { total: rows.length, pregame: rows.filter((p) => p.phase === "pregame").length, live: rows.filter((p) => p.phase === "live").length };
       }
+      res.json({ ok: true, game, props });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      const db = await readDB();
-      if (!Array.isArray(db.sgoPropLines)) db.sgoPropLines = [];
+  app.post("/api/nba/games", async (req, res) => {
+    try {
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const games = Array.isArray(body.games) ? body.games : Array.isArray(body) ? body : [body];
+      for (const g of games) {
+        if (!g || !normTeam(g.homeTeam) || !normTeam(g.awayTeam)) return res.status(400).json({ ok: false, error: "Each game needs homeTeam and awayTeam" });
+        if (g.startsAt && !etDateOf(g.startsAt)) return res.status(400).json({ ok: false, error: `Invalid startsAt: ${g.startsAt}` });
+        if (!g.startsAt && !isValidISODate(String(g.date || ""))) return res.status(400).json({ ok: false, error: "Each game needs startsAt (ISO time) or date (YYYY-MM-DD)" });
+        if (g.status && !GAME_STATUSES.includes(g.status)) return res.status(400).json({ ok: false, error: `status must be one of ${GAME_STATUSES.join(", ")}` });
+      }
 
-      const before = db.sgoPropLines.length;
-      db.sgoPropLines = db.sgoPropLines.filter((p) => p && p.date !== date);
-      const replaced = before - db.sgoPropLines.length;
+      const out = await withDB(async (db) => {
+        const r = upsertGames(db, games, String(body.source || "manual"));
+        return { ...r, linked: linkAllPropsToGames(db) };
+      });
+      res.json({ ok: true, received: games.length, ...out });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      db.sgoPropLines.push(...props);
-      await writeDB(db);
+  app.put("/api/nba/games/:id", async (req, res) => {
+    try {
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      if (body.status !== undefined && !GAME_STATUSES.includes(body.status)) return res.status(400).json({ ok: false, error: `status must be one of ${GAME_STATUSES.join(", ")}` });
+      if (body.startsAt && !etDateOf(body.startsAt)) return res.status(400).json({ ok: false, error: `Invalid startsAt: ${body.startsAt}` });
+
+      const out = await withDB(async (db, tx) => {
+        const g = db.games[req.params.id];
+        if (!g) { tx.skipWrite = true; return null; }
+        const homeTeam = body.homeTeam !== undefined ? normTeam(body.homeTeam) : g.homeTeam;
+        const awayTeam = body.awayTeam !== undefined ? normTeam(body.awayTeam) : g.awayTeam;
+        if (!homeTeam || !awayTeam || homeTeam === awayTeam) {
+          tx.skipWrite = true;
+          return { status: 400, error: "homeTeam and awayTeam must be two different teams" };
+        }
+        Object.assign(g, { homeTeam, awayTeam, updatedAt: new Date().toISOString() });
+        if (body.status !== undefined) g.status = body.status;
+        if (body.startsAt !== undefined) {
+          g.startsAt = body.startsAt ? new Date(body.startsAt).toISOString() : null;
+          if (g.startsAt) g.date = etDateOf(g.startsAt);
+        }
+        return { game: g, ...relinkAll(db) };
+      });
+      if (!out) return res.status(404).json({ ok: false, error: "Game not found" });
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      res.json({ ok: true, ...out });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      return res.json({
-        ok: true,
-        date,
-        upstream: { url, status: r.status },
-        eventsFound: events.length,
-        eventsUsed: chosen.length,
-        imported: props.length,
-        replaced
+  app.delete("/api/nba/games/:id", async (req, res) => {
+    try {
+      const out = await withDB(async (db, tx) => {
+        const g = db.games[req.params.id];
+        if (!g) { tx.skipWrite = true; return null; }
+        delete db.games[g.id];
+        return { deleted: g, ...relinkAll(db) };
       });
-    } catch (e) {
-      return res.status(500).json({ ok: false, error: e.message || String(e) });
+      if (!out) return res.status(404).json({ ok: false, error: "Game not found" });
+      res.json({ ok: true, ...out });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+
+  app.post("/api/nba/games/relink", async (req, res) => {
+    try {
+      const out = await withDB(async (db) => relinkAll(db));
+      res.json({ ok: true, games: Object.keys(await readCollection("games", {})).length, ...out });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
     }
   });
 })();
 
 // ===========================
-// DEBUG BLOCK: Inspect SGO event.players structure
-// GET /api/dev/sgo/events-debug2?date=YYYY-MM-DD&limit=1
-// Append-only.
+// NEXT BLOCK: Injuries / availability
+//   GET    /api/injuries?date=&team=&status=   (date defaults to today ET)
+//   POST   /api/injuries/import                JSON rows / { rows, date?, source?, feed? } / CSV:
+//                                              playerId?, playerName, team?, status, date?, note?
+//   PUT    /api/injuries/:id                   { status?, note? }
+//   DELETE /api/injuries/:id
+// source = whose player ids the rows carry (logs|sgo|hardrock; registry ids always work),
+// feed = where the report came from (stored as the injury's source; default "import").
 // ===========================
 (function () {
-  if (globalThis.__PT_SGO_EVENTS_DEBUG2__) return;
-  globalThis.__PT_SGO_EVENTS_DEBUG2__ = true;
+  if (globalThis.__PT_INJURIES__) return;
+  globalThis.__PT_INJURIES__ = true;
+
+  function normalizeInjuryRow(r, defaultDate) {
+    if (!r || typeof r !== "object") return null;
+    const playerId = r.playerId ?? r.player_id ?? r.PLAYER_ID ?? r.PERSON_ID ?? null;
+    const playerName = r.playerName ?? r.player_name ?? r.PLAYER ?? r.PLAYER_NAME ?? r.name ?? "";
+    const status = normInjuryStatus(r.status ?? r.STATUS ?? r.injuryStatus ?? r.designation);
+    const date = String(r.date ?? r.DATE ?? r.gameDate ?? defaultDate ?? "").trim();
+    const note = String(r.note ?? r.NOTE ?? r.injury ?? r.reason ?? r.comment ?? "").trim();
+    if (!status || !isValidISODate(date) || (!playerId && !String(playerName).trim())) return null;
+    return {
+      playerId: playerId ? String(playerId) : undefined,
+      playerName: String(playerName || "").trim() || undefined,
+      team: normTeam(r.team ?? r.teamAbbr ?? r.TEAM_ABBREVIATION ?? r.TEAM ?? "") || undefined,
+      status,
+      date,
+      note: note || null
+    };
+  }
 
-  const appRef = (typeof app !== "undefined" && app) ? app : (globalThis.app || null);
-  if (!appRef) return;
+  app.get("/api/injuries", async (req, res) => {
+    try {
+      const date = String(req.query.date || "").trim() || getTodayET();
+      if (!isValidISODate(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+      const team = normTeam(req.query.team);
+      const status = req.query.status ? normInjuryStatus(req.query.status) : null;
+      if (req.query.status && !status) return res.status(400).json({ ok: false, error: `status must be one of ${INJURY_STATUSES.join(", ")}` });
+
+      const roster = await loadRoster();
+      const injuries = (await readCollection("injuries", []))
+        .filter((x) => x.date === date)
+        .map((x) => ({ ...x, team: rosterInfo(roster, x.playerId, date).team || x.team || null }))
+        .filter((x) => (!team || x.team === team) && (!status || x.status === status))
+        .sort((a, b) => String(a.team).localeCompare(String(b.team)) || String(a.playerName).localeCompare(String(b.playerName)));
+      res.json({ ok: true, date, count: injuries.length, injuries });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-  const doFetch = (typeof fetch === "function") ? fetch : null;
-  if (!doFetch) return;
+  app.post("/api/injuries/import", express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }), async (req, res) => {
+    try {
+      let rows = [];
+      if (typeof req.body === "string") rows = parseCSV(req.body);
+      else if (Array.isArray(req.body)) rows = req.body;
+      else if (req.body && Array.isArray(req.body.rows)) rows = req.body.rows;
+      const opts = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+      const source = String(opts.source || req.query.source || "logs").toLowerCase();
+      if (!playerSources().includes(source)) return res.status(400).json({ ok: false, error: `source must be one of ${playerSources().join(", ")}` });
+      const feed = String(opts.feed || req.query.feed || "import").trim();
+      const defaultDate = String(opts.date || req.query.date || "").trim() || getTodayET();
+      if (!isValidISODate(defaultDate)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+
+      if (rows.length === 0) {
+        return res.status(400).json({ ok: false, error: "Body must be an array of injury rows or CSV text with a header row" });
+      }
 
-  function isYMD(s) { return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s); }
+      // Reports only attach to players the registry already has; a typo must not mint a player
+      const result = await withDB(async (db, tx) => {
+        const out = { added: 0, updated: 0, invalid: 0, unresolved: [], injuries: [] };
+        const idx = buildPlayerIndex(db.players);
+        for (const r of rows) {
+          const row = normalizeInjuryRow(r, defaultDate);
+          if (!row) { out.invalid++; continue; }
+
+          const id = (row.playerId && db.players[row.playerId] && row.playerId) || resolvePlayerRow(idx, source, row);
+          const player = id ? db.players[id] : null;
+          if (!player) {
+            out.unresolved.push({ playerId: row.playerId || null, playerName: row.playerName || null, reason: unresolvedPlayerReason(idx, source, row) });
+            continue;
+          }
+          const { injury, created } = upsertInjury(db, {
+            playerId: player.id,
+            playerName: player.name || row.playerName || null,
+            team: row.team || player.team || null,
+            date: row.date,
+            status: row.status,
+            source: feed,
+            note: row.note
+          });
+          if (created) out.added++;
+          else out.updated++;
+          out.injuries.push(injury);
+        }
+        if (!out.injuries.length) tx.skipWrite = true;
+        return out;
+      });
 
-  function buildEventsUrl(limit) {
-    const qs = new URLSearchParams({ leagueID: "NBA", oddsAvailable: "true", limit: String(limit || 1) });
-    return `https://api.sportsgameodds.com/v2/events?${qs.toString()}`;
-  }
+      res.json({ ok: true, received: rows.length, ...result });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-  appRef.get("/api/dev/sgo/events-debug2", async (req, res) => {
+  app.put("/api/injuries/:id", async (req, res) => {
     try {
-      const date = String(req.query.date || "").trim();
-      const limit = Math.max(1, Math.min(3, Number(req.query.limit || 1)));
-      if (!isYMD(date)) return res.status(400).json({ ok: false, error: "Invalid date. Use YYYY-MM-DD." });
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const status = body.status !== undefined ? normInjuryStatus(body.status) : undefined;
+      if (status === null) return res.status(400).json({ ok: false, error: `status must be one of ${INJURY_STATUSES.join(", ")}` });
+
+      const injury = await withDB(async (db, tx) => {
+        const x = db.injuries.find((i) => i.id === req.params.id);
+        if (!x) { tx.skipWrite = true; return null; }
+        if (status) x.status = status;
+        if (body.note !== undefined) x.note = body.note === null ? null : String(body.note).trim() || null;
+        x.source = "manual";
+        x.updatedAt = new Date().toISOString();
+        return x;
+      });
+      if (!injury) return res.status(404).json({ ok: false, error: "Injury not found" });
+      res.json({ ok: true, injury });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      const apiKey = process.env.SGO_API_KEY;
-      if (!apiKey) return res.status(400).json({ ok: false, error: "Missing SGO_API_KEY." });
+  app.delete("/api/injuries/:id", async (req, res) => {
+    try {
+      const deleted = await withDB(async (db, tx) => {
+        const i = db.injuries.findIndex((x) => x.id === req.params.id);
+        if (i < 0) { tx.skipWrite = true; return null; }
+        return db.injuries.splice(i, 1)[0];
+      });
+      if (!deleted) return res.status(404).json({ ok: false, error: "Injury not found" });
+      res.json({ ok: true, deleted });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
+})();
 
-      const url = buildEventsUrl(limit);
+// ===========================
+// NEXT BLOCK: Prop source adapters (generic import)
+//   GET  /api/import/sources                  registered feeds + stored row counts
+//   POST /api/import/:source?date=&replace=   JSON array / { rows } / CSV text -> push rows
+//                                             no rows -> pull the date's slate (feeds with an API)
+// Pull options may come in the query or a JSON body: date, replace, limit,
+// bookmakerID, oddID, leagueID. A pull replaces that date's rows; a push adds
+// (deduped by the feed's key) unless replace=1.
+// ===========================
+(function () {
+  if (globalThis.__PT_PROP_SOURCES__) return;
+  globalThis.__PT_PROP_SOURCES__ = true;
 
-      const r = await doFetch(url, {
-        method: "GET",
-        headers: { "Accept": "application/json", "X-Api-Key": apiKey }
-      });
+  const PULL_PARAMS = ["date", "replace", "limit", "bookmakerID", "oddID", "leagueID"];
 
-      const text = await r.text();
-      let json = null;
-      try { json = text ? JSON.parse(text) : null; } catch {}
+  app.get("/api/import/sources", async (req, res) => {
+    try {
+      const sources = [];
+      for (const a of PROP_SOURCES.values()) {
+        sources.push({
+          id: a.id,
+          label: a.label,
+          collection: a.collection,
+          formats: a.formats,
+          pull: typeof a.fetch === "function",
+          rows: (await queryPropLines({ source: a.id })).length
+        });
+      }
+      res.json({ ok: true, sources });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  });
 
-      const events = (json && Array.isArray(json.data) && json.data) ? json.data : [];
-      const ev = events[0] || null;
+  app.post("/api/import/:source", express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }), async (req, res) => {
+    try {
+      const adapter = getPropSource(req.params.source);
+      if (!adapter) {
+        return res.status(404).json({ ok: false, error: `Unknown source: ${req.params.source} (have ${[...PROP_SOURCES.keys()].join(", ")})` });
+      }
 
-      const players = ev && Array.isArray(ev.players) ? ev.players : [];
-      const p0 = players[0] || null;
+      const body = req.body;
+      const isPayload = typeof body === "string" || Array.isArray(body) ||
+        (body && typeof body === "object" && (Array.isArray(body.rows) || Array.isArray(body.data)));
+      const opts = !isPayload && body && typeof body === "object" ? body : {};
 
-      // Look for nested arrays inside first player that might contain props/markets/odds
-      let nestedArrays = [];
-      if (p0 && typeof p0 === "object") {
-        for (const k of Object.keys(p0)) {
-          if (Array.isArray(p0[k])) nestedArrays.push([k, p0[k].length]);
-        }
+      const params = {};
+      for (const k of PULL_PARAMS) {
+        const v = req.query[k] ?? opts[k];
+        if (v !== undefined && v !== "") params[k] = v;
       }
+      if (params.replace !== undefined) params.replace = ["1", "true", true, 1].includes(params.replace);
 
-      return res.json({
-        ok: true,
-        upstream: { url, status: r.status, statusText: r.statusText },
-        notice: json && json.notice ? json.notice : null,
-        eventsFound: events.length,
-        sample: {
-          eventID: ev ? ev.eventID : null,
-          eventKeys: ev ? Object.keys(ev).slice(0, 30) : [],
-          oddsLen: ev && Array.isArray(ev.odds) ? ev.odds.length : 0,
-          playersLen: players.length,
-          playerKeys: p0 ? Object.keys(p0).slice(0, 40) : [],
-          playerNestedArrays: nestedArrays.slice(0, 20),
-          playerPreview: p0 ? p0 : null
-        },
-        textPreview: text.slice(0, 300)
-      });
-    } catch (e) {
-      return res.status(500).json({ ok: false, error: e.message || String(e) });
+      // An events payload may legitimately hold nothing for the date; flat rows may not be empty
+      if (isPayload && !Array.isArray(body?.data) && adapter.parse(body, params).length === 0) {
+        return res.status(400).json({ ok: false, error: "Body must be an array of prop rows, { rows }, or CSV text with a header row" });
+      }
+
+      const out = await importPropSource(adapter, isPayload ? body : null, params);
+      if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+      res.json({ ok: true, source: adapter.id, ...out });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
     }
   });
-
-  console.log("[sgo-debug2] route registered: GET /api/dev/sgo/events-debug2");
 })();
-
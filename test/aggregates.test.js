@@ -0,0 +1,45 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, api } = require("./helpers");
+
+const log = (gameDate, opponent, pts) => ({ playerId: "p1", playerName: "Player One", gameDate, team: "LAL", opponent, pts, min: 30 });
+
+test("opponent factors follow game-log writes", async (t) => {
+  const srv = await startServer({
+    db: { nbaPlayerGameLogs: [log("2026-02-01", "BOS", 20), log("2026-02-03", "NYK", 10)] }
+  });
+  t.after(() => srv.stop());
+
+  const bosPts = async () => {
+    const r = await api(srv.base, "GET", "/api/nba/opponent-factors?team=BOS&stat=PTS");
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    return r.body.teams[0].factors.PTS;
+  };
+
+  const before = await bosPts();
+  assert.equal(await bosPts(), before);
+
+  const imp = await api(srv.base, "POST", "/api/import/game-logs", [log("2026-02-05", "BOS", 40)]);
+  assert.equal(imp.status, 200, JSON.stringify(imp.body));
+  const after = await bosPts();
+  assert.ok(after > before, `BOS PTS factor ${before} -> ${after}`);
+});
+
+test("shrink priors follow game-log writes", async (t) => {
+  // ten games is enough for the player's own season mean to be the prior
+  const games = Array.from({ length: 10 }, (_, i) => log(`2026-01-${String(i + 10)}`, "BOS", 20));
+  const srv = await startServer({ db: { nbaPlayerGameLogs: games } });
+  t.after(() => srv.stop());
+
+  const prior = async () => {
+    const r = await api(srv.base, "GET", "/api/nba/projections?games=1&shrink=1&projBy=average");
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    return r.body.projections.find((p) => p.playerId === "p1").priors.pts;
+  };
+
+  assert.deepEqual(await prior(), { prior: 20, basis: "season" });
+  await api(srv.base, "POST", "/api/import/game-logs", [log("2026-02-05", "BOS", 42)]);
+  assert.deepEqual(await prior(), { prior: 22, basis: "season" });
+});
@@ -0,0 +1,28 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, api } = require("./helpers");
+
+const log = (gameDate, reb) => ({ playerId: "1630528", playerName: "Jalen Duren", gameDate, team: "DET", opponent: "BOS", pts: 12, reb, min: 30 });
+
+test("a bet placed from an SGO edge is graded from the registry player's log", async (t) => {
+  const srv = await startServer({ db: { nbaPlayerGameLogs: [log("2026-03-08", 9), log("2026-03-10", 12)] } });
+  t.after(() => srv.stop());
+
+  // SGO id and a suffixed name: neither matches the log's id or name as written
+  const r = await api(srv.base, "POST", "/api/bets", {
+    date: "2026-03-10",
+    playerId: "JALEN_DUREN_1_NBA",
+    playerName: "Jalen Duren Jr.",
+    statType: "rebounds",
+    line: 10.5,
+    side: "over",
+    odds: -110,
+    stake: 1,
+    book: "sgo"
+  });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.bet.status, "win");
+  assert.equal(r.body.bet.actual, 12);
+});
@@ -0,0 +1,133 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EDGE_TIER_THRESHOLDS, edgeTierFor } = require("../lib/edges");
+const { startServer, api } = require("./helpers");
+
+const DATE = "2026-03-10";
+
+// `days` daily games ending on `last`
+function logs(playerId, playerName, stats, { days = 10, last = "2026-03-09" } = {}) {
+  const end = Date.parse(`${last}T00:00:00Z`);
+  return Array.from({ length: days }, (_, i) => ({
+    playerId,
+    playerName,
+    gameDate: new Date(end - i * 86400000).toISOString().slice(0, 10),
+    team: "LAL",
+    opponent: "BOS",
+    min: 30,
+    ...stats
+  }));
+}
+
+const SLATE_LOGS = [
+  ...logs("101", "Alpha Guard", { pts: 20, reb: 4, ast: 6 }),
+  ...logs("202", "Beta Wing", { pts: 12, reb: 7, ast: 2 }),
+  ...logs("303", "Gamma Dup", { pts: 15, reb: 5, ast: 3 }),
+  ...logs("404", "Gamma Dup", { pts: 8, reb: 3, ast: 1 })
+];
+
+const SLATE_PROPS = [
+  // id only: the prop spells the name differently
+  { date: DATE, playerId: "101", playerName: "A. Guard", team: "LAL", statType: "points", line: 16.5 },
+  { date: DATE, playerId: "101", playerName: "A. Guard", team: "LAL", statType: "assists", line: 5.5 },
+  // name only
+  { date: DATE, playerName: "Beta Wing", team: "LAL", statType: "rebounds", line: 5.5 },
+  // two registry players share the name and the prop carries no id
+  { date: DATE, playerName: "Gamma Dup", team: "LAL", statType: "points", line: 10.5 }
+];
+
+test("tier thresholds are pinned", () => {
+  assert.deepEqual(EDGE_TIER_THRESHOLDS, {
+    default: { A: 3, B: 2 },
+    REB: { A: 2, B: 1.5 },
+    AST: { A: 2, B: 1.5 },
+    RA: { A: 2.5, B: 1.5 },
+    "3PM": { A: 1, B: 0.5 },
+    STL: { A: 0.8, B: 0.5 },
+    BLK: { A: 0.8, B: 0.5 },
+    TOV: { A: 1, B: 0.6 },
+    STOCKS: { A: 1, B: 0.6 },
+    FTA: { A: 2, B: 1 },
+    DD: { A: 0.3, B: 0.15 }
+  });
+
+  assert.equal(edgeTierFor("PTS", 3), "A");
+  assert.equal(edgeTierFor("PTS", 2.99), "B");
+  assert.equal(edgeTierFor("PTS", 2), "B");
+  assert.equal(edgeTierFor("PTS", 1.99), "C");
+  assert.equal(edgeTierFor("REB", 2), "A");
+  assert.equal(edgeTierFor("REB", 1.5), "B");
+  assert.equal(edgeTierFor("REB", 1.49), "C");
+  assert.equal(edgeTierFor("3PM", 1), "A");
+  assert.equal(edgeTierFor("3PM", 0.5), "B");
+  assert.equal(edgeTierFor("3PM", 0.49), "C");
+  assert.equal(edgeTierFor("PTS", 1, { default: { A: 1, B: 0.5 } }), "A");
+});
+
+test("edges match props by id, then name, and skip ambiguous names", async (t) => {
+  const srv = await startServer({ db: { nbaPlayerGameLogs: SLATE_LOGS } });
+  t.after(() => srv.stop());
+  const imp = await api(srv.base, "POST", "/api/import/hardrock-props", SLATE_PROPS);
+  assert.equal(imp.status, 200, JSON.stringify(imp.body));
+
+  const r = await api(srv.base, "GET", `/api/nba/edges?date=${DATE}&mode=flat&games=10&projBy=average`);
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.counts.ambiguousPlayer, 1);
+
+  const byKey = Object.fromEntries(r.body.edges.map((e) => [`${e.playerName}|${e.stat}`, e]));
+  assert.deepEqual(Object.keys(byKey).sort(), ["A. Guard|AST", "A. Guard|PTS", "Beta Wing|REB"]);
+  assert.equal(byKey["A. Guard|PTS"].projection, 20);
+  assert.equal(byKey["A. Guard|PTS"].tier, "A");
+  assert.equal(byKey["A. Guard|AST"].projection, 6);
+  assert.equal(byKey["A. Guard|AST"].tier, "C");
+  assert.equal(byKey["Beta Wing|REB"].projection, 7);
+  assert.equal(byKey["Beta Wing|REB"].tier, "B");
+});
+
+test("legacy edges adapters agree with /api/nba/edges", async (t) => {
+  const srv = await startServer({ db: { nbaPlayerGameLogs: SLATE_LOGS } });
+  t.after(() => srv.stop());
+  await api(srv.base, "POST", "/api/import/hardrock-props", SLATE_PROPS);
+
+  const q = `date=${DATE}&mode=flat&games=10`;
+  const [edges, todayTiered, tieredV2] = await Promise.all([
+    api(srv.base, "GET", `/api/nba/edges?${q}`),
+    api(srv.base, "GET", `/api/nba/edges-today-tiered?${q}`),
+    api(srv.base, "GET", `/api/nba/edges-tiered-v2?${q}`)
+  ]);
+  for (const r of [edges, todayTiered, tieredV2]) assert.equal(r.status, 200, JSON.stringify(r.body));
+
+  const summary = (rows) => rows.map((e) => `${e.playerName}|${e.stat}|${e.line}|${e.projection}|${e.tier}`).sort();
+  const expected = summary(edges.body.edges);
+  assert.equal(expected.length, 3);
+  const flat = (tiers) => [...tiers.A, ...tiers.B, ...tiers.C];
+  assert.deepEqual(summary(flat(todayTiered.body.tiered)), expected);
+  assert.deepEqual(summary(flat(tieredV2.body.tiers)), expected);
+  assert.deepEqual(todayTiered.body.counts, { total: 3, A: edges.body.counts.A, B: edges.body.counts.B, C: edges.body.counts.C });
+  for (const e of flat(tieredV2.body.tiers)) assert.equal(e.proj, e.projection);
+});
+
+test("backtest replays a slate through the edges pipeline on earlier logs only", async (t) => {
+  // The slate night: Alpha scores 30, which the replay must not see
+  const result = logs("101", "Alpha Guard", { pts: 30, reb: 4, ast: 6 }, { days: 1, last: DATE });
+  const srv = await startServer({
+    db: {
+      nbaPlayerGameLogs: [...SLATE_LOGS, ...result],
+      propsArchive: { [DATE]: { hardrock: SLATE_PROPS.slice(0, 1), sgo: [] } }
+    }
+  });
+  t.after(() => srv.stop());
+
+  const r = await api(srv.base, "POST", "/api/backtest", { mode: "flat", games: 10, projBy: "average", includePicks: true });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.params.projBy, "average");
+  assert.equal(r.body.counts.graded, 1);
+  const [pick] = r.body.picks;
+  assert.equal(pick.proj, 20);
+  assert.equal(pick.side, "over");
+  assert.equal(pick.tier, "A");
+  assert.equal(pick.actual, 30);
+  assert.equal(pick.result, "win");
+});
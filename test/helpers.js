@@ -0,0 +1,65 @@
+"use strict";
+
+// Boots server.js in a child process against a throwaway db.json and returns
+// { base, dir, stop }. Seed the DB by passing `db` (written before boot).
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer({ db = null, env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pt-test-"));
+  const dbPath = path.join(dir, "db.json");
+  if (db) fs.writeFileSync(dbPath, JSON.stringify(db));
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    env: { ...process.env, PORT: String(port), PT_DB_PATH: dbPath, PT_DB_BACKEND: "json", ...env },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let log = "";
+  child.stdout.on("data", (d) => { log += d; });
+  child.stderr.on("data", (d) => { log += d; });
+
+  const base = `http://127.0.0.1:${port}`;
+  const stop = () => new Promise((resolve) => {
+    if (child.exitCode !== null) return resolve();
+    child.once("exit", () => resolve());
+    child.kill();
+  }).then(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) break;
+    try {
+      const r = await fetch(`${base}/api/health`);
+      if (r.ok) return { base, dir, dbPath, stop };
+    } catch {}
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  await stop();
+  throw new Error(`server did not start:\n${log}`);
+}
+
+async function api(base, method, url, body) {
+  const r = await fetch(base + url, {
+    method,
+    headers: body === undefined ? {} : { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: r.status, body: await r.json() };
+}
+
+module.exports = { startServer, api };
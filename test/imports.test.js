@@ -0,0 +1,116 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const { startServer, api } = require("./helpers");
+
+const DATE = "2026-02-16";
+
+function rowsFor(source, i) {
+  return [
+    { date: DATE, playerId: `${source}-${i}`, playerName: `${source} Player ${i}`, team: "BOS", statType: "points", line: 10.5 + i },
+    { date: DATE, playerId: `${source}-${i}`, playerName: `${source} Player ${i}`, team: "BOS", statType: "rebounds", line: 4.5 }
+  ];
+}
+
+test("parallel sgo and hardrock imports keep every row", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  const N = 12;
+  const calls = [];
+  for (let i = 0; i < N; i++) {
+    calls.push(api(srv.base, "POST", "/api/import/sgo-props", rowsFor("sgo", i)));
+    calls.push(api(srv.base, "POST", "/api/import/hardrock-props", rowsFor("hr", i)));
+  }
+  const results = await Promise.all(calls);
+
+  for (const r of results) {
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    assert.equal(r.body.ok, true);
+    assert.equal(r.body.added, 2);
+  }
+
+  const db = JSON.parse(fs.readFileSync(srv.dbPath, "utf8"));
+  const ids = (rows) => new Set(rows.map((p) => `${p.playerId}|${p.statType}`));
+  assert.equal(db.sgoPropLines.length, N * 2);
+  assert.equal(db.hardrockPropLines.length, N * 2);
+  for (let i = 0; i < N; i++) {
+    assert.ok(ids(db.sgoPropLines).has(`sgo-${i}|points`), `sgo-${i} points missing`);
+    assert.ok(ids(db.hardrockPropLines).has(`hr-${i}|rebounds`), `hr-${i} rebounds missing`);
+  }
+});
+
+test("an archive racing imports loses no rows", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  const results = await Promise.all([
+    api(srv.base, "POST", "/api/import/hardrock-props", rowsFor("hr", 0)),
+    api(srv.base, "POST", "/api/props/archive-date", { date: DATE }),
+    api(srv.base, "POST", "/api/import/sgo-props", rowsFor("sgo", 0)),
+    api(srv.base, "POST", "/api/import/hardrock-props", rowsFor("hr", 1))
+  ]);
+  for (const r of results) assert.equal(r.body.ok, true, JSON.stringify(r.body));
+
+  const db = JSON.parse(fs.readFileSync(srv.dbPath, "utf8"));
+  assert.equal(db.hardrockPropLines.length, 4);
+  assert.equal(db.sgoPropLines.length, 2);
+  assert.ok(db.propsArchive[DATE], "archive written");
+});
+
+test("re-pushing a line dated by UTC is stored once on its ET slate", async (t) => {
+  const game = { id: "g1", eventID: null, date: "2026-02-20", homeTeam: "LAL", awayTeam: "BOS", startsAt: "2026-02-21T03:30:00.000Z", status: "scheduled" };
+  const srv = await startServer({ db: { games: { g1: game } } });
+  t.after(() => srv.stop());
+
+  const row = { date: "2026-02-21", playerName: "Late Tip", team: "LAL", statType: "points", line: 20.5, startsAt: game.startsAt };
+  const added = [];
+  for (let i = 0; i < 3; i++) {
+    const r = await api(srv.base, "POST", "/api/import/hardrock-props", [row]);
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    added.push(r.body.added);
+  }
+  assert.deepEqual(added, [1, 0, 0]);
+
+  const db = JSON.parse(fs.readFileSync(srv.dbPath, "utf8"));
+  assert.equal(db.hardrockPropLines.length, 1);
+  assert.equal(db.hardrockPropLines[0].date, "2026-02-20");
+  assert.equal(db.hardrockPropLines[0].gameId, "g1");
+});
+
+test("legacy sgo-props-v2 pulls through the sgo source", async (t) => {
+  const upstream = http.createServer((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ props: [
+      { player: "Legacy One", playerId: "L1", team: "BOS", market: "Points", line: "22.5", overOdds: -115, underOdds: -105 },
+      { player: "Legacy Two", team: "BOS", type: "threes", value: 2.5 },
+      { player: "No Line", market: "points" }
+    ] }));
+  });
+  await new Promise((ok) => upstream.listen(0, "127.0.0.1", ok));
+  t.after(() => upstream.close());
+
+  const srv = await startServer({
+    env: { SGO_API_KEY: "test", SGO_BASE_URL: `http://127.0.0.1:${upstream.address().port}` }
+  });
+  t.after(() => srv.stop());
+
+  for (let i = 0; i < 2; i++) {
+    const r = await api(srv.base, "POST", `/api/import/sgo-props-v2?date=${DATE}`);
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    assert.equal(r.body.received, 3);
+    assert.equal(r.body.imported, 2);
+  }
+
+  const db = JSON.parse(fs.readFileSync(srv.dbPath, "utf8"));
+  assert.equal(db.sgoPropLines.length, 2);
+  const one = db.sgoPropLines.find((p) => p.playerId === "L1");
+  assert.deepEqual(
+    { date: one.date, source: one.source, statType: one.statType, line: one.line, overOdds: one.overOdds, ptPlayerId: !!one.ptPlayerId },
+    { date: DATE, source: "sgo", statType: "points", line: 22.5, overOdds: -115, ptPlayerId: true }
+  );
+  assert.equal(db.sgoPropLines.find((p) => p.playerName === "Legacy Two").statType, "3pm");
+});
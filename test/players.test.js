@@ -0,0 +1,30 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, api } = require("./helpers");
+
+const log = (playerId, gameDate) => ({ playerId, playerName: "Gamma Dup", gameDate, team: "LAL", opponent: "BOS", pts: 10, min: 30 });
+const prop = (line) => ({ date: "2026-03-10", playerName: "Gamma Dup", team: "LAL", statType: "points", line });
+
+test("a dismissed review item stays dismissed", async (t) => {
+  const srv = await startServer({ db: { nbaPlayerGameLogs: [log("303", "2026-03-01"), log("404", "2026-03-01")] } });
+  t.after(() => srv.stop());
+
+  const imp = await api(srv.base, "POST", "/api/import/hardrock-props", [prop(10.5)]);
+  assert.equal(imp.status, 200, JSON.stringify(imp.body));
+  const open = await api(srv.base, "GET", "/api/players/review");
+  assert.equal(open.body.count, 1);
+  const [item] = open.body.items;
+  assert.deepEqual(item.candidates.map((c) => c.id).sort(), ["303", "404"]);
+
+  const r = await api(srv.base, "POST", `/api/players/review/${item.id}`, { dismiss: true });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.item.status, "dismissed");
+  assert.equal(r.body.restamped.queued, 0);
+
+  // a later import of the same player doesn't reopen it
+  await api(srv.base, "POST", "/api/import/hardrock-props", [prop(11.5)]);
+  const all = await api(srv.base, "GET", "/api/players/review?status=all");
+  assert.deepEqual(all.body.items.map((i) => [i.id, i.status]), [[item.id, "dismissed"]]);
+});